@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+// cTrader DCA cBot 计算命令行工具
+// 用法: dca-calc [--config params.json] [--<参数名> <值> ...] [--format table|json|csv] [--data positions|drawdown]
+
+const fs = require('fs');
+const { DEFAULT_PARAMS, calculate } = require('../lib');
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+const CSV_DATASETS = ['positions', 'drawdown', 'metrics', 'advice'];
+
+// 仓位表列定义
+const POSITION_COLUMNS = [
+    { key: 'level', label: '层级' },
+    { key: 'side', label: '方向' },
+    { key: 'entryPrice', label: '入场价格', price: true },
+    { key: 'volume', label: '手数', decimals: 2 },
+    { key: 'pipDistance', label: '距离起始(点)' },
+    { key: 'cumulativeVolume', label: '累计手数', decimals: 2 },
+    { key: 'takeProfitPrice', label: '止盈价格', price: true },
+    { key: 'takeProfitAmount', label: '止盈盈利', decimals: 2 }
+];
+
+// 回撤分析表列定义
+const DRAWDOWN_COLUMNS = [
+    { key: 'pipsFromStart', label: '回撤点数' },
+    { key: 'price', label: '价格', price: true },
+    { key: 'floatingPnL', label: '浮动盈亏', decimals: 2 },
+    { key: 'activePositions', label: '持仓层数' },
+    { key: 'totalActiveVolume', label: '持仓手数', decimals: 2 },
+    { key: 'avgCostPrice', label: '平均成本', price: true },
+    { key: 'breakEvenPipsNeeded', label: '距离回本(点)' },
+    { key: 'equity', label: '净值', decimals: 2 },
+    { key: 'marginLevel', label: '保证金水平(%)', decimals: 1 },
+    { key: 'pointType', label: '点类型' }
+];
+
+// 风险指标列定义
+const RISK_METRIC_ROWS = [
+    { key: 'maxPossibleLoss', label: '最大可能亏损', decimals: 2 },
+    { key: 'breakEvenPips', label: '回本所需点数', decimals: 1 },
+    { key: 'breakEvenPrice', label: '保本价格', price: true },
+    { key: 'marginRequired', label: '保证金占用', decimals: 2 },
+    { key: 'riskRewardRatio', label: '风险回报比', decimals: 3 },
+    { key: 'positionSizeRisk', label: '仓位放大倍数', decimals: 2 },
+    { key: 'equityAtMaxDrawdown', label: '最大回撤处净值', decimals: 2 },
+    { key: 'marginCallPips', label: '追加保证金深度(点)', decimals: 1 },
+    { key: 'stopOutPips', label: '爆仓深度(点)', decimals: 1 }
+];
+
+// 风险指标与风险建议CSV的列定义（每项指标、每条建议一行）
+const METRIC_COLUMNS = [{ key: 'key' }, { key: 'label' }, { key: 'value' }];
+const ADVICE_COLUMNS = [{ key: 'id' }, { key: 'severity' }, { key: 'message' }, { key: 'suggestion' }];
+
+const HELP_TEXT = `用法: dca-calc [选项]
+
+参数来源（后者覆盖前者）：默认参数 → --config 指定的JSON文件 → 命令行参数
+
+选项:
+  --config <文件>        从JSON文件读取参数
+  --<参数名> <值>        设置单个参数，如 --pipStep 10 --first-volume 0.1
+  --format <格式>        输出格式: table(默认) / json / csv
+  --data <数据集>        CSV输出的数据集: positions(默认) / drawdown / metrics(风险指标) / advice(风险建议)
+  --help                 显示帮助
+
+可用参数及默认值:
+${Object.keys(DEFAULT_PARAMS).map(key => `  ${key} = ${JSON.stringify(DEFAULT_PARAMS[key])}`).join('\n')}
+`;
+
+/**
+ * 将kebab-case参数名转为camelCase
+ * @param {string} name - 参数名
+ * @returns {string} camelCase参数名
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * 按默认参数的类型转换命令行参数值：数值参数用Number()转换(支持1e1、.5、+5等写法)，
+ * 字符串参数(如自定义间距、自定义手数列表)即使只有一个数字也保持字符串
+ * @param {string} name - camelCase参数名
+ * @param {string} value - 参数值
+ * @returns {number|string} 转换后的值
+ */
+function parseFlagValue(name, value) {
+    if (typeof DEFAULT_PARAMS[name] !== 'number' && name !== 'pipValue') {
+        return value;
+    }
+    const number = value.trim() === '' ? NaN : Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`参数 --${name} 必须为数值: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * 解析命令行参数
+ * @param {Array} argv - 命令行参数(不含node和脚本路径)
+ * @returns {Object} { params, format, data, help }
+ */
+function parseArgs(argv) {
+    const options = { params: {}, format: 'table', data: 'positions', help: false };
+    let configParams = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new Error('无法识别的参数: ' + arg);
+        }
+
+        let name = arg.slice(2);
+        let value;
+        if (name.includes('=')) {
+            [name, value] = name.split(/=(.*)/s);
+        } else {
+            value = argv[++i];
+        }
+        if (value === undefined) {
+            throw new Error(`参数 --${name} 缺少取值`);
+        }
+        name = toCamelCase(name);
+
+        if (name === 'config') {
+            configParams = JSON.parse(fs.readFileSync(value, 'utf8'));
+            // 兼容页面导出的分析结果文件
+            if (configParams.inputParams) {
+                configParams = configParams.inputParams;
+            }
+        } else if (name === 'format' || name === 'data') {
+            options[name] = value;
+        } else if (Object.prototype.hasOwnProperty.call(DEFAULT_PARAMS, name) || name === 'pipValue') {
+            options.params[name] = parseFlagValue(name, value);
+        } else {
+            throw new Error('未知的参数: --' + name);
+        }
+    }
+
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error('输出格式必须为: ' + OUTPUT_FORMATS.join(' / '));
+    }
+    if (!CSV_DATASETS.includes(options.data)) {
+        throw new Error('数据集必须为: ' + CSV_DATASETS.join(' / '));
+    }
+
+    options.params = { ...configParams, ...options.params };
+    return options;
+}
+
+/**
+ * 格式化单元格数值
+ * @param {*} value - 数值
+ * @param {Object} column - 列定义
+ * @param {number} digits - 价格小数位数
+ * @returns {string} 格式化后的文本
+ */
+function formatCell(value, column, digits) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'number') return String(value);
+    if (column.price) return value.toFixed(digits);
+    if (column.decimals !== undefined) return value.toFixed(column.decimals);
+    return String(value);
+}
+
+/**
+ * 计算终端显示宽度（中日韩字符按2个字符宽度计）
+ * @param {string} text - 文本
+ * @returns {number} 显示宽度
+ */
+function displayWidth(text) {
+    return Array.from(text).reduce((width, char) => width + (/[\u2E80-\uFFEF]/.test(char) ? 2 : 1), 0);
+}
+
+/**
+ * 渲染对齐的文本表格
+ * @param {Array} headers - 表头
+ * @param {Array} rows - 行数据(字符串二维数组)
+ * @returns {string} 表格文本
+ */
+function renderTable(headers, rows) {
+    const widths = headers.map((header, index) => {
+        return Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[index])));
+    });
+    const renderRow = cells => cells.map((cell, index) => cell + ' '.repeat(widths[index] - displayWidth(cell))).join('  ').trimEnd();
+    return [renderRow(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(renderRow)].join('\n');
+}
+
+/**
+ * 转义CSV字段
+ * @param {string} value - 字段值
+ * @returns {string} 转义后的字段
+ */
+function escapeCsv(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * 按列定义提取表格行
+ * @param {Array} items - 数据列表
+ * @param {Array} columns - 列定义
+ * @param {number} digits - 价格小数位数
+ * @returns {Array} 字符串二维数组
+ */
+function toRows(items, columns, digits) {
+    return items.map(item => columns.map(column => formatCell(item[column.key], column, digits)));
+}
+
+/**
+ * 列出CSV数据集的列定义和数据行
+ * @param {Object} output - calculate()的返回值
+ * @param {string} dataset - 数据集(见CSV_DATASETS)
+ * @returns {Object} { columns, items }
+ */
+function listCsvDataset(output, dataset) {
+    const { result, findings } = output;
+    if (dataset === 'drawdown') {
+        return { columns: DRAWDOWN_COLUMNS, items: result.drawdownAnalysis };
+    }
+    if (dataset === 'metrics') {
+        const items = [
+            { key: 'symbol', label: '交易品种', value: result.symbol },
+            { key: 'totalVolume', label: '总交易手数', value: result.totalVolume },
+            { key: 'avgCostPrice', label: '平均成本价', value: result.avgCostPrice }
+        ].concat(RISK_METRIC_ROWS.map(row => ({ key: row.key, label: row.label, value: result.riskMetrics[row.key] })));
+        return { columns: METRIC_COLUMNS, items };
+    }
+    if (dataset === 'advice') {
+        const items = findings.map(finding => ({
+            id: finding.id,
+            severity: finding.severity,
+            message: finding.message,
+            suggestion: finding.suggestion ? finding.suggestion.summary : null
+        }));
+        return { columns: ADVICE_COLUMNS, items };
+    }
+    return { columns: POSITION_COLUMNS, items: result.positions };
+}
+
+/**
+ * 生成输出文本
+ * @param {Object} output - calculate()的返回值
+ * @param {Object} options - 命令行选项
+ * @returns {string} 输出文本
+ */
+function renderOutput(output, options) {
+    const { params, result, advice, findings } = output;
+    const digits = result.instrumentContext.digits;
+
+    if (options.format === 'json') {
+        return JSON.stringify({
+            params,
+            positions: result.positions,
+            hedgePositions: result.hedgePositions,
+            totalVolume: result.totalVolume,
+            avgCostPrice: result.avgCostPrice,
+            riskMetrics: result.riskMetrics,
+            drawdownAnalysis: result.drawdownAnalysis,
+            advice: advice.split('\n'),
+            findings
+        }, null, 2);
+    }
+
+    if (options.format === 'csv') {
+        const { columns, items } = listCsvDataset(output, options.data);
+        // CSV保留完整精度，便于在其他工具中复核
+        const rows = items.map(item => columns.map(column => {
+            const value = item[column.key];
+            return value === null || value === undefined ? '' : escapeCsv(String(value));
+        }));
+        return [columns.map(column => column.key).join(','), ...rows.map(row => row.join(','))].join('\n');
+    }
+
+    const metricRows = RISK_METRIC_ROWS.map(row => [
+        row.label,
+        result.riskMetrics[row.key] === null ? '未触及' : formatCell(result.riskMetrics[row.key], row, digits)
+    ]);
+    metricRows.unshift(
+        ['交易品种', result.symbol],
+        ['总交易手数', result.totalVolume.toFixed(2)],
+        ['平均成本价', result.avgCostPrice.toFixed(digits)]
+    );
+
+    return [
+        '📋 仓位构建',
+        renderTable(POSITION_COLUMNS.map(column => column.label), toRows(result.positions, POSITION_COLUMNS, digits)),
+        '',
+        '📊 风险指标',
+        renderTable(['指标', '数值'], metricRows),
+        '',
+        '💡 风险建议',
+        ...findings.map(finding => finding.suggestion
+            ? `${finding.message}\n   ↳ 建议修改: ${finding.suggestion.summary}`
+            : finding.message)
+    ].join('\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`dca-calc: ${error.message}\n\n${HELP_TEXT}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        process.stdout.write(HELP_TEXT);
+        return;
+    }
+
+    try {
+        process.stdout.write(renderOutput(calculate(options.params), options) + '\n');
+    } catch (error) {
+        const messages = error.errors || [error.message];
+        process.stderr.write(messages.map(message => `dca-calc: ${message}`).join('\n') + '\n');
+        process.exitCode = 1;
+    }
+}
+
+main();
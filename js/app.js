@@ -1,22 +1,39 @@
 // Vue 3 cTrader DCA cBot 参数优化应用
 
-const { createApp, ref, reactive, computed } = Vue;
+const { createApp, ref, reactive, computed, watch, shallowRef, nextTick } = Vue;
 
 createApp({
     setup() {
         // 响应式数据：cBot输入参数
         const inputParams = reactive({
+            symbol: DEFAULT_SYMBOL,      // 交易品种
+            quoteRate: 1,                // 报价货币兑USD汇率
             pipStep: 5,                  // DCA间距(点数)
+            ...DEFAULT_SPACING_SETTINGS, // 间距模式及递增/自定义/ATR间距参数
             firstVolume: 1,              // 首次仓位手数
             volumeExponent: 1,           // 仓位倍数指数
+            ...DEFAULT_VOLUME_SETTINGS,  // 手数模式及经纪商手数规格
             maxPositions: 20,            // 最大仓位数
             maxDrawdownPips: 200,        // 预期最大回撤点数
-            pipValue: 10                 // 每点价值(USD)
+            direction: 'buy',            // 网格方向(buy/sell/hedge)
+            takeProfitMode: 'basket',    // 止盈模式(none/basket/perLayer)
+            takeProfitPips: 10,          // 止盈点数
+            ...DEFAULT_ACCOUNT_SETTINGS, // 账户余额、杠杆、追加保证金/强制平仓水平
+            ...DEFAULT_TRADING_COSTS,    // 点差、佣金、隔夜利息、预期持仓天数
+            ...DEFAULT_ANALYSIS_SETTINGS, // 回撤分析采样方式
+            ...DEFAULT_RISK_POLICY,      // 风险阈值方式及中/高风险阈值
+            ...DEFAULT_BASKET_SETTINGS   // 仓位组模式、起始价格、当前价格及已有持仓
         });
 
         // 响应式数据：计算结果
         const calculationResults = reactive({
+            direction: 'buy',
+            takeProfit: { mode: 'none', pips: 0 },
+            symbol: DEFAULT_SYMBOL,
+            instrumentContext: null,
+            referencePrice: 0,
             positions: [],
+            hedgePositions: [],
             totalVolume: 0,
             totalInvestment: 0,
             avgCostPrice: 0,
@@ -24,22 +41,167 @@ createApp({
             riskMetrics: {
                 maxPossibleLoss: 0,
                 breakEvenPips: 0,
+                breakEvenPrice: 0,
                 marginRequired: 0,
                 riskRewardRatio: 0,
-                positionSizeRisk: 0
+                positionSizeRisk: 0,
+                equityAtMaxDrawdown: 0,
+                marginCallPips: null,
+                stopOutPips: null,
+                tradingCosts: { spread: 0, commission: 0, swap: 0, total: 0 }
+            },
+            openBasket: null
+        });
+
+        // 当前选中的交易品种及派生的每点价值
+        const currentInstrument = computed(() => getInstrument(inputParams.symbol));
+        const instrumentContext = computed(() => resolveInstrumentContext(inputParams));
+
+        // 计算结果对应的品种（结果展示以实际参与计算的品种为准）
+        const resultInstrument = computed(() => getInstrument(calculationResults.symbol));
+        const leverageLabel = computed(() => {
+            const context = calculationResults.instrumentContext || instrumentContext.value;
+            return Math.round(1 / context.marginRate) + 'x';
+        });
+
+        // 切换品种时带入该品种的默认汇率
+        watch(() => inputParams.symbol, (symbol, oldSymbol) => {
+            if (oldSymbol !== undefined && symbol !== oldSymbol) {
+                inputParams.quoteRate = getInstrument(symbol).defaultQuoteRate;
             }
         });
 
+        // 参数优化设置：各参数的搜索范围、约束条件和优化目标
+        const optimizerSettings = reactive({
+            ranges: {
+                pipStep: { min: 10, max: 50, step: 10 },
+                firstVolume: { min: 0.01, max: 0.1, step: 0.03 },
+                volumeExponent: { min: 1, max: 2, step: 0.25 },
+                maxPositions: { min: 5, max: 15, step: 5 }
+            },
+            constraints: {
+                maxLossBudget: 2000,
+                minMarginLevel: 100,
+                minStopOutPips: 200
+            },
+            objective: 'maxProfit'
+        });
+        const optimizerState = reactive({
+            isRunning: false,
+            progress: 0,
+            error: '',
+            total: 0,
+            evaluated: 0,
+            feasibleCount: 0
+        });
+        const optimizerResults = shallowRef([]);
+        let optimizerWorker = null;
+
+        // 蒙特卡洛模拟设置：价格模型、路径数量、步数、波动率、漂移和随机种子
+        const monteCarloSettings = reactive({
+            model: 'randomWalk',
+            paths: 500,
+            steps: 1000,
+            volatility: 10,
+            drift: 0,
+            seed: 12345
+        });
+        const monteCarloState = reactive({
+            isRunning: false,
+            progress: 0,
+            error: ''
+        });
+        const monteCarloResult = shallowRef(null);
+        let monteCarloWorker = null;
+
+        // cTrader cBot参数集映射和导入状态
+        const cbotsetMapping = reactive({ ...DEFAULT_CBOTSET_MAPPING });
+        const cbotsetState = reactive({
+            showMapping: false,
+            message: '',
+            error: ''
+        });
+
+        // 多方案对比：方案列表持久化到本地存储，计算结果使用shallowRef
+        const scenarios = reactive([]);
+        const newScenarioName = ref('');
+        const scenarioComparison = shallowRef([]);
+
+        // 参数库：用户保存的命名参数组持久化到本地存储，内置策略模板随程序提供
+        const parameterLibrary = reactive([]);
+        const libraryState = reactive({
+            newName: '',
+            newTags: '',
+            tagFilter: '',
+            message: '',
+            error: ''
+        });
+        const libraryEntries = computed(() => {
+            const entries = PARAMETER_PRESETS.concat(parameterLibrary);
+            return libraryState.tagFilter
+                ? entries.filter(entry => entry.tags.includes(libraryState.tagFilter))
+                : entries;
+        });
+        const libraryTags = computed(() => parseTags(
+            PARAMETER_PRESETS.concat(parameterLibrary).reduce((tags, entry) => tags.concat(entry.tags), [])
+        ));
+
+        // 分享链接的恢复和复制提示
+        const shareState = reactive({
+            message: '',
+            error: ''
+        });
+
+        // 应用风险建议的提示信息
+        const adviceState = reactive({
+            message: '',
+            error: ''
+        });
+
+        // 产生当前计算结果的参数快照，风险建议据此生成参数修改建议
+        let calculatedParams = {};
+
+        // 风险报告的标题、备注和导出提示
+        const reportState = reactive({
+            title: '',
+            notes: '',
+            message: '',
+            error: ''
+        });
+
+        // 表格导出：各数据集选中的列和CSV数字格式持久化到本地存储
+        const exportSettings = reactive({
+            locale: 'en-US',
+            columns: {
+                positions: getDefaultExportColumns('positions'),
+                drawdown: getDefaultExportColumns('drawdown')
+            }
+        });
+        const exportState = reactive({
+            message: '',
+            error: ''
+        });
+
         // 错误信息和状态
         const errorMessage = ref('');
         const isCalculating = ref(false);
 
+        // 实时计算：参数变化后防抖重新计算，可选同时自动保存参数
+        const LIVE_CALCULATION_DELAY = 300;
+        const liveSettings = reactive({
+            autoCalculate: true,
+            autoSave: false
+        });
+        let liveCalculationTimer = null;
+
         // 调试面板相关数据
         const showDebugPanel = ref(false);
         const debugInfo = reactive({
             calculationSteps: [],
             potentialErrors: [],
-            referencePrice: 1.00000
+            referencePrice: getInstrument(DEFAULT_SYMBOL).referencePrice,
+            digits: getInstrument(DEFAULT_SYMBOL).digits,
+            tradingCosts: null
         });
         const formulaVerification = ref(null);
         
@@ -48,7 +210,11 @@ createApp({
             charts: false,
             calculation: true, // 默认折叠计算详情，为图表腾出空间
             actions: true, // 默认折叠快捷操作
-            verification: true // 默认折叠公式验证
+            verification: true, // 默认折叠公式验证
+            backtest: true, // 默认折叠历史回测
+            history: true, // 默认折叠实盘记录对比
+            monteCarlo: true, // 默认折叠蒙特卡洛模拟
+            costs: false // 默认展开交易成本明细
         });
         const chartAnimationEnabled = ref(true);
         const fullscreenMode = ref({
@@ -59,11 +225,51 @@ createApp({
         // ECharts图表实例 - 使用普通变量避免Vue3响应式干扰
         let charts = {
             positionChart: null,
-            drawdownChart: null
+            drawdownChart: null,
+            backtestChart: null,
+            monteCarloEquityChart: null,
+            monteCarloDepthChart: null,
+            scenarioChart: null
+        };
+
+        // 回撤曲线超过该点数时视为密集采样：关闭平滑，只显示触发点标记
+        const DENSE_DRAWDOWN_POINTS = 1000;
+
+        // 历史回测：行情数据使用普通变量保存，结果使用shallowRef避免深度响应式开销
+        let backtestBars = null;
+        const backtestState = reactive({
+            fileName: '',
+            barCount: 0,
+            skippedRows: 0,
+            error: '',
+            isRunning: false
+        });
+        const backtestResult = shallowRef(null);
+
+        // 实盘记录对比：导入的持仓记录使用普通变量保存，对比结果使用shallowRef
+        let historyTrades = null;
+        const historyState = reactive({
+            fileName: '',
+            tradeCount: 0,
+            skippedRows: 0,
+            error: '',
+            selectedBasketId: null
+        });
+        const historyAnalysis = shallowRef(null);
+
+        // 保证金状态显示
+        const MARGIN_STATUS_LABELS = {
+            normal: { label: '正常', color: '#28a745' },
+            marginCall: { label: '追加保证金', color: '#ffa726' },
+            stopOut: { label: '强制平仓', color: '#dc3545' }
         };
 
         // 计算DCA cBot风险分析的主要方法
         function calculateDCA() {
+            // 已开始计算，取消等待中的实时计算
+            clearTimeout(liveCalculationTimer);
+            liveCalculationTimer = null;
+
             try {
                 // 清除之前的错误信息
                 errorMessage.value = '';
@@ -82,6 +288,7 @@ createApp({
                 const result = calculateDCABot(inputParams);
 
                 // 更新计算结果
+                calculatedParams = { ...inputParams };
                 Object.assign(calculationResults, result);
 
                 // 生成调试信息
@@ -106,7 +313,13 @@ createApp({
         // 重置计算结果
         function resetCalculationResults() {
             Object.assign(calculationResults, {
+                direction: 'buy',
+                takeProfit: { mode: 'none', pips: 0 },
+                symbol: DEFAULT_SYMBOL,
+                instrumentContext: null,
+                referencePrice: 0,
                 positions: [],
+                hedgePositions: [],
                 totalVolume: 0,
                 totalInvestment: 0,
                 avgCostPrice: 0,
@@ -114,10 +327,16 @@ createApp({
                 riskMetrics: {
                     maxPossibleLoss: 0,
                     breakEvenPips: 0,
+                    breakEvenPrice: 0,
                     marginRequired: 0,
                     riskRewardRatio: 0,
-                    positionSizeRisk: 0
-                }
+                    positionSizeRisk: 0,
+                    equityAtMaxDrawdown: 0,
+                    marginCallPips: null,
+                    stopOutPips: null,
+                    tradingCosts: { spread: 0, commission: 0, swap: 0, total: 0 }
+                },
+                openBasket: null
             });
         }
 
@@ -135,12 +354,12 @@ createApp({
             }).format(amount);
         }
 
-        // 格式化价格显示（5位小数）
-        function formatPrice(price) {
+        // 格式化价格显示（按计算品种的报价小数位数）
+        function formatPrice(price, digits = resultInstrument.value.digits) {
             if (typeof price !== 'number' || isNaN(price)) {
-                return '0.00000';
+                return (0).toFixed(digits);
             }
-            return price.toFixed(5);
+            return price.toFixed(digits);
         }
 
         // 格式化手数显示
@@ -159,16 +378,44 @@ createApp({
             return pips.toFixed(0) + '点';
         }
 
-        // 计算风险建议
-        const riskAdvice = computed(() => {
+        // 格式化网格方向显示
+        function formatDirection(direction) {
+            return DCA_DIRECTIONS[direction] ? DCA_DIRECTIONS[direction].label : direction;
+        }
+
+        // 仓位表格数据：对冲模式下同时列出反方向网格
+        const tablePositions = computed(() => {
+            return calculationResults.positions.concat(calculationResults.hedgePositions || []);
+        });
+
+        // 计算风险建议：按规则表生成的结构化建议
+        const riskFindings = computed(() => {
             if (calculationResults.totalVolume === 0) {
-                return '';
+                return [];
             }
             
-            return generateDCABotAdvice(calculationResults);
+            return evaluateAdviceRules(calculationResults, calculatedParams);
         });
 
+        // 风险建议文本（导出和报告使用）
+        const riskAdvice = computed(() => riskFindings.value.map(finding => finding.message).join('\n'));
 
+        // 将风险建议中的参数修改写入表单并重新计算
+        function applyAdviceSuggestion(finding) {
+            if (!finding.suggestion) return;
+
+            const changes = { ...finding.suggestion.changes };
+            const validation = validateDCABotParams({ ...inputParams, ...changes });
+            if (!validation.isValid) {
+                adviceState.message = '';
+                adviceState.error = '建议的参数无效：' + validation.errors.join('；');
+                return;
+            }
+
+            adviceState.error = '';
+            adviceState.message = '已应用建议：' + finding.suggestion.summary;
+            applyInputParams(changes).then(calculateDCA);
+        }
 
         // 导出计算结果
         function exportResults() {
@@ -181,6 +428,7 @@ createApp({
                 inputParams: { ...inputParams },
                 calculationResults: { ...calculationResults },
                 riskAdvice: riskAdvice.value,
+                riskFindings: riskFindings.value,
                 timestamp: new Date().toISOString(),
                 version: '1.0',
                 type: 'cTrader_DCA_cBot_Analysis'
@@ -197,15 +445,238 @@ createApp({
             console.log('分析结果已导出');
         }
 
+        // 将图表配置离屏渲染为PNG图片（不依赖调试面板是否打开）
+        function renderChartImage(option) {
+            if (typeof echarts === 'undefined') return '';
+
+            const container = document.createElement('div');
+            container.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 900px; height: 450px;';
+            document.body.appendChild(container);
+            const chart = echarts.init(container, null, { width: 900, height: 450 });
+            try {
+                chart.setOption({ ...option, animation: false });
+                return chart.getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: '#fff' });
+            } finally {
+                chart.dispose();
+                container.remove();
+            }
+        }
+
+        // 生成当前分析结果的风险报告HTML
+        function createRiskReport() {
+            if (calculationResults.totalVolume === 0) {
+                reportState.error = '请先进行分析计算！';
+                reportState.message = '';
+                return null;
+            }
+
+            reportState.error = '';
+            return buildRiskReport({
+                title: reportState.title,
+                notes: reportState.notes,
+                params: { ...calculatedParams },
+                results: calculationResults,
+                advice: riskAdvice.value,
+                chartImages: {
+                    position: renderChartImage(buildPositionChartOption()),
+                    drawdown: renderChartImage(buildDrawdownChartOption())
+                }
+            });
+        }
+
+        // 导出自包含的HTML风险报告
+        function exportReportHtml() {
+            const html = createRiskReport();
+            if (!html) return;
+
+            const dataBlob = new Blob([html], { type: 'text/html;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `dca-risk-report-${calculatedParams.symbol}-${new Date().toISOString().split('T')[0]}.html`;
+            link.click();
+
+            reportState.message = '已导出HTML风险报告';
+            console.log('风险报告已导出');
+        }
+
+        // 在隐藏的iframe中打开风险报告并调用浏览器打印，可选择"另存为PDF"
+        function printReport() {
+            const html = createRiskReport();
+            if (!html) return;
+
+            const frame = document.createElement('iframe');
+            frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+            frame.onload = () => {
+                const frameWindow = frame.contentWindow;
+                frameWindow.addEventListener('afterprint', () => frame.remove());
+                frameWindow.focus();
+                frameWindow.print();
+            };
+            frame.srcdoc = html;
+            document.body.appendChild(frame);
+
+            reportState.message = '已打开打印对话框，目标打印机选择"另存为PDF"即可保存PDF报告';
+        }
+
+        // 导出仓位构建或回撤分析数据为CSV（参数写在文件开头）
+        function exportCsv(dataset) {
+            if (calculationResults.totalVolume === 0) {
+                exportState.error = '请先进行分析计算！';
+                exportState.message = '';
+                return;
+            }
+            if (exportSettings.columns[dataset].length === 0) {
+                exportState.error = '请至少选择一列';
+                exportState.message = '';
+                return;
+            }
+
+            const csv = buildCsvExport({
+                dataset,
+                columns: exportSettings.columns[dataset],
+                locale: exportSettings.locale,
+                params: { ...calculatedParams },
+                results: calculationResults
+            });
+            const dataBlob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `dca-${dataset}-${calculatedParams.symbol}-${new Date().toISOString().split('T')[0]}.csv`;
+            link.click();
+
+            exportState.error = '';
+            exportState.message = `已导出${SPREADSHEET_DATASETS[dataset].label}CSV`;
+            console.log('CSV已导出:', dataset);
+        }
+
+        // 导出Excel工作簿：参数、仓位构建和回撤分析各一个工作表
+        function exportXlsx() {
+            if (calculationResults.totalVolume === 0) {
+                exportState.error = '请先进行分析计算！';
+                exportState.message = '';
+                return;
+            }
+            if (exportSettings.columns.positions.length === 0 && exportSettings.columns.drawdown.length === 0) {
+                exportState.error = '请至少选择一列';
+                exportState.message = '';
+                return;
+            }
+
+            const xlsx = buildXlsxExport({
+                columns: exportSettings.columns,
+                params: { ...calculatedParams },
+                results: calculationResults
+            });
+            const dataBlob = new Blob([xlsx], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `dca-cbot-${calculatedParams.symbol}-${new Date().toISOString().split('T')[0]}.xlsx`;
+            link.click();
+
+            exportState.error = '';
+            exportState.message = '已导出Excel工作簿';
+            console.log('Excel工作簿已导出');
+        }
+
+        // 恢复数据集的默认导出列
+        function resetExportColumns(dataset) {
+            exportSettings.columns[dataset] = getDefaultExportColumns(dataset);
+            saveExportSettings();
+        }
+
+        // 导出当前参数为cTrader cBot参数集(.cbotset)
+        function exportCbotset() {
+            const validation = validateDCABotParams(inputParams);
+            if (!validation.isValid) {
+                cbotsetState.error = validation.errors.join('；');
+                cbotsetState.message = '';
+                return;
+            }
+
+            const dataBlob = new Blob([buildCbotset(inputParams, cbotsetMapping)], { type: 'application/json' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `dca-cbot-${inputParams.symbol}-${new Date().toISOString().split('T')[0]}.cbotset`;
+            link.click();
+
+            cbotsetState.error = '';
+            cbotsetState.message = '已导出cBot参数集';
+            console.log('cBot参数集已导出');
+        }
+
+        // 从cTrader cBot参数集(.cbotset)导入参数
+        async function handleCbotsetImport(event) {
+            const file = event.target.files && event.target.files[0];
+            if (!file) return;
+
+            try {
+                const { params, missing } = parseCbotset(await file.text(), cbotsetMapping, inputParams.symbol);
+                Object.assign(inputParams, params);
+                cbotsetState.error = '';
+                cbotsetState.message = missing.length > 0
+                    ? `已导入 ${file.name}，未找到参数：${missing.join('、')}`
+                    : `已导入 ${file.name}`;
+                console.log('已导入cBot参数集:', params);
+                calculateDCA();
+            } catch (error) {
+                cbotsetState.message = '';
+                cbotsetState.error = '参数集导入失败：' + error.message;
+            } finally {
+                // 允许重复选择同一文件
+                event.target.value = '';
+            }
+        }
+
+        // 保存参数名映射到本地存储
+        function saveCbotsetMapping() {
+            try {
+                localStorage.setItem('dcaCbotsetMapping', JSON.stringify(cbotsetMapping));
+            } catch (error) {
+                console.warn('无法保存参数名映射到本地存储:', error);
+            }
+        }
+
+        // 从本地存储加载参数名映射
+        function loadCbotsetMapping() {
+            try {
+                const saved = localStorage.getItem('dcaCbotsetMapping');
+                if (saved) {
+                    Object.assign(cbotsetMapping, JSON.parse(saved));
+                }
+            } catch (error) {
+                console.warn('无法从本地存储加载参数名映射:', error);
+            }
+        }
+
+        // 恢复默认参数名映射
+        function resetCbotsetMapping() {
+            Object.assign(cbotsetMapping, DEFAULT_CBOTSET_MAPPING);
+            saveCbotsetMapping();
+        }
+
         // 重置表单到默认值
         function resetToDefaults() {
             Object.assign(inputParams, {
+                symbol: DEFAULT_SYMBOL,
+                quoteRate: 1,
                 pipStep: 5,
+                ...DEFAULT_SPACING_SETTINGS,
                 firstVolume: 1,
                 volumeExponent: 1,
+                ...DEFAULT_VOLUME_SETTINGS,
                 maxPositions: 20,
                 maxDrawdownPips: 200,
-                pipValue: 10
+                direction: 'buy',
+                takeProfitMode: 'basket',
+                takeProfitPips: 10,
+                ...DEFAULT_ACCOUNT_SETTINGS,
+                ...DEFAULT_TRADING_COSTS,
+                ...DEFAULT_ANALYSIS_SETTINGS,
+                ...DEFAULT_RISK_POLICY,
+                ...DEFAULT_BASKET_SETTINGS
             });
 
             resetCalculationResults();
@@ -214,12 +685,11 @@ createApp({
             console.log('已重置为默认参数');
         }
 
-        // 计算总投资需求（估算）
+        // 计算总投资需求：全部仓位开满时按账户杠杆和品种保证金比例所需的保证金
         const totalInvestmentRequired = computed(() => {
             if (calculationResults.totalVolume === 0) return 0;
             
-            // 简化估算：总手数 × 参考价格 ÷ 杠杆比例（假设100倍）
-            return (calculationResults.totalVolume * 1.0) / 100;
+            return calculateMarginRequired(calculationResults.totalVolume, calculationResults.referencePrice, calculationResults.instrumentContext);
         });
 
         // 计算最大仓位手数
@@ -231,13 +701,29 @@ createApp({
 
         // 计算风险等级
         const riskLevel = computed(() => {
-            const maxLoss = calculationResults.riskMetrics.maxPossibleLoss;
-            
-            if (maxLoss > 10000) return { level: 'HIGH', color: '#dc3545', label: '高风险' };
-            if (maxLoss > 5000) return { level: 'MEDIUM', color: '#ffa726', label: '中风险' };
-            return { level: 'LOW', color: '#28a745', label: '低风险' };
+            const key = findRiskLevelKey(calculationResults.riskMetrics.riskLevel);
+            return { level: key.toUpperCase(), ...RISK_LEVELS[key] };
         });
 
+        // 按风险等级名称查找RISK_LEVELS中的键，未知名称视为低风险
+        function findRiskLevelKey(label) {
+            return Object.keys(RISK_LEVELS).find(key => RISK_LEVELS[key].label === label) || 'low';
+        }
+
+        // 切换风险阈值方式时载入该方式的默认阈值
+        function applyRiskThresholdDefaults() {
+            const mode = RISK_THRESHOLD_MODES[inputParams.riskThresholdMode];
+            if (mode) {
+                Object.assign(inputParams, mode.defaults);
+            }
+        }
+
+        // 切换交易品种时清空起始价格和当前价格（价格水平随品种不同）
+        function resetPriceInputs() {
+            inputParams.startPrice = 0;
+            inputParams.currentPrice = 0;
+        }
+
         // 自动保存参数到本地存储
         function saveParametersToLocal() {
             try {
@@ -259,6 +745,8 @@ createApp({
                     const params = JSON.parse(saved);
                     // 移除时间戳，只恢复参数
                     delete params.savedAt;
+                    // 旧版本手动输入的每点价值已改为按品种自动换算
+                    delete params.pipValue;
                     Object.assign(inputParams, params);
                     
                     console.log('已从本地存储恢复参数');
@@ -270,6 +758,92 @@ createApp({
             return false;
         }
 
+        // 将一组参数写入表单，返回在参数生效后resolve的Promise
+        // 切换品种时会带入该品种的默认汇率，参数中的汇率需在其后重新写入
+        function applyInputParams(params) {
+            Object.assign(inputParams, params);
+            return nextTick(() => {
+                if (params.quoteRate !== undefined) {
+                    inputParams.quoteRate = params.quoteRate;
+                }
+            });
+        }
+
+        // 复制包含当前参数和对比方案的分享链接
+        async function copyShareLink() {
+            const validation = validateDCABotParams(inputParams);
+            if (!validation.isValid) {
+                shareState.message = '';
+                shareState.error = '当前参数无效，无法生成分享链接：' + validation.errors.join('；');
+                return;
+            }
+
+            const url = window.location.href.split('#')[0] + '#' + buildShareHash(inputParams, scenarios);
+            shareState.error = '';
+            try {
+                await navigator.clipboard.writeText(url);
+                shareState.message = '分享链接已复制到剪贴板';
+            } catch (error) {
+                // 剪贴板不可用(如非HTTPS页面)时让用户手动复制
+                window.prompt('请复制以下分享链接：', url);
+                shareState.message = '已生成分享链接';
+            }
+        }
+
+        // 从分享链接恢复参数和对比方案，链接无效时保持原参数并提示
+        function loadParametersFromUrl() {
+            const shared = parseShareHash(window.location.hash, inputParams);
+            if (!shared) {
+                return false;
+            }
+
+            // 恢复后移除hash，之后刷新页面使用本地保存的参数
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+
+            const errors = shared.errors.slice();
+            const validation = validateDCABotParams({ ...inputParams, ...shared.params });
+            errors.push(...validation.errors);
+            shared.scenarios.forEach(scenario => {
+                const scenarioValidation = validateDCABotParams(scenario.params);
+                if (!scenarioValidation.isValid) {
+                    errors.push(`${scenario.name}: ${scenarioValidation.errors.join('；')}`);
+                }
+            });
+            if (errors.length > 0) {
+                shareState.message = '';
+                shareState.error = '分享链接中的参数无效，已忽略该链接：' + errors.join('；');
+                return false;
+            }
+
+            applyInputParams(shared.params);
+
+            // 链接中的方案追加到本地方案列表，同名且参数相同的方案不重复添加
+            shared.scenarios.forEach(scenario => {
+                const exists = scenarios.some(item => item.name === scenario.name &&
+                    JSON.stringify(item.params) === JSON.stringify(scenario.params));
+                if (!exists) {
+                    scenarios.push(createScenario(scenario.name, scenario.params));
+                }
+            });
+            if (shared.scenarios.length > 0) {
+                saveScenariosToLocal();
+            }
+
+            shareState.error = '';
+            shareState.message = shared.ignored.length > 0
+                ? `已从分享链接恢复参数，忽略未知参数：${shared.ignored.join('、')}`
+                : '已从分享链接恢复参数';
+            console.log('已从分享链接恢复参数:', shared.params);
+            return true;
+        }
+
+        // 在已打开的页面中粘贴新的分享链接时重新恢复并计算
+        function handleHashChange() {
+            if (loadParametersFromUrl()) {
+                nextTick(calculateDCA);
+            }
+        }
+
         // 调试面板控制方法（模态框模式）
         function toggleDebugPanel() {
             showDebugPanel.value = !showDebugPanel.value;
@@ -299,6 +873,18 @@ createApp({
                     charts.drawdownChart.dispose();
                     charts.drawdownChart = null;
                 }
+                if (charts.backtestChart) {
+                    charts.backtestChart.dispose();
+                    charts.backtestChart = null;
+                }
+                if (charts.monteCarloEquityChart) {
+                    charts.monteCarloEquityChart.dispose();
+                    charts.monteCarloEquityChart = null;
+                }
+                if (charts.monteCarloDepthChart) {
+                    charts.monteCarloDepthChart.dispose();
+                    charts.monteCarloDepthChart = null;
+                }
             }
             
             console.log('调试面板已', showDebugPanel.value ? '开启' : '关闭');
@@ -337,34 +923,53 @@ createApp({
 
             const verification = [];
             
-            // 验证第一个仓位的计算
+            // 验证第一个仓位的计算（已有持仓按实际入场价格和手数，不做公式验证）
             const firstPos = calculationResults.positions[0];
-            verification.push({
-                name: '第1层入场价格',
-                formula: `1.00000 - (0 * ${inputParams.pipStep} * 0.0001)`,
-                result: firstPos.entryPrice.toFixed(5),
-                status: firstPos.entryPrice === 1.00000 ? 'ok' : 'warning'
-            });
+            const { referencePrice } = calculationResults;
+            const { pipSize, pipValue } = calculationResults.instrumentContext;
+            const priceOperator = firstPos.side === 'sell' ? '+' : '-';
+            if (!firstPos.open) {
+                verification.push({
+                    name: '第1层入场价格',
+                    formula: `${formatPrice(referencePrice)} ${priceOperator} (0 * ${pipSize})`,
+                    result: formatPrice(firstPos.entryPrice),
+                    status: firstPos.entryPrice === referencePrice ? 'ok' : 'warning'
+                });
+            }
 
-            verification.push({
-                name: '第1层仓位手数',
-                formula: `${inputParams.firstVolume} * ${inputParams.volumeExponent}^0`,
-                result: firstPos.volume.toFixed(2),
-                status: firstPos.volume === inputParams.firstVolume ? 'ok' : 'warning'
-            });
+            // 验证最后一层入场价格（按间距模式累计的距离）
+            const lastPos = calculationResults.positions[calculationResults.positions.length - 1];
+            if (!lastPos.open) {
+                const expectedLastPrice = referencePrice - getSideSign(lastPos.side) * lastPos.pipDistance * pipSize;
+                verification.push({
+                    name: `第${lastPos.level}层入场价格`,
+                    formula: `${formatPrice(referencePrice)} ${priceOperator} (${lastPos.pipDistance} * ${pipSize})`,
+                    result: formatPrice(lastPos.entryPrice),
+                    status: Math.abs(lastPos.entryPrice - expectedLastPrice) < pipSize * 1e-6 ? 'ok' : 'warning'
+                });
+            }
+
+            if (!firstPos.open) {
+                verification.push({
+                    name: '第1层仓位手数',
+                    formula: describeLayerVolumeFormula(inputParams, 0),
+                    result: firstPos.volume.toFixed(2),
+                    status: firstPos.volume === normalizeVolume(inputParams.firstVolume, inputParams) ? 'ok' : 'warning'
+                });
+            }
 
             // 验证平均成本价计算
             verification.push({
                 name: '平均成本价',
                 formula: '∑(入场价格 * 手数) / 总手数',
-                result: calculationResults.avgCostPrice.toFixed(5),
+                result: formatPrice(calculationResults.avgCostPrice),
                 status: calculationResults.avgCostPrice > 0 ? 'ok' : 'warning'
             });
 
             // 验证最大可能亏损
             verification.push({
                 name: '最大可能亏损',
-                formula: `点数差 * ${calculationResults.totalVolume.toFixed(2)} * ${inputParams.pipValue}`,
+                formula: `点数差 * ${calculationResults.totalVolume.toFixed(2)} * ${pipValue.toFixed(2)}`,
                 result: formatCurrency(calculationResults.riskMetrics.maxPossibleLoss),
                 status: calculationResults.riskMetrics.maxPossibleLoss > 0 ? 'ok' : 'warning'
             });
@@ -418,11 +1023,17 @@ createApp({
         function updatePositionChart() {
             if (!charts.positionChart) return;
 
+            charts.positionChart.setOption(buildPositionChartOption());
+        }
+
+        // 仓位构建图表配置（调试面板与风险报告共用）
+        function buildPositionChartOption() {
+            const directionLabel = formatDirection(calculationResults.direction);
             const option = {
                 animation: chartAnimationEnabled.value,
                 animationDuration: chartAnimationEnabled.value ? 800 : 0,
                 title: {
-                    text: '各层DCA仓位分布',
+                    text: `各层DCA仓位分布（${directionLabel}）`,
                     left: 'center',
                     textStyle: { fontSize: 14 }
                 },
@@ -433,15 +1044,19 @@ createApp({
                         const data = params[0];
                         const pos = calculationResults.positions[data.dataIndex];
                         return `层级: ${pos.level}<br/>` +
-                               `入场价格: ${pos.entryPrice.toFixed(5)}<br/>` +
+                               `方向: ${formatDirection(pos.side)}<br/>` +
+                               `入场价格: ${formatPrice(pos.entryPrice)}<br/>` +
                                `仓位手数: ${pos.volume.toFixed(2)}<br/>` +
+                               (Math.abs(pos.rawVolume - pos.volume) > 1e-9 ? `取整前手数: ${pos.rawVolume.toFixed(4)}<br/>` : '') +
                                `距离起始: ${pos.pipDistance}点<br/>` +
+                               (pos.level > 1 ? `本层间距: ${pos.stepPips}点<br/>` : '') +
+                               (pos.takeProfitPrice !== null ? `止盈价格: ${formatPrice(pos.takeProfitPrice)}<br/>` : '') +
                                `累计手数: ${pos.cumulativeVolume.toFixed(2)}`;
                     }
                 },
                 xAxis: {
                     type: 'category',
-                    data: calculationResults.positions.map(p => `第${p.level}层`),
+                    data: calculationResults.positions.map(p => `第${p.level}层\n${p.pipDistance}点`),
                     axisLabel: { rotate: 45 }
                 },
                 yAxis: {
@@ -455,12 +1070,9 @@ createApp({
                     data: calculationResults.positions.map(p => p.volume),
                     itemStyle: {
                         color: function(params) {
-                            // 根据手数大小设置颜色
-                            const volume = params.value;
-                            const firstVolume = inputParams.firstVolume;
-                            if (volume > firstVolume * 5) return '#FF6B6B'; // 红色 - 高风险
-                            if (volume > firstVolume * 2) return '#FFB347'; // 橙色 - 中风险
-                            return '#4ECDC4'; // 蓝绿色 - 低风险
+                            // 按该层触发时的风险等级设置颜色
+                            const pos = calculationResults.positions[params.dataIndex];
+                            return RISK_LEVELS[findRiskLevelKey(pos && pos.riskLevel)].color;
                         }
                     },
                     emphasis: {
@@ -477,14 +1089,22 @@ createApp({
                 }
             };
 
-            charts.positionChart.setOption(option);
+            return option;
         }
 
         // 更新回撤风险图表
         function updateDrawdownChart() {
             if (!charts.drawdownChart || !calculationResults.drawdownAnalysis) return;
 
+            charts.drawdownChart.setOption(buildDrawdownChartOption());
+        }
+
+        // 回撤风险图表配置（调试面板与风险报告共用）
+        function buildDrawdownChartOption() {
             const drawdownData = calculationResults.drawdownAnalysis;
+            const denseDrawdown = drawdownData.length > DENSE_DRAWDOWN_POINTS;
+            const direction = DCA_DIRECTIONS[calculationResults.direction] || DCA_DIRECTIONS.buy;
+            const nextTriggerIcon = calculationResults.direction === 'sell' ? '⬆️' : '⬇️';
             
             const option = {
                 animation: chartAnimationEnabled.value,
@@ -543,8 +1163,8 @@ createApp({
                         
                         // 确定盈亏颜色和风险颜色
                         const pnlColor = point.floatingPnL >= 0 ? '#28a745' : '#dc3545';
-                        const riskColor = point.riskLevel === '高风险' ? '#dc3545' : 
-                                        point.riskLevel === '中风险' ? '#ffa726' : '#28a745';
+                        const riskColor = RISK_LEVELS[findRiskLevelKey(point.riskLevel)].color;
+                        const marginStatus = MARGIN_STATUS_LABELS[point.marginStatus] || MARGIN_STATUS_LABELS.normal;
                         
                         // 响应式宽度调整
                         const isMobile = window.innerWidth <= 768;
@@ -578,14 +1198,27 @@ createApp({
                             
                             <!-- 详细信息 -->
                             <div style="font-size: ${detailFontSize}; color: #666; line-height: 1.4;">
-                                <div style="margin-bottom: 2px;">💵 累计投入: <strong>${formatCurrency(point.cumulativeInvestment)}</strong></div>
-                                <div style="margin-bottom: 2px;">📊 平均成本: <strong>${point.avgCostPrice.toFixed(5)}</strong></div>
-                                <div style="margin-bottom: 2px;">💎 当前价格: <strong>${point.price.toFixed(5)}</strong></div>
+                                <div style="margin-bottom: 2px;">💵 累计名义价值: <strong>${formatCurrency(point.cumulativeInvestment)}</strong></div>
+                                <div style="margin-bottom: 2px;">📊 平均成本: <strong>${formatPrice(point.avgCostPrice)}</strong></div>
+                                <div style="margin-bottom: 2px;">💎 当前价格: <strong>${formatPrice(point.price)}</strong></div>
                                 ${point.nextDcaTriggerPrice ? 
-                                    `<div style="margin-bottom: 2px;">⬇️ 下层触发: <strong>${point.nextDcaTriggerPrice.toFixed(5)}</strong></div>` : 
+                                    `<div style="margin-bottom: 2px;">${nextTriggerIcon} 下层触发: <strong>${formatPrice(point.nextDcaTriggerPrice)}</strong></div>` : 
                                     `<div style="margin-bottom: 2px; color: #ffa726;">⚠️ 已达最大仓位</div>`
                                 }
-                                <div style="margin-bottom: 4px;">🛡️ 保证金: <strong>${formatCurrency(point.marginRequired)}</strong></div>
+                                ${point.takeProfitPrice !== null ? 
+                                    `<div style="margin-bottom: 2px;">🏁 止盈价格: <strong>${formatPrice(point.takeProfitPrice)}</strong> (回升${point.takeProfitRecoveryPips}点，盈利${formatCurrency(point.takeProfitAmount)})</div>` : ''
+                                }
+                                ${point.hedgePnL ? 
+                                    `<div style="margin-bottom: 2px;">🔁 对冲盈亏: <strong>${formatCurrency(point.hedgePnL)}</strong></div>` : ''
+                                }
+                                ${point.tradingCosts && point.tradingCosts.total !== 0 ? 
+                                    `<div style="margin-bottom: 2px;">💸 交易成本: <strong>${formatCurrency(point.tradingCosts.total)}</strong> (价格盈亏${formatCurrency(point.priceOnlyPnL)})</div>
+                                    <div style="margin-bottom: 2px; padding-left: 1.2em;">点差 ${formatCurrency(point.tradingCosts.spread)} · 佣金 ${formatCurrency(point.tradingCosts.commission)} · 隔夜利息 ${formatCurrency(point.tradingCosts.swap)}</div>` : ''
+                                }
+                                <div style="margin-bottom: 2px;">🛡️ 保证金: <strong>${formatCurrency(point.marginRequired)}</strong></div>
+                                <div style="margin-bottom: 2px;">🏦 净值: <strong>${formatCurrency(point.equity)}</strong></div>
+                                <div style="margin-bottom: 2px;">💳 可用保证金: <strong>${formatCurrency(point.freeMargin)}</strong></div>
+                                <div style="margin-bottom: 4px;">📐 保证金水平: <strong style="color: ${marginStatus.color};">${point.marginLevel !== null ? point.marginLevel.toFixed(1) + '%' : '-'} (${marginStatus.label})</strong></div>
                                 <div style="padding-top: 4px; border-top: 1px solid #eee; display: flex; justify-content: space-between; align-items: center;">
                                     <span>⚠️ 风险等级:</span>
                                     <span style="color: ${riskColor}; font-weight: bold;">${point.riskLevel}</span>
@@ -597,7 +1230,7 @@ createApp({
                 },
                 xAxis: {
                     type: 'value',
-                    name: '回撤点数',
+                    name: `回撤点数(${direction.adverseLabel})`,
                     axisLabel: { formatter: '{value}点' }
                 },
                 yAxis: {
@@ -616,7 +1249,10 @@ createApp({
                 series: [{
                     name: '浮动盈亏',
                     type: 'line',
-                    smooth: true,
+                    // 逐点采样时曲线本身已足够精细，关闭平滑并只标出加仓触发点
+                    smooth: !denseDrawdown,
+                    showAllSymbol: true,
+                    symbolSize: (value, params) => !denseDrawdown || params.data.pointType === 'trigger' ? 4 : 0,
                     data: drawdownData.map(point => ({
                         // 图表显示的坐标数据
                         value: [point.pipsFromStart, point.floatingPnL],
@@ -624,15 +1260,25 @@ createApp({
                         pipsFromStart: point.pipsFromStart,
                         price: point.price,
                         floatingPnL: point.floatingPnL,
+                        hedgePnL: point.hedgePnL || 0,
+                        priceOnlyPnL: point.priceOnlyPnL,
+                        tradingCosts: point.tradingCosts,
                         activePositions: point.activePositions,
                         totalActiveVolume: point.totalActiveVolume,
                         breakEvenPipsNeeded: point.breakEvenPipsNeeded || 0,
                         cumulativeInvestment: point.cumulativeInvestment || 0,
                         avgCostPrice: point.avgCostPrice || point.price,
                         nextDcaTriggerPrice: point.nextDcaTriggerPrice || null,
+                        takeProfitPrice: point.takeProfitPrice,
+                        takeProfitAmount: point.takeProfitAmount,
+                        takeProfitRecoveryPips: point.takeProfitRecoveryPips,
                         riskLevel: point.riskLevel || '低风险',
                         marginRequired: point.marginRequired || 0,
                         drawdownPercentage: point.drawdownPercentage || 0,
+                        equity: point.equity,
+                        freeMargin: point.freeMargin,
+                        marginLevel: point.marginLevel,
+                        marginStatus: point.marginStatus || 'normal',
                         pointType: point.pointType || 'hardcoded' // 添加点类型数据
                     })),
                     lineStyle: { width: 2 },
@@ -657,12 +1303,11 @@ createApp({
                         }
                     },
                     markLine: {
-                        data: [
-                            { yAxis: 0, lineStyle: { color: '#999', type: 'solid' }, label: { formatter: '盈亏平衡线' } }
-                        ]
+                        symbol: 'none',
+                        data: buildDrawdownMarkLines(drawdownData)
                     },
                     animationEasing: 'cubicOut'
-                }],
+                }].concat(buildTakeProfitSeries(drawdownData)),
                 grid: {
                     left: '12%',
                     right: '10%',
@@ -671,7 +1316,766 @@ createApp({
                 }
             };
 
-            charts.drawdownChart.setOption(option);
+            return option;
+        }
+
+        // 止盈目标曲线：各回撤深度下回升至止盈价可实现的盈利
+        function buildTakeProfitSeries(drawdownData) {
+            if (calculationResults.takeProfit.mode === 'none') return [];
+
+            return [{
+                name: '止盈目标盈利',
+                type: 'line',
+                step: 'end',
+                symbol: 'none',
+                data: drawdownData.map(point => [point.pipsFromStart, point.takeProfitAmount]),
+                lineStyle: { width: 2, type: 'dashed', color: '#28a745' },
+                itemStyle: { color: '#28a745' },
+                tooltip: { show: false }
+            }];
+        }
+
+        // 回撤图表标记线：盈亏平衡线，以及分析范围内的追加保证金和强制平仓深度
+        function buildDrawdownMarkLines(drawdownData) {
+            const lines = [
+                { yAxis: 0, lineStyle: { color: '#999', type: 'solid' }, label: { formatter: '盈亏平衡线' } }
+            ];
+            const maxPips = drawdownData.length > 0 ? drawdownData[drawdownData.length - 1].pipsFromStart : 0;
+            const { marginCallPips, stopOutPips } = calculationResults.riskMetrics;
+
+            if (marginCallPips !== null && marginCallPips <= maxPips && marginCallPips !== stopOutPips) {
+                lines.push({
+                    xAxis: marginCallPips,
+                    lineStyle: { color: '#ffa726', type: 'dashed', width: 2 },
+                    label: { formatter: `追加保证金 ${marginCallPips.toFixed(1)}点`, position: 'insideEndTop' }
+                });
+            }
+            if (stopOutPips !== null && stopOutPips <= maxPips) {
+                lines.push({
+                    xAxis: stopOutPips,
+                    lineStyle: { color: '#dc3545', type: 'solid', width: 2 },
+                    label: { formatter: `强制平仓 ${stopOutPips.toFixed(1)}点`, position: 'insideEndTop' }
+                });
+            }
+            return lines;
+        }
+
+        // 读取回测用的行情CSV文件
+        async function handleBacktestFile(event) {
+            const file = event.target.files && event.target.files[0];
+            if (!file) return;
+
+            backtestState.error = '';
+            backtestResult.value = null;
+            try {
+                const parsed = parsePriceCsv(await file.text());
+                backtestBars = parsed.bars;
+                backtestState.fileName = file.name;
+                backtestState.barCount = parsed.bars.length;
+                backtestState.skippedRows = parsed.skippedRows;
+                console.log(`已加载行情数据: ${parsed.bars.length}条 (${parsed.format})`);
+            } catch (error) {
+                backtestBars = null;
+                backtestState.fileName = '';
+                backtestState.barCount = 0;
+                backtestState.error = '行情文件解析失败：' + error.message;
+            }
+        }
+
+        // 使用当前参数运行历史回测
+        function runBacktestAnalysis() {
+            if (!backtestBars) {
+                backtestState.error = '请先选择行情CSV文件';
+                return;
+            }
+
+            const validation = validateDCABotParams(inputParams);
+            if (!validation.isValid) {
+                backtestState.error = validation.errors.join('；');
+                return;
+            }
+
+            backtestState.error = '';
+            backtestState.isRunning = true;
+            try {
+                backtestResult.value = runBacktest(backtestBars, inputParams);
+                console.log('历史回测完成:', backtestResult.value.stats);
+
+                nextTick(() => {
+                    const backtestChartDom = document.getElementById('backtestChart');
+                    if (backtestChartDom && !charts.backtestChart && typeof echarts !== 'undefined') {
+                        charts.backtestChart = echarts.init(backtestChartDom);
+                    }
+                    updateBacktestChart();
+                });
+            } catch (error) {
+                console.error('回测错误:', error);
+                backtestState.error = '回测过程中发生错误：' + error.message;
+            } finally {
+                backtestState.isRunning = false;
+            }
+        }
+
+        // 更新回测净值曲线图表
+        function updateBacktestChart() {
+            if (!charts.backtestChart || !backtestResult.value) return;
+
+            const { equityCurve } = backtestResult.value;
+            const option = {
+                animation: chartAnimationEnabled.value,
+                title: {
+                    text: '回测净值曲线',
+                    left: 'center',
+                    textStyle: { fontSize: 14 }
+                },
+                tooltip: {
+                    trigger: 'axis',
+                    valueFormatter: value => formatCurrency(value)
+                },
+                legend: {
+                    top: 24,
+                    data: ['余额', '净值']
+                },
+                xAxis: {
+                    type: 'category',
+                    data: equityCurve.map(point => point.time),
+                    axisLabel: { rotate: 30 }
+                },
+                yAxis: {
+                    type: 'value',
+                    name: 'USD',
+                    scale: true
+                },
+                dataZoom: [{ type: 'inside' }, { type: 'slider', height: 18, bottom: 8 }],
+                series: [
+                    {
+                        name: '余额',
+                        type: 'line',
+                        step: 'end',
+                        symbol: 'none',
+                        sampling: 'lttb',
+                        data: equityCurve.map(point => point.balance),
+                        lineStyle: { width: 2, color: '#667eea' },
+                        itemStyle: { color: '#667eea' }
+                    },
+                    {
+                        name: '净值',
+                        type: 'line',
+                        symbol: 'none',
+                        sampling: 'lttb',
+                        data: equityCurve.map(point => point.equity),
+                        lineStyle: { width: 1, color: '#FF6B6B' },
+                        itemStyle: { color: '#FF6B6B' }
+                    }
+                ],
+                grid: {
+                    left: '10%',
+                    right: '6%',
+                    bottom: '22%',
+                    top: '18%'
+                }
+            };
+
+            charts.backtestChart.setOption(option);
+        }
+
+        // 回测交易记录（表格仅显示前200条）
+        const backtestTrades = computed(() => {
+            return backtestResult.value ? backtestResult.value.trades.slice(0, 200) : [];
+        });
+
+        // 格式化回测平仓原因
+        function formatExitReason(reason) {
+            return BACKTEST_EXIT_REASONS[reason] || reason;
+        }
+
+        // 读取cTrader持仓历史导出(CSV/HTML)，读取后立即按当前参数对比
+        async function handleHistoryFile(event) {
+            const file = event.target.files && event.target.files[0];
+            if (!file) return;
+
+            historyState.error = '';
+            historyAnalysis.value = null;
+            try {
+                const parsed = parseTradeHistory(await file.text());
+                historyTrades = parsed.trades;
+                historyState.fileName = file.name;
+                historyState.tradeCount = parsed.trades.length;
+                historyState.skippedRows = parsed.skippedRows;
+                console.log(`已加载持仓记录: ${parsed.trades.length}笔 (${parsed.format})`);
+                runHistoryComparison();
+            } catch (error) {
+                historyTrades = null;
+                historyState.fileName = '';
+                historyState.tradeCount = 0;
+                historyState.error = '持仓记录解析失败：' + error.message;
+            }
+        }
+
+        // 按当前参数重新对比已导入的持仓记录（仓位组模式固定为新建网格）
+        function runHistoryComparison() {
+            if (!historyTrades) {
+                historyState.error = '请先选择cTrader持仓历史文件';
+                return;
+            }
+
+            const params = { ...inputParams, basketMode: 'new' };
+            const validation = validateDCABotParams(params);
+            if (!validation.isValid) {
+                historyState.error = validation.errors.join('；');
+                return;
+            }
+
+            historyState.error = '';
+            historyState.selectedBasketId = null;
+            try {
+                historyAnalysis.value = analyzeTradeHistory(historyTrades, params);
+                console.log('实盘记录对比完成:', historyAnalysis.value.summary);
+            } catch (error) {
+                console.error('实盘记录对比错误:', error);
+                historyState.error = '对比过程中发生错误：' + error.message;
+            }
+        }
+
+        // 当前展开各层明细的仓位组
+        const selectedHistoryBasket = computed(() => {
+            if (!historyAnalysis.value || historyState.selectedBasketId === null) return null;
+            return historyAnalysis.value.baskets.find(item => item.basket.id === historyState.selectedBasketId) || null;
+        });
+
+        // 展开或收起仓位组的各层明细
+        function toggleHistoryBasket(id) {
+            historyState.selectedBasketId = historyState.selectedBasketId === id ? null : id;
+        }
+
+        // 运行蒙特卡洛模拟（优先在Web Worker中执行）
+        function runMonteCarlo() {
+            const validation = validateDCABotParams(inputParams);
+            if (!validation.isValid) {
+                monteCarloState.error = validation.errors.join('；');
+                return;
+            }
+
+            cancelMonteCarlo();
+            Object.assign(monteCarloState, { isRunning: true, progress: 0, error: '' });
+            monteCarloResult.value = null;
+
+            // 响应式代理无法通过postMessage传递，需转为普通对象
+            const payload = JSON.parse(JSON.stringify({
+                params: inputParams,
+                settings: monteCarloSettings
+            }));
+
+            if (typeof Worker === 'undefined') {
+                // 不支持Worker时在主线程执行
+                setTimeout(() => {
+                    try {
+                        handleMonteCarloResult(runMonteCarloSimulation(payload.params, payload.settings));
+                    } catch (error) {
+                        handleMonteCarloError(error.message);
+                    }
+                }, 0);
+                return;
+            }
+
+            monteCarloWorker = new Worker('js/workers/montecarlo.worker.js');
+            monteCarloWorker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    monteCarloState.progress = Math.round((message.done / message.total) * 100);
+                } else if (message.type === 'done') {
+                    handleMonteCarloResult(message.result);
+                    cancelMonteCarlo();
+                } else if (message.type === 'error') {
+                    handleMonteCarloError(message.message);
+                    cancelMonteCarlo();
+                }
+            };
+            monteCarloWorker.onerror = (event) => {
+                handleMonteCarloError(event.message || 'Worker执行失败');
+                cancelMonteCarlo();
+            };
+            monteCarloWorker.postMessage(payload);
+        }
+
+        function handleMonteCarloResult(result) {
+            Object.assign(monteCarloState, { isRunning: false, progress: 100 });
+            monteCarloResult.value = result;
+            console.log('蒙特卡洛模拟完成:', '爆仓概率' + result.ruinProbability.toFixed(1) + '%');
+
+            nextTick(() => {
+                const equityChartDom = document.getElementById('monteCarloEquityChart');
+                const depthChartDom = document.getElementById('monteCarloDepthChart');
+                if (typeof echarts !== 'undefined') {
+                    if (equityChartDom && !charts.monteCarloEquityChart) {
+                        charts.monteCarloEquityChart = echarts.init(equityChartDom);
+                    }
+                    if (depthChartDom && !charts.monteCarloDepthChart) {
+                        charts.monteCarloDepthChart = echarts.init(depthChartDom);
+                    }
+                }
+                updateMonteCarloCharts();
+            });
+        }
+
+        function handleMonteCarloError(message) {
+            monteCarloState.isRunning = false;
+            monteCarloState.error = '蒙特卡洛模拟失败：' + message;
+        }
+
+        // 终止正在运行的模拟任务
+        function cancelMonteCarlo() {
+            if (monteCarloWorker) {
+                monteCarloWorker.terminate();
+                monteCarloWorker = null;
+            }
+            monteCarloState.isRunning = false;
+        }
+
+        // 更新蒙特卡洛图表：净值分位带和层数分布
+        function updateMonteCarloCharts() {
+            const result = monteCarloResult.value;
+            if (!result) return;
+
+            if (charts.monteCarloEquityChart) {
+                const { equityBands } = result;
+                // 分位带使用堆叠面积：先画下界，再叠加区间宽度
+                const bandSeries = (name, lower, upper, color) => [
+                    {
+                        name: name + '下界',
+                        type: 'line',
+                        stack: name,
+                        symbol: 'none',
+                        data: lower,
+                        lineStyle: { opacity: 0 },
+                        tooltip: { show: false }
+                    },
+                    {
+                        name,
+                        type: 'line',
+                        stack: name,
+                        symbol: 'none',
+                        data: upper.map((value, index) => value - lower[index]),
+                        lineStyle: { opacity: 0 },
+                        areaStyle: { color },
+                        itemStyle: { color }
+                    }
+                ];
+
+                charts.monteCarloEquityChart.setOption({
+                    animation: chartAnimationEnabled.value,
+                    title: {
+                        text: '净值分位带',
+                        left: 'center',
+                        textStyle: { fontSize: 14 }
+                    },
+                    tooltip: {
+                        trigger: 'axis',
+                        formatter: function(params) {
+                            const index = params[0].dataIndex;
+                            const lines = MONTE_CARLO_PERCENTILES.slice().reverse().map(percentile => {
+                                return `P${percentile}: ${formatCurrency(equityBands['p' + percentile][index])}`;
+                            });
+                            return `第${equityBands.steps[index]}步<br/>` + lines.join('<br/>');
+                        }
+                    },
+                    legend: {
+                        top: 24,
+                        data: ['P5-P95', 'P25-P75', '中位数']
+                    },
+                    xAxis: {
+                        type: 'category',
+                        name: '步数',
+                        boundaryGap: false,
+                        data: equityBands.steps
+                    },
+                    yAxis: {
+                        type: 'value',
+                        name: '净值 (USD)',
+                        scale: true
+                    },
+                    series: [
+                        ...bandSeries('P5-P95', equityBands.p5, equityBands.p95, 'rgba(102, 126, 234, 0.15)'),
+                        ...bandSeries('P25-P75', equityBands.p25, equityBands.p75, 'rgba(102, 126, 234, 0.35)'),
+                        {
+                            name: '中位数',
+                            type: 'line',
+                            symbol: 'none',
+                            data: equityBands.p50,
+                            lineStyle: { width: 2, color: '#667eea' },
+                            itemStyle: { color: '#667eea' }
+                        }
+                    ],
+                    grid: {
+                        left: '12%',
+                        right: '6%',
+                        bottom: '12%',
+                        top: '20%'
+                    }
+                }, true);
+            }
+
+            if (charts.monteCarloDepthChart) {
+                const { depthDistribution } = result;
+                charts.monteCarloDepthChart.setOption({
+                    animation: chartAnimationEnabled.value,
+                    title: {
+                        text: '仓位组最深层数分布',
+                        left: 'center',
+                        textStyle: { fontSize: 14 }
+                    },
+                    tooltip: {
+                        trigger: 'axis',
+                        formatter: function(params) {
+                            const item = depthDistribution[params[0].dataIndex];
+                            return `${item.layers}层：${item.count}组 (${item.percentage.toFixed(1)}%)`;
+                        }
+                    },
+                    xAxis: {
+                        type: 'category',
+                        name: '层数',
+                        data: depthDistribution.map(item => item.layers + '层')
+                    },
+                    yAxis: {
+                        type: 'value',
+                        name: '占比',
+                        axisLabel: { formatter: '{value}%' }
+                    },
+                    series: [{
+                        name: '占比',
+                        type: 'bar',
+                        data: depthDistribution.map((item, index) => ({
+                            value: Math.round(item.percentage * 10) / 10,
+                            // 最后一层标红：到达最大仓位后不再加仓
+                            itemStyle: { color: index === depthDistribution.length - 1 ? '#FF6B6B' : '#4ECDC4' }
+                        }))
+                    }],
+                    grid: {
+                        left: '12%',
+                        right: '6%',
+                        bottom: '12%',
+                        top: '18%'
+                    }
+                }, true);
+            }
+        }
+
+        // 运行参数优化（优先在Web Worker中执行）
+        function runOptimizer() {
+            const validation = validateDCABotParams(inputParams);
+            if (!validation.isValid) {
+                optimizerState.error = validation.errors.join('；');
+                return;
+            }
+
+            cancelOptimizer();
+            Object.assign(optimizerState, { isRunning: true, progress: 0, error: '', total: 0, evaluated: 0, feasibleCount: 0 });
+            optimizerResults.value = [];
+
+            // 响应式代理无法通过postMessage传递，需转为普通对象
+            const payload = JSON.parse(JSON.stringify({
+                baseParams: inputParams,
+                ranges: optimizerSettings.ranges,
+                constraints: optimizerSettings.constraints,
+                options: { objective: optimizerSettings.objective, limit: 50 }
+            }));
+
+            if (typeof Worker === 'undefined') {
+                // 不支持Worker时在主线程执行
+                setTimeout(() => {
+                    try {
+                        handleOptimizationResult(runOptimization(payload.baseParams, payload.ranges, payload.constraints, payload.options));
+                    } catch (error) {
+                        handleOptimizationError(error.message);
+                    }
+                }, 0);
+                return;
+            }
+
+            optimizerWorker = new Worker('js/workers/optimizer.worker.js');
+            optimizerWorker.onmessage = (event) => {
+                const message = event.data;
+                if (message.type === 'progress') {
+                    optimizerState.progress = Math.round((message.done / message.total) * 100);
+                    optimizerState.total = message.total;
+                } else if (message.type === 'done') {
+                    handleOptimizationResult(message.result);
+                    cancelOptimizer();
+                } else if (message.type === 'error') {
+                    handleOptimizationError(message.message);
+                    cancelOptimizer();
+                }
+            };
+            optimizerWorker.onerror = (event) => {
+                handleOptimizationError(event.message || 'Worker执行失败');
+                cancelOptimizer();
+            };
+            optimizerWorker.postMessage(payload);
+        }
+
+        function handleOptimizationResult(result) {
+            Object.assign(optimizerState, {
+                isRunning: false,
+                progress: 100,
+                total: result.total,
+                evaluated: result.evaluated,
+                feasibleCount: result.feasibleCount
+            });
+            optimizerResults.value = result.results;
+            console.log('参数优化完成:', result.feasibleCount + '/' + result.total + '组满足约束');
+        }
+
+        function handleOptimizationError(message) {
+            optimizerState.isRunning = false;
+            optimizerState.error = '参数优化失败：' + message;
+        }
+
+        // 终止正在运行的优化任务
+        function cancelOptimizer() {
+            if (optimizerWorker) {
+                optimizerWorker.terminate();
+                optimizerWorker = null;
+            }
+            optimizerState.isRunning = false;
+        }
+
+        // 一键应用优化结果并重新计算
+        function applyOptimizationResult(row) {
+            Object.assign(inputParams, row.params);
+            calculateDCA();
+            console.log('已应用优化参数:', row.params);
+        }
+
+        // 将当前参数保存为对比方案
+        function addScenario() {
+            const name = newScenarioName.value.trim() || `方案${scenarios.length + 1}`;
+            scenarios.push(createScenario(name, inputParams));
+            newScenarioName.value = '';
+            saveScenariosToLocal();
+        }
+
+        // 删除对比方案
+        function removeScenario(id) {
+            const index = scenarios.findIndex(scenario => scenario.id === id);
+            if (index >= 0) {
+                scenarios.splice(index, 1);
+                saveScenariosToLocal();
+            }
+            scenarioComparison.value = scenarioComparison.value.filter(item => item.id !== id);
+            updateScenarioChart();
+        }
+
+        // 将方案参数载入表单并重新计算
+        function loadScenario(scenario) {
+            applyInputParams(JSON.parse(JSON.stringify(scenario.params))).then(calculateDCA);
+        }
+
+        // 计算全部方案并更新对比表格和叠加图表
+        function runScenarioComparison() {
+            if (scenarios.length === 0) return;
+
+            scenarioComparison.value = compareScenarios(scenarios);
+            console.log('方案对比完成:', scenarioComparison.value.length + '个方案');
+
+            nextTick(() => {
+                const scenarioChartDom = document.getElementById('scenarioChart');
+                if (charts.scenarioChart && charts.scenarioChart.getDom() !== scenarioChartDom) {
+                    charts.scenarioChart.dispose();
+                    charts.scenarioChart = null;
+                }
+                if (scenarioChartDom && !charts.scenarioChart && typeof echarts !== 'undefined') {
+                    charts.scenarioChart = echarts.init(scenarioChartDom);
+                }
+                updateScenarioChart();
+            });
+        }
+
+        // 更新方案对比图表：每个方案一条回撤曲线
+        function updateScenarioChart() {
+            if (!charts.scenarioChart) return;
+
+            const comparisons = scenarioComparison.value.filter(item => item.result);
+            const option = {
+                animation: chartAnimationEnabled.value,
+                title: {
+                    text: '方案回撤曲线对比',
+                    left: 'center',
+                    textStyle: { fontSize: 14 }
+                },
+                tooltip: {
+                    trigger: 'axis',
+                    valueFormatter: value => formatCurrency(value)
+                },
+                legend: {
+                    top: 24,
+                    data: comparisons.map(item => item.name)
+                },
+                xAxis: {
+                    type: 'value',
+                    name: '回撤点数',
+                    axisLabel: { formatter: '{value}点' }
+                },
+                yAxis: {
+                    type: 'value',
+                    name: '浮动盈亏 (USD)',
+                    axisLabel: { formatter: '${value}' }
+                },
+                series: comparisons.map(item => ({
+                    name: item.name,
+                    type: 'line',
+                    symbol: 'none',
+                    data: item.result.drawdownAnalysis.map(point => [point.pipsFromStart, point.floatingPnL]),
+                    lineStyle: { width: 2, color: item.color },
+                    itemStyle: { color: item.color }
+                })),
+                grid: {
+                    left: '12%',
+                    right: '6%',
+                    bottom: '12%',
+                    top: '20%'
+                }
+            };
+
+            charts.scenarioChart.setOption(option, true);
+        }
+
+        // 按指标类型格式化对比数值
+        function formatMetric(value, format) {
+            return formatComparisonMetric(value, format);
+        }
+
+        // 保存对比方案到本地存储
+        function saveScenariosToLocal() {
+            try {
+                localStorage.setItem('dcaScenarios', JSON.stringify(scenarios));
+            } catch (error) {
+                console.warn('无法保存对比方案到本地存储:', error);
+            }
+        }
+
+        // 将当前参数保存到参数库
+        function saveToLibrary() {
+            const validation = validateDCABotParams(inputParams);
+            if (!validation.isValid) {
+                libraryState.message = '';
+                libraryState.error = '当前参数无效，无法保存：' + validation.errors.join('；');
+                return;
+            }
+
+            const name = libraryState.newName.trim() || `参数组${parameterLibrary.length + 1}`;
+            parameterLibrary.push(createLibraryEntry(name, inputParams, { tags: libraryState.newTags }));
+            libraryState.newName = '';
+            libraryState.newTags = '';
+            libraryState.error = '';
+            libraryState.message = `已保存「${name}」`;
+            saveLibraryToLocal();
+        }
+
+        // 参数库条目重命名或修改备注后保存
+        function updateLibraryEntry(entry) {
+            entry.name = entry.name.trim() || '未命名参数';
+            entry.updatedAt = new Date().toISOString();
+            saveLibraryToLocal();
+        }
+
+        // 修改参数库条目的标签
+        function updateLibraryTags(entry, text) {
+            entry.tags = parseTags(text);
+            if (libraryState.tagFilter && !libraryTags.value.includes(libraryState.tagFilter)) {
+                libraryState.tagFilter = '';
+            }
+            updateLibraryEntry(entry);
+        }
+
+        // 删除参数库条目（内置模板不可删除）
+        function removeLibraryEntry(id) {
+            const index = parameterLibrary.findIndex(entry => entry.id === id);
+            if (index >= 0) {
+                parameterLibrary.splice(index, 1);
+                saveLibraryToLocal();
+            }
+        }
+
+        // 将参数库条目载入表单并重新计算
+        function loadLibraryEntry(entry) {
+            const params = JSON.parse(JSON.stringify(entry.params));
+            const validation = validateDCABotParams({ ...inputParams, ...params });
+            if (!validation.isValid) {
+                libraryState.message = '';
+                libraryState.error = `「${entry.name}」的参数无效：` + validation.errors.join('；');
+                return;
+            }
+
+            libraryState.error = '';
+            libraryState.message = `已载入「${entry.name}」`;
+            applyInputParams(params).then(calculateDCA);
+            console.log('已载入参数库条目:', entry.name);
+        }
+
+        // 导出参数库(JSON)
+        function exportLibrary() {
+            const dataBlob = new Blob([buildLibraryExport(parameterLibrary)], { type: 'application/json' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(dataBlob);
+            link.download = `dca-parameter-library-${new Date().toISOString().split('T')[0]}.json`;
+            link.click();
+
+            libraryState.error = '';
+            libraryState.message = `已导出${parameterLibrary.length}个参数组`;
+        }
+
+        // 导入参数库(JSON)，导入的条目追加到现有列表
+        async function handleLibraryImport(event) {
+            const file = event.target.files && event.target.files[0];
+            if (!file) return;
+
+            try {
+                const { entries, skipped } = parseLibraryImport(await file.text(), inputParams);
+                parameterLibrary.push(...entries);
+                saveLibraryToLocal();
+                libraryState.error = skipped.length > 0 ? '以下条目无效已跳过：' + skipped.join('；') : '';
+                libraryState.message = `已从 ${file.name} 导入${entries.length}个参数组`;
+            } catch (error) {
+                libraryState.message = '';
+                libraryState.error = '参数库导入失败：' + error.message;
+            } finally {
+                // 允许重复选择同一文件
+                event.target.value = '';
+            }
+        }
+
+        // 保存参数库到本地存储
+        function saveLibraryToLocal() {
+            try {
+                localStorage.setItem('dcaParameterLibrary', JSON.stringify(parameterLibrary));
+            } catch (error) {
+                console.warn('无法保存参数库到本地存储:', error);
+            }
+        }
+
+        // 从本地存储加载参数库
+        function loadLibraryFromLocal() {
+            try {
+                const saved = localStorage.getItem('dcaParameterLibrary');
+                if (saved) {
+                    parameterLibrary.splice(0, parameterLibrary.length, ...JSON.parse(saved));
+                }
+            } catch (error) {
+                console.warn('无法从本地存储加载参数库:', error);
+            }
+        }
+
+        // 从本地存储加载对比方案
+        function loadScenariosFromLocal() {
+            try {
+                const saved = localStorage.getItem('dcaScenarios');
+                if (saved) {
+                    scenarios.splice(0, scenarios.length, ...JSON.parse(saved));
+                }
+            } catch (error) {
+                console.warn('无法从本地存储加载对比方案:', error);
+            }
         }
 
         // 刷新调试数据
@@ -731,6 +2135,17 @@ createApp({
                         if (charts.drawdownChart) charts.drawdownChart.resize();
                     }, 300);
                 }
+                if (sectionName === 'backtest' && !collapsedSections[sectionName]) {
+                    setTimeout(() => {
+                        if (charts.backtestChart) charts.backtestChart.resize();
+                    }, 300);
+                }
+                if (sectionName === 'monteCarlo' && !collapsedSections[sectionName]) {
+                    setTimeout(() => {
+                        if (charts.monteCarloEquityChart) charts.monteCarloEquityChart.resize();
+                        if (charts.monteCarloDepthChart) charts.monteCarloDepthChart.resize();
+                    }, 300);
+                }
                 
                 console.log(`${sectionName}面板已${collapsedSections[sectionName] ? '折叠' : '展开'}`);
             }
@@ -840,28 +2255,119 @@ createApp({
             console.log('图表动画已', chartAnimationEnabled.value ? '开启' : '关闭');
         }
 
-        // 初始化时尝试加载保存的参数
-        loadParametersFromLocal();
+        // 初始化时优先从分享链接恢复参数，没有分享链接或链接无效时加载本地保存的参数
+        loadLiveSettings();
+        loadExportSettings();
+        loadScenariosFromLocal();
+        loadLibraryFromLocal();
+        if (loadParametersFromUrl()) {
+            nextTick(calculateDCA);
+        } else {
+            loadParametersFromLocal();
+            // 开启实时计算时打开页面即显示分析结果
+            if (liveSettings.autoCalculate) {
+                nextTick(calculateDCA);
+            }
+        }
+        loadCbotsetMapping();
 
-        // 添加ESC键监听器
+        // 添加ESC键和分享链接变化监听器
         document.addEventListener('keydown', handleKeydown);
+        window.addEventListener('hashchange', handleHashChange);
         
         // Vue 3 的 onUnmounted 钩子清理事件监听器
         const { onUnmounted } = Vue;
         onUnmounted(() => {
             document.removeEventListener('keydown', handleKeydown);
+            window.removeEventListener('hashchange', handleHashChange);
+            clearTimeout(liveCalculationTimer);
+            cancelOptimizer();
+            cancelMonteCarlo();
             document.body.classList.remove('debug-modal-active');
         });
 
-        // 监听参数变化，自动保存（预留功能）
-        // const paramWatcher = computed(() => JSON.stringify(inputParams));
-        // 这里可以添加 watch 来监听参数变化并自动保存
+        // 监听参数变化：输入停顿后重新验证并计算，调试面板打开时图表随之原位更新
+        watch(inputParams, scheduleLiveCalculation, { deep: true });
+
+        // 防抖安排一次实时计算
+        function scheduleLiveCalculation() {
+            if (!liveSettings.autoCalculate && !liveSettings.autoSave) return;
+
+            clearTimeout(liveCalculationTimer);
+            liveCalculationTimer = setTimeout(runLiveCalculation, LIVE_CALCULATION_DELAY);
+        }
+
+        // 执行实时计算和自动保存（只保存通过验证的参数）
+        function runLiveCalculation() {
+            liveCalculationTimer = null;
+            if (liveSettings.autoCalculate) {
+                calculateDCA();
+            }
+            if (liveSettings.autoSave && validateDCABotParams(inputParams).isValid) {
+                saveParametersToLocal();
+            }
+        }
+
+        // 保存实时计算设置到本地存储
+        function saveLiveSettings() {
+            try {
+                localStorage.setItem('dcaLiveSettings', JSON.stringify(liveSettings));
+            } catch (error) {
+                console.warn('无法保存实时计算设置到本地存储:', error);
+            }
+        }
+
+        // 从本地存储加载实时计算设置
+        function loadLiveSettings() {
+            try {
+                const saved = localStorage.getItem('dcaLiveSettings');
+                if (saved) {
+                    Object.assign(liveSettings, JSON.parse(saved));
+                }
+            } catch (error) {
+                console.warn('无法从本地存储加载实时计算设置:', error);
+            }
+        }
+
+        // 保存表格导出设置到本地存储
+        function saveExportSettings() {
+            try {
+                localStorage.setItem('dcaExportSettings', JSON.stringify(exportSettings));
+            } catch (error) {
+                console.warn('无法保存表格导出设置到本地存储:', error);
+            }
+        }
+
+        // 从本地存储加载表格导出设置，忽略已不存在的列和数字格式
+        function loadExportSettings() {
+            try {
+                const saved = JSON.parse(localStorage.getItem('dcaExportSettings') || 'null');
+                if (!saved) return;
+                if (SPREADSHEET_LOCALES[saved.locale]) {
+                    exportSettings.locale = saved.locale;
+                }
+                Object.keys(SPREADSHEET_DATASETS).forEach(dataset => {
+                    const columns = saved.columns && saved.columns[dataset];
+                    if (Array.isArray(columns)) {
+                        exportSettings.columns[dataset] = resolveExportColumns(dataset, columns).map(column => column.key);
+                    }
+                });
+            } catch (error) {
+                console.warn('无法从本地存储加载表格导出设置:', error);
+            }
+        }
 
         // 返回所有需要在模板中使用的数据和方法
         return {
             // 数据
             inputParams,
             calculationResults,
+            instruments: INSTRUMENTS,
+            spacingModes: SPACING_MODES,
+            volumeModes: VOLUME_MODES,
+            drawdownSamplingModes: DRAWDOWN_SAMPLING_MODES,
+            riskThresholdModes: RISK_THRESHOLD_MODES,
+            basketModes: BASKET_MODES,
             errorMessage,
             isCalculating,
             
@@ -870,6 +2376,65 @@ createApp({
             debugInfo,
             formulaVerification,
             
+            // 历史回测数据
+            backtestState,
+            backtestResult,
+            backtestTrades,
+
+            // 实盘记录对比数据
+            historyState,
+            historyAnalysis,
+            selectedHistoryBasket,
+
+            // 蒙特卡洛模拟数据
+            monteCarloSettings,
+            monteCarloState,
+            monteCarloResult,
+            monteCarloModels: MONTE_CARLO_MODELS,
+
+            // cBot参数集数据
+            cbotsetMapping,
+            cbotsetState,
+            cbotsetFields: CBOTSET_FIELDS,
+            cbotsetVolumeUnits: CBOTSET_VOLUME_UNITS,
+
+            // 实时计算设置
+            liveSettings,
+
+            // 分享链接数据
+            shareState,
+
+            // 风险建议数据
+            adviceState,
+            adviceSeverities: ADVICE_SEVERITIES,
+
+            // 风险报告数据
+            reportState,
+
+            // 表格导出数据
+            exportSettings,
+            exportState,
+            exportDatasets: SPREADSHEET_DATASETS,
+            exportLocales: SPREADSHEET_LOCALES,
+
+            // 参数库数据
+            libraryState,
+            libraryEntries,
+            libraryTags,
+
+            // 方案对比数据
+            scenarios,
+            newScenarioName,
+            scenarioComparison,
+            scenarioMetrics: SCENARIO_COMPARISON_METRICS,
+
+            // 参数优化数据
+            optimizerSettings,
+            optimizerState,
+            optimizerResults,
+            optimizationParameters: OPTIMIZATION_PARAMETERS,
+            optimizationObjectives: OPTIMIZATION_OBJECTIVES,
+
             // 新增UI状态数据
             collapsedSections,
             chartAnimationEnabled,
@@ -877,6 +2442,12 @@ createApp({
             
             // 计算属性
             riskAdvice,
+            riskFindings,
+            tablePositions,
+            takeProfitModes: TAKE_PROFIT_MODES,
+            currentInstrument,
+            instrumentContext,
+            leverageLabel,
             totalInvestmentRequired,
             maxPositionSize,
             riskLevel,
@@ -884,12 +2455,24 @@ createApp({
             // 方法
             calculateDCA,
             exportResults,
+            exportReportHtml,
+            printReport,
+            exportCsv,
+            exportXlsx,
+            resetExportColumns,
+            saveExportSettings,
             resetToDefaults,
+            applyRiskThresholdDefaults,
+            resetPriceInputs,
+            applyAdviceSuggestion,
+            formatAdviceValue,
             formatCurrency,
             formatPrice,
             formatVolume,
             formatPips,
+            formatDirection,
             saveParametersToLocal,
+            saveLiveSettings,
             
             // 调试方法
             toggleDebugPanel,
@@ -897,6 +2480,51 @@ createApp({
             exportDebugData,
             generateDebugInfo,
             
+            // 历史回测方法
+            handleBacktestFile,
+            runBacktestAnalysis,
+            formatExitReason,
+
+            // 实盘记录对比方法
+            handleHistoryFile,
+            runHistoryComparison,
+            toggleHistoryBasket,
+
+            // 蒙特卡洛模拟方法
+            runMonteCarlo,
+            cancelMonteCarlo,
+
+            // cBot参数集方法
+            exportCbotset,
+            handleCbotsetImport,
+            saveCbotsetMapping,
+            resetCbotsetMapping,
+
+            // 分享链接方法
+            copyShareLink,
+
+            // 参数库方法
+            saveToLibrary,
+            updateLibraryEntry,
+            updateLibraryTags,
+            removeLibraryEntry,
+            loadLibraryEntry,
+            exportLibrary,
+            handleLibraryImport,
+
+            // 方案对比方法
+            addScenario,
+            removeScenario,
+            loadScenario,
+            runScenarioComparison,
+            saveScenariosToLocal,
+            formatMetric,
+
+            // 参数优化方法
+            runOptimizer,
+            cancelOptimizer,
+            applyOptimizationResult,
+
             // 新增交互方法
             toggleSection,
             fullscreenChart,
@@ -0,0 +1,556 @@
+// DCA cBot 风险建议引擎：按规则表评估计算结果，生成带指标、阈值和参数修改建议的结构化建议
+
+// 建议的严重程度，按从高到低排列
+const ADVICE_SEVERITIES = {
+    critical: { label: '严重', color: '#dc3545' },
+    warning: { label: '注意', color: '#ffa726' },
+    info: { label: '提示', color: '#17a2b8' },
+    ok: { label: '良好', color: '#28a745' }
+};
+
+// 参数修改建议中可能出现的参数名称
+const ADVICE_PARAM_LABELS = {
+    pipStep: 'DCA间距',
+    pipStepIncrement: '间距增量',
+    customPipSteps: '自定义间距',
+    atrMultiplier: 'ATR系数',
+    firstVolume: '首次仓位手数',
+    volumeIncrement: '手数增量',
+    customVolumes: '自定义手数',
+    maxLayerVolume: '单层最大手数',
+    volumeExponent: '仓位倍数指数',
+    maxPositions: '最大仓位数'
+};
+
+// 回本点数的难度分界(点)
+const BREAK_EVEN_THRESHOLDS = { medium: 50, hard: 100 };
+
+// 全部仓位开满时保证金占账户余额的比例分界(%)，建议值按warning计算
+const MARGIN_USAGE_THRESHOLDS = { warning: 50, critical: 100 };
+
+// 最大单层手数占总手数的比例上限
+const VOLUME_CONCENTRATION_THRESHOLD = 1 / 3;
+
+// 风险回报比下限
+const RISK_REWARD_THRESHOLD = 0.1;
+
+/**
+ * 规则表：每条规则按计算结果返回一条建议，不适用时返回null
+ * evaluate(context)返回 { severity, value, threshold, message, suggestion }，
+ * id、metric和format由evaluateAdviceRules补充；format决定value和threshold的显示格式
+ * context见buildAdviceContext，context.params为空对象时规则不生成参数修改建议
+ */
+const ADVICE_RULES = [
+    {
+        id: 'riskLevel',
+        metric: context => context.policy.riskThresholdMode === 'marginLevel' ? '最大回撤处保证金水平' : '最大可能亏损',
+        format: context => context.policy.riskThresholdMode === 'marginLevel' ? 'percent' : 'currency',
+        evaluate: evaluateRiskLevelRule
+    },
+    {
+        id: 'volumeConcentration',
+        metric: '最大单层手数占比',
+        format: 'percent',
+        evaluate: evaluateVolumeConcentrationRule
+    },
+    {
+        id: 'breakEven',
+        metric: '回本点数',
+        format: 'pips',
+        evaluate: evaluateBreakEvenRule
+    },
+    {
+        id: 'stopOutDepth',
+        metric: '爆仓深度',
+        format: 'pips',
+        evaluate: evaluateStopOutRule
+    },
+    {
+        id: 'marginUsage',
+        metric: '满仓保证金占余额',
+        format: 'percent',
+        evaluate: evaluateMarginUsageRule
+    },
+    {
+        id: 'riskReward',
+        metric: '风险回报比',
+        format: 'ratio',
+        evaluate: evaluateRiskRewardRule
+    }
+];
+
+/**
+ * 整理规则评估所需的上下文
+ * @param {Object} result - calculateDCABot的返回值
+ * @param {Object} params - 产生该结果的cBot参数
+ * @returns {Object} 规则上下文
+ */
+function buildAdviceContext(result, params) {
+    return {
+        result,
+        params,
+        riskMetrics: result.riskMetrics,
+        policy: result.riskPolicy || resolveRiskPolicy({}),
+        account: result.account || DEFAULT_ACCOUNT_SETTINGS,
+        hasParams: Object.keys(params).length > 0
+    };
+}
+
+/**
+ * 按规则表评估计算结果
+ * @param {Object} result - calculateDCABot的返回值
+ * @param {Object} params - 产生该结果的cBot参数，用于生成参数修改建议(可选)
+ * @param {Array} rules - 规则表，默认ADVICE_RULES
+ * @returns {Array} 建议列表 [{ id, severity, metric, format, value, threshold, message, suggestion }]
+ *   suggestion为 { changes, summary } 或null，changes可直接合并到输入参数中
+ */
+function evaluateAdviceRules(result, params = {}, rules = ADVICE_RULES) {
+    const context = buildAdviceContext(result, params);
+    const findings = [];
+
+    rules.forEach(rule => {
+        const finding = rule.evaluate(context);
+        if (!finding) return;
+
+        findings.push({
+            id: rule.id,
+            metric: typeof rule.metric === 'function' ? rule.metric(context) : rule.metric,
+            format: typeof rule.format === 'function' ? rule.format(context) : rule.format,
+            value: null,
+            threshold: null,
+            suggestion: null,
+            ...finding
+        });
+    });
+
+    return findings;
+}
+
+/**
+ * 生成DCA cBot风险建议文本（每条建议一行）
+ * @param {Object} result - 计算结果
+ * @param {Object} params - 产生该结果的cBot参数(可选)
+ * @returns {string} 风险建议文本
+ */
+function generateDCABotAdvice(result, params = {}) {
+    return evaluateAdviceRules(result, params).map(finding => finding.message).join('\n');
+}
+
+/**
+ * 按显示格式格式化建议中的指标值
+ * @param {number|null} value - 指标值
+ * @param {string} format - currency / percent / pips / ratio
+ * @returns {string} 显示文本
+ */
+function formatAdviceValue(value, format) {
+    if (value === null || value === undefined) return '-';
+    if (format === 'currency') return formatCurrency(value);
+    if (format === 'percent') return value.toFixed(1) + '%';
+    if (format === 'pips') return formatPips(value);
+    return value.toFixed(2);
+}
+
+/**
+ * 金额取整显示为$1,234格式
+ * @param {number} amount - 金额
+ * @returns {string} 显示文本
+ */
+function formatAdviceAmount(amount) {
+    return '$' + Math.round(amount).toLocaleString('en-US');
+}
+
+/**
+ * 风险等级规则：按风险策略评估最大回撤处的风险，超出阈值时建议按比例降低手数
+ * 最大回撤处保证金水平跌破追加保证金或强制平仓水平而升级的风险等级，按保证金水平说明原因
+ * @param {Object} context - 规则上下文
+ * @returns {Object} 建议
+ */
+function evaluateRiskLevelRule(context) {
+    const { riskMetrics, policy, account, params } = context;
+    const { maxPossibleLoss } = riskMetrics;
+    const marginLevel = riskMetrics.marginLevelAtMaxDrawdown === undefined ? null : riskMetrics.marginLevelAtMaxDrawdown;
+    const exposure = { loss: maxPossibleLoss, marginLevel };
+    const level = classifyRiskLevel(exposure, policy, account);
+    const thresholdLevel = classifyRiskThresholdLevel(exposure, policy, account);
+    const escalated = level !== thresholdLevel;
+    const byMarginLevel = policy.riskThresholdMode === 'marginLevel';
+    const toMetric = threshold => policy.riskThresholdMode === 'balancePercent' ? account.accountBalance * threshold / 100 : threshold;
+
+    let suggestion = null;
+    if (level !== 'low' && context.hasParams) {
+        // 手数按比例缩小时亏损和保证金同比例缩小，据此求出降至中风险阈值以内、且保证金水平回到追加保证金水平以上的比例
+        const factors = [];
+        if (thresholdLevel !== 'low') {
+            factors.push(byMarginLevel
+                ? getMarginLevelScaleFactor(riskMetrics, account, policy.riskMediumThreshold)
+                : toMetric(policy.riskMediumThreshold) / maxPossibleLoss);
+        }
+        if (escalated) {
+            factors.push(getMarginLevelScaleFactor(riskMetrics, account, account.marginCallLevel));
+        }
+        const validFactors = factors.filter(factor => factor > 0);
+        suggestion = buildVolumeScaleSuggestion(params, validFactors.length > 0 ? Math.min(...validFactors) : null);
+    }
+
+    if (escalated) {
+        return {
+            metric: '最大回撤处保证金水平',
+            format: 'percent',
+            severity: { high: 'critical', medium: 'warning' }[level],
+            value: marginLevel,
+            threshold: level === 'high' ? account.stopOutLevel : account.marginCallLevel,
+            message: describeMarginStatusRisk(level, marginLevel, account),
+            suggestion
+        };
+    }
+
+    return {
+        severity: { high: 'critical', medium: 'warning', low: 'ok' }[level],
+        value: byMarginLevel ? marginLevel : maxPossibleLoss,
+        threshold: toMetric(level === 'high' ? policy.riskHighThreshold : policy.riskMediumThreshold),
+        message: describeRiskLevel(level, policy, account),
+        suggestion
+    };
+}
+
+/**
+ * 生成因保证金水平升级的风险等级建议文本
+ * @param {string} level - 风险等级(high/medium)
+ * @param {number} marginLevel - 最大回撤处保证金水平(%)
+ * @param {Object} account - 账户设置
+ * @returns {string} 建议文本
+ */
+function describeMarginStatusRisk(level, marginLevel, account) {
+    const current = marginLevel.toFixed(0);
+    return level === 'high'
+        ? `⚠️ 高风险：最大回撤处保证金水平${current}%低于强制平仓水平${account.stopOutLevel}%，到达该深度前账户将被强制平仓，建议降低仓位手数或减少最大仓位数`
+        : `⚡ 中风险：最大回撤处保证金水平${current}%低于追加保证金水平${account.marginCallLevel}%，请确保账户资金充足`;
+}
+
+/**
+ * 生成风险等级的建议文本，说明所依据的阈值
+ * @param {string} level - 风险等级(RISK_LEVELS的键)
+ * @param {Object} policy - 风险策略
+ * @param {Object} account - 账户设置
+ * @returns {string} 建议文本
+ */
+function describeRiskLevel(level, policy, account) {
+    if (level === 'low') {
+        return '✅ 低风险：最大可能亏损在可控范围内';
+    }
+
+    const { riskThresholdMode, riskMediumThreshold, riskHighThreshold } = policy;
+
+    if (riskThresholdMode === 'marginLevel') {
+        return level === 'high'
+            ? `⚠️ 高风险：最大回撤处保证金水平低于${riskHighThreshold}%，建议降低仓位手数或减少最大仓位数`
+            : `⚡ 中风险：最大回撤处保证金水平在${riskHighThreshold}%-${riskMediumThreshold}%之间，请确保账户资金充足`;
+    }
+    if (riskThresholdMode === 'balancePercent') {
+        const toAmount = threshold => formatAdviceAmount(account.accountBalance * threshold / 100);
+        return level === 'high'
+            ? `⚠️ 高风险：最大可能亏损超过账户余额的${riskHighThreshold}%(${toAmount(riskHighThreshold)})，建议降低仓位手数或减少最大仓位数`
+            : `⚡ 中风险：最大可能亏损在账户余额的${riskMediumThreshold}%-${riskHighThreshold}%(${toAmount(riskMediumThreshold)}-${toAmount(riskHighThreshold)})之间，请确保账户资金充足`;
+    }
+    return level === 'high'
+        ? `⚠️ 高风险：最大可能亏损超过${formatAdviceAmount(riskHighThreshold)}，建议降低仓位手数或减少最大仓位数`
+        : `⚡ 中风险：最大可能亏损在${formatAdviceAmount(riskMediumThreshold)}-${formatAdviceAmount(riskHighThreshold)}之间，请确保账户资金充足`;
+}
+
+/**
+ * 仓位集中度规则：加仓放大后的单层手数占比过高时建议降低倍数指数
+ * 倍数指数小于1或单层网格时首仓最大属于正常情况，不提示
+ * @param {Object} context - 规则上下文
+ * @returns {Object|null} 建议
+ */
+function evaluateVolumeConcentrationRule(context) {
+    const { result, params } = context;
+    const share = getVolumeConcentration(result.positions.map(pos => pos.volume));
+    if (!(share > VOLUME_CONCENTRATION_THRESHOLD)) {
+        return null;
+    }
+
+    let suggestion = null;
+    const geometric = ['geometric', 'cappedGeometric'].includes(params.volumeMode || 'geometric');
+    if (context.hasParams && geometric && params.volumeExponent > 1) {
+        const exponent = findConcentrationExponent(params);
+        if (exponent !== null && exponent < params.volumeExponent) {
+            suggestion = buildSuggestion(params, { volumeExponent: exponent });
+        }
+    }
+
+    return {
+        severity: 'warning',
+        value: share * 100,
+        threshold: VOLUME_CONCENTRATION_THRESHOLD * 100,
+        message: '📊 仓位分布不均：最大单笔仓位过大，建议降低倍数指数',
+        suggestion
+    };
+}
+
+/**
+ * 计算最大单层手数占总手数的比例，最大仓位不超过首仓时为0
+ * @param {Array} volumes - 各层手数
+ * @returns {number} 占比(0-1)
+ */
+function getVolumeConcentration(volumes) {
+    const maxVolume = Math.max(...volumes);
+    const totalVolume = volumes.reduce((sum, volume) => sum + volume, 0);
+    return maxVolume > volumes[0] ? maxVolume / totalVolume : 0;
+}
+
+/**
+ * 二分查找使仓位集中度不超过上限的最大倍数指数(保留2位小数)
+ * @param {Object} params - cBot参数
+ * @returns {number|null} 倍数指数，找不到时返回null
+ */
+function findConcentrationExponent(params) {
+    const concentration = exponent => {
+        const layerParams = { ...params, volumeExponent: exponent };
+        const volumes = [];
+        for (let level = 0; level < params.maxPositions; level++) {
+            volumes.push(normalizeVolume(getLayerRawVolume(layerParams, level), layerParams));
+        }
+        return getVolumeConcentration(volumes);
+    };
+
+    let low = 1;
+    let high = params.volumeExponent;
+    for (let i = 0; i < 30; i++) {
+        const middle = (low + high) / 2;
+        if (concentration(middle) <= VOLUME_CONCENTRATION_THRESHOLD) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const exponent = Math.floor(low * 100) / 100;
+    return concentration(exponent) <= VOLUME_CONCENTRATION_THRESHOLD ? exponent : null;
+}
+
+/**
+ * 回本难度规则：回本点数过大时建议按比例缩小网格间距
+ * @param {Object} context - 规则上下文
+ * @returns {Object} 建议
+ */
+function evaluateBreakEvenRule(context) {
+    const { result, riskMetrics, params } = context;
+    const { breakEvenPips } = riskMetrics;
+    const pips = breakEvenPips.toFixed(0);
+
+    if (breakEvenPips < BREAK_EVEN_THRESHOLDS.medium) {
+        return { severity: 'ok', value: breakEvenPips, threshold: BREAK_EVEN_THRESHOLDS.medium, message: '🎯 回本容易：只需回升' + pips + '点即可回本' };
+    }
+    if (breakEvenPips <= BREAK_EVEN_THRESHOLDS.hard) {
+        return { severity: 'info', value: breakEvenPips, threshold: BREAK_EVEN_THRESHOLDS.medium, message: '🎯 回本中等：需要回升' + pips + '点才能回本' };
+    }
+
+    // 回本点数 = 均价距起始价格的点数(随间距等比例变化) + 交易成本折算的点数(不变)
+    let suggestion = null;
+    if (context.hasParams && result.instrumentContext && riskMetrics.tradingCosts) {
+        const costPips = riskMetrics.tradingCosts.total / (result.totalVolume * result.instrumentContext.pipValue);
+        if (costPips < BREAK_EVEN_THRESHOLDS.hard) {
+            suggestion = buildSpacingScaleSuggestion(params, (BREAK_EVEN_THRESHOLDS.hard - costPips) / (breakEvenPips - costPips));
+        }
+    }
+
+    return {
+        severity: 'warning',
+        value: breakEvenPips,
+        threshold: BREAK_EVEN_THRESHOLDS.hard,
+        message: '🎯 回本困难：需要回升' + pips + '点才能回本，考虑减少DCA间距',
+        suggestion
+    };
+}
+
+/**
+ * 爆仓深度规则：预期最大回撤范围内即触发强制平仓时，建议降低手数使爆仓深度不浅于最大回撤
+ * 爆仓深度超出预期最大回撤时为良好，未设置最大回撤时仅作提示
+ * @param {Object} context - 规则上下文
+ * @returns {Object|null} 建议
+ */
+function evaluateStopOutRule(context) {
+    const { riskMetrics, account, params } = context;
+    const { stopOutPips } = riskMetrics;
+    if (stopOutPips === null || stopOutPips === undefined) {
+        return null;
+    }
+
+    const hasDrawdown = params.maxDrawdownPips > 0;
+    const pips = stopOutPips.toFixed(0);
+    if (hasDrawdown && stopOutPips >= params.maxDrawdownPips) {
+        return {
+            severity: 'ok',
+            value: stopOutPips,
+            threshold: params.maxDrawdownPips,
+            message: '🛡️ 爆仓深度：逆势' + pips + '点才会触发强制平仓，超出预期最大回撤' + params.maxDrawdownPips + '点'
+        };
+    }
+
+    return {
+        severity: hasDrawdown ? 'critical' : 'info',
+        value: stopOutPips,
+        threshold: hasDrawdown ? params.maxDrawdownPips : null,
+        message: '💥 爆仓深度：逆势' + pips + '点将触发强制平仓，请确认账户资金与杠杆设置',
+        suggestion: hasDrawdown
+            ? buildVolumeScaleSuggestion(params, getMarginLevelScaleFactor(riskMetrics, account, account.stopOutLevel))
+            : null
+    };
+}
+
+/**
+ * 保证金占用规则：全部仓位开满所需保证金占账户余额过高时，建议减少最大仓位数
+ * 首仓本身已超出时改为建议降低手数
+ * @param {Object} context - 规则上下文
+ * @returns {Object|null} 建议
+ */
+function evaluateMarginUsageRule(context) {
+    const { result, riskMetrics, account, params } = context;
+    const { marginRequired } = riskMetrics;
+    if (!(marginRequired > 0)) {
+        return null;
+    }
+
+    const usage = marginRequired / account.accountBalance * 100;
+    if (usage <= MARGIN_USAGE_THRESHOLDS.warning) {
+        return null;
+    }
+
+    let suggestion = null;
+    if (context.hasParams) {
+        // 保证金与持仓手数成正比(含对冲首仓)
+        const hedgeVolume = result.hedgePositions && result.hedgePositions.length > 0 ? result.hedgePositions[0].volume : 0;
+        const volumeLimit = (result.totalVolume + hedgeVolume) * MARGIN_USAGE_THRESHOLDS.warning / usage - hedgeVolume;
+        const layers = result.positions.filter(pos => pos.cumulativeVolume <= volumeLimit + 1e-9).length;
+        suggestion = layers > 0
+            ? buildSuggestion(params, { maxPositions: layers })
+            : buildVolumeScaleSuggestion(params, MARGIN_USAGE_THRESHOLDS.warning / usage);
+    }
+
+    const critical = usage > MARGIN_USAGE_THRESHOLDS.critical;
+    return {
+        severity: critical ? 'critical' : 'warning',
+        value: usage,
+        threshold: critical ? MARGIN_USAGE_THRESHOLDS.critical : MARGIN_USAGE_THRESHOLDS.warning,
+        message: `🏦 保证金占用${critical ? '过高' : '较高'}：全部仓位开满需要保证金${formatAdviceAmount(marginRequired)}，占账户余额的${usage.toFixed(0)}%` +
+            (critical ? '，账户无法承载完整网格' : ''),
+        suggestion
+    };
+}
+
+/**
+ * 风险回报比规则
+ * @param {Object} context - 规则上下文
+ * @returns {Object|null} 建议
+ */
+function evaluateRiskRewardRule(context) {
+    const { riskRewardRatio } = context.riskMetrics;
+    if (!(riskRewardRatio < RISK_REWARD_THRESHOLD)) {
+        return null;
+    }
+    return {
+        severity: 'info',
+        value: riskRewardRatio,
+        threshold: RISK_REWARD_THRESHOLD,
+        message: '⚖️ 风险回报比过低，建议优化参数配置'
+    };
+}
+
+/**
+ * 求使最大回撤处保证金水平回到目标水平的手数缩放比例
+ * 手数缩放f倍时：保证金水平 = (余额 - f × 亏损) / (f × 保证金) → f = 余额 / (亏损 + 保证金 × 目标水平)
+ * @param {Object} riskMetrics - 风险指标
+ * @param {Object} account - 账户设置
+ * @param {number} level - 目标保证金水平(%)
+ * @returns {number|null} 缩放比例，缺少保证金数据时返回null
+ */
+function getMarginLevelScaleFactor(riskMetrics, account, level) {
+    const { maxPossibleLoss, marginAtMaxDrawdown } = riskMetrics;
+    if (!(marginAtMaxDrawdown > 0)) {
+        return null;
+    }
+    return account.accountBalance / (maxPossibleLoss + marginAtMaxDrawdown * level / 100);
+}
+
+/**
+ * 按最小变动手数向下取整，不小于最小手数
+ * @param {number} volume - 手数
+ * @param {Object} params - cBot参数(手数规格)
+ * @returns {number} 取整后的手数
+ */
+function floorVolume(volume, params) {
+    const { lotStep, minLot } = { ...DEFAULT_VOLUME_SETTINGS, ...params };
+    const decimals = (String(lotStep).split('.')[1] || '').length;
+    return Math.max(Number((Math.floor(volume / lotStep + 1e-9) * lotStep).toFixed(decimals)), minLot);
+}
+
+/**
+ * 生成按比例缩小各层手数的修改建议
+ * @param {Object} params - cBot参数
+ * @param {number|null} factor - 缩放比例(小于1)
+ * @returns {Object|null} 修改建议
+ */
+function buildVolumeScaleSuggestion(params, factor) {
+    if (!(factor > 0 && factor < 1) || !(params.firstVolume > 0)) {
+        return null;
+    }
+
+    const scale = volume => floorVolume(volume * factor, params);
+    const settings = { ...DEFAULT_VOLUME_SETTINGS, ...params };
+    switch (params.volumeMode) {
+        case 'custom':
+            return buildSuggestion(params, { customVolumes: parseNumberList(settings.customVolumes).map(scale).join(', ') });
+        case 'additive':
+            return buildSuggestion(params, {
+                firstVolume: scale(params.firstVolume),
+                volumeIncrement: Number((settings.volumeIncrement * factor).toFixed(4))
+            });
+        case 'cappedGeometric':
+            return buildSuggestion(params, { firstVolume: scale(params.firstVolume), maxLayerVolume: scale(settings.maxLayerVolume) });
+        default:
+            return buildSuggestion(params, { firstVolume: scale(params.firstVolume) });
+    }
+}
+
+/**
+ * 生成按比例缩小网格间距的修改建议（间距保留1位小数）
+ * @param {Object} params - cBot参数
+ * @param {number} factor - 缩放比例(小于1)
+ * @returns {Object|null} 修改建议
+ */
+function buildSpacingScaleSuggestion(params, factor) {
+    if (!(factor > 0 && factor < 1) || !(params.pipStep > 0)) {
+        return null;
+    }
+
+    const scale = pips => Math.max(Math.floor(pips * factor * 10) / 10, 0.1);
+    const settings = { ...DEFAULT_SPACING_SETTINGS, ...params };
+    switch (params.spacingMode) {
+        case 'custom':
+            return buildSuggestion(params, { customPipSteps: parseNumberList(settings.customPipSteps).map(scale).join(', ') });
+        case 'atr':
+            return buildSuggestion(params, { atrMultiplier: Math.max(Math.floor(settings.atrMultiplier * factor * 100) / 100, 0.01) });
+        case 'arithmetic':
+            return buildSuggestion(params, { pipStep: scale(params.pipStep), pipStepIncrement: Math.floor(settings.pipStepIncrement * factor * 10) / 10 });
+        default:
+            return buildSuggestion(params, { pipStep: scale(params.pipStep) });
+    }
+}
+
+/**
+ * 整理参数修改建议，去掉与当前取值相同的参数
+ * @param {Object} params - 当前cBot参数
+ * @param {Object} changes - 建议修改的参数
+ * @returns {Object|null} { changes, summary }，没有实际修改时返回null
+ */
+function buildSuggestion(params, changes) {
+    const effective = {};
+    const parts = [];
+    Object.keys(changes).forEach(key => {
+        if (changes[key] === params[key]) return;
+        effective[key] = changes[key];
+        parts.push(`${ADVICE_PARAM_LABELS[key] || key}: ${params[key]} → ${changes[key]}`);
+    });
+    return parts.length > 0 ? { changes: effective, summary: parts.join('；') } : null;
+}
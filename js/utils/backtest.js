@@ -0,0 +1,385 @@
+// DCA cBot 历史行情回测工具
+
+// CSV列名别名（统一转为小写并去除<>、空格、下划线后匹配）
+const CSV_COLUMN_ALIASES = {
+    date: ['date', 'day'],
+    time: ['time', 'datetime', 'timestamp', 'opentime', 'timeutc'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c'],
+    bid: ['bid'],
+    ask: ['ask'],
+    price: ['price', 'last']
+};
+
+// 回测平仓原因
+const BACKTEST_EXIT_REASONS = {
+    takeProfit: '止盈',
+    stopOut: '强制平仓',
+    endOfData: '数据结束'
+};
+
+/**
+ * 识别CSV分隔符
+ * @param {string} line - 首行文本
+ * @returns {string} 分隔符
+ */
+function detectCsvDelimiter(line) {
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, delimiter) => {
+        return line.split(delimiter).length > line.split(best).length ? delimiter : best;
+    }, ',');
+}
+
+/**
+ * 根据表头建立列索引
+ * @param {Array} headerCells - 表头单元格
+ * @returns {Object|null} 列名到索引的映射，无法识别时返回null
+ */
+function mapCsvColumns(headerCells) {
+    const columns = {};
+    headerCells.forEach((cell, index) => {
+        const name = cell.toLowerCase().replace(/[<>\s_]/g, '');
+        Object.keys(CSV_COLUMN_ALIASES).forEach(key => {
+            if (columns[key] === undefined && CSV_COLUMN_ALIASES[key].includes(name)) {
+                columns[key] = index;
+            }
+        });
+    });
+    return Object.keys(columns).length > 0 ? columns : null;
+}
+
+/**
+ * 解析OHLC K线或Tick格式的CSV文本
+ * - 有表头时按列名识别（支持date/time分列、bid/ask报价）
+ * - 无表头时，5列及以上按 时间,开,高,低,收 解析，否则按 时间,价格 解析
+ * @param {string} text - CSV文本
+ * @returns {Object} { bars: [{time, open, high, low, close}], skippedRows, format }
+ */
+function parsePriceCsv(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (lines.length === 0) {
+        throw new Error('CSV文件为空');
+    }
+
+    const delimiter = detectCsvDelimiter(lines[0]);
+    const rows = lines.map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, '')));
+
+    let columns = mapCsvColumns(rows[0]);
+    let dataRows = rows;
+    if (columns) {
+        dataRows = rows.slice(1);
+    } else if (rows[0].length >= 5) {
+        columns = { time: 0, open: 1, high: 2, low: 3, close: 4 };
+    } else {
+        columns = { time: 0, price: 1 };
+    }
+
+    const isOHLC = columns.open !== undefined && columns.high !== undefined &&
+        columns.low !== undefined && columns.close !== undefined;
+    const tickColumn = [columns.bid, columns.price, columns.close, columns.ask].find(index => index !== undefined);
+    if (!isOHLC && tickColumn === undefined) {
+        throw new Error('无法识别CSV价格列，需要open/high/low/close或bid/price列');
+    }
+
+    const bars = [];
+    let skippedRows = 0;
+    dataRows.forEach(cells => {
+        const time = [columns.date, columns.time]
+            .filter(index => index !== undefined && cells[index] !== undefined)
+            .map(index => cells[index])
+            .join(' ');
+
+        let bar;
+        if (isOHLC) {
+            bar = {
+                time,
+                open: parseFloat(cells[columns.open]),
+                high: parseFloat(cells[columns.high]),
+                low: parseFloat(cells[columns.low]),
+                close: parseFloat(cells[columns.close])
+            };
+        } else {
+            const price = parseFloat(cells[tickColumn]);
+            bar = { time, open: price, high: price, low: price, close: price };
+        }
+
+        if ([bar.open, bar.high, bar.low, bar.close].some(value => !isFinite(value))) {
+            skippedRows++;
+            return;
+        }
+        bars.push(bar);
+    });
+
+    if (bars.length === 0) {
+        throw new Error('CSV文件中没有有效的价格数据');
+    }
+
+    return { bars, skippedRows, format: isOHLC ? 'ohlc' : 'tick' };
+}
+
+/**
+ * 生成K线内部的价格路径
+ * 阳线按 开→低→高→收，阴线按 开→高→低→收 的顺序运行
+ * @param {Object} bar - K线
+ * @returns {Array} 价格路径
+ */
+function getBarPricePath(bar) {
+    return bar.close >= bar.open
+        ? [bar.open, bar.low, bar.high, bar.close]
+        : [bar.open, bar.high, bar.low, bar.close];
+}
+
+/**
+ * 按历史行情逐K线回放DCA网格
+ * 网格层级、手数和止盈价格与calculateDCABot使用相同的构建函数，每组仓位以开仓时的价格作为参考价
+ * 每层开仓时按calculateTradingCosts计算点差、佣金和隔夜利息，计入浮动盈亏并在平仓时从盈亏中扣除
+ * @param {Array} bars - K线数据(见parsePriceCsv)
+ * @param {Object} params - cBot参数(与calculateDCABot相同)
+ * @param {Object} options - 选项
+ * @param {Array} options.openPositions - 已有持仓 [{ entryPrice, volume }]，第一组仓位从这些持仓开始(见buildOpenBasketPositions)
+ * @returns {Object} 回测结果：交易记录、仓位组、净值曲线和统计指标
+ */
+function runBacktest(bars, params, options = {}) {
+    const {
+        direction = 'buy',
+        takeProfitMode = 'none',
+        takeProfitPips = 0
+    } = params;
+
+    if (!bars || bars.length === 0) {
+        throw new Error('没有可回测的行情数据');
+    }
+    if (takeProfitMode === 'none') {
+        throw new Error('回测需要设置止盈模式');
+    }
+
+    const instrumentContext = resolveInstrumentContext(params);
+    const { pipSize, pipValue } = instrumentContext;
+    const account = resolveAccountSettings(params);
+    const costs = resolveTradingCosts(params);
+    const tolerance = pipSize * 1e-6;
+    const sides = direction === 'hedge' ? ['buy', 'sell'] : [direction];
+
+    let balance = account.accountBalance;
+    let peakEquity = balance;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let stopOutCount = 0;
+    let blownUp = false;
+    let basketSequence = 0;
+
+    const trades = [];
+    const baskets = [];
+    const equityCurve = [];
+    const openBaskets = {};
+    let pendingOpenPositions = options.openPositions || [];
+
+    // 开启一组新仓位：首层立即以当前价格成交
+    // 带已有持仓的第一组按实际入场价计入持仓，价格已越过的剩余层级同样在起点立即成交
+    function openBasket(side, price, time) {
+        const gridParams = { ...params, side, referencePrice: price, pipSize, instrumentContext };
+        const seeded = pendingOpenPositions.length > 0;
+        const layers = applyTakeProfit(
+            seeded ? buildOpenBasketPositions({ ...gridParams, openPositions: pendingOpenPositions }) : buildGridPositions(gridParams),
+            { mode: takeProfitMode, takeProfitPips, pipSize, pipValue }
+        );
+        pendingOpenPositions = [];
+        const basket = {
+            id: ++basketSequence,
+            side,
+            startTime: time,
+            startPrice: price,
+            layers,
+            openLayers: [],
+            maxLayers: 0,
+            maxVolume: 0,
+            realizedPnL: 0
+        };
+        openBaskets[side] = basket;
+        if (seeded) {
+            layers.forEach((layer, index) => {
+                if (getTriggerPips(layer) <= 0) {
+                    fillLayer(basket, index, layer.entryPrice, time);
+                }
+            });
+        } else {
+            fillLayer(basket, 0, price, time);
+        }
+    }
+
+    function fillLayer(basket, index, price, time) {
+        const layer = basket.layers[index];
+        const cost = calculateTradingCosts([{ side: basket.side, volume: layer.volume }], costs, pipValue).total;
+        basket.openLayers.push({ index, side: basket.side, entryPrice: price, volume: layer.volume, entryTime: time, cost });
+        basket.maxLayers = Math.max(basket.maxLayers, basket.openLayers.length);
+        basket.maxVolume = Math.max(basket.maxVolume, basket.openLayers.reduce((sum, pos) => sum + pos.volume, 0));
+    }
+
+    function closeLayer(basket, openLayer, price, time, reason) {
+        const pnl = calculatePositionPnL(openLayer, price, pipValue, pipSize) - openLayer.cost;
+        balance += pnl;
+        basket.realizedPnL += pnl;
+        basket.openLayers = basket.openLayers.filter(pos => pos !== openLayer);
+        trades.push({
+            basketId: basket.id,
+            side: basket.side,
+            level: openLayer.index + 1,
+            entryTime: openLayer.entryTime,
+            entryPrice: openLayer.entryPrice,
+            volume: openLayer.volume,
+            exitTime: time,
+            exitPrice: price,
+            cost: openLayer.cost,
+            pnl,
+            reason
+        });
+
+        if (basket.openLayers.length === 0) {
+            baskets.push({
+                id: basket.id,
+                side: basket.side,
+                startTime: basket.startTime,
+                endTime: time,
+                startPrice: basket.startPrice,
+                maxLayers: basket.maxLayers,
+                maxVolume: basket.maxVolume,
+                pnl: basket.realizedPnL,
+                exitReason: reason
+            });
+            openBaskets[basket.side] = null;
+        }
+    }
+
+    function closeBasket(basket, price, time, reason) {
+        basket.openLayers.slice().forEach(openLayer => closeLayer(basket, openLayer, price, time, reason));
+    }
+
+    // 整体止盈价：当前持仓均价+N点
+    function getBasketTakeProfitPrice(basket) {
+        const sign = getSideSign(basket.side);
+        const totalVolume = basket.openLayers.reduce((sum, pos) => sum + pos.volume, 0);
+        const avgPrice = basket.openLayers.reduce((sum, pos) => sum + pos.entryPrice * pos.volume, 0) / totalVolume;
+        return avgPrice + sign * takeProfitPips * pipSize;
+    }
+
+    // 价格从from单调运行到to：不利方向触发加仓，有利方向检查止盈；跳空时按to价格成交
+    function processMove(basket, from, to, time, isGap) {
+        const sign = getSideSign(basket.side);
+
+        if (sign * (to - from) < 0) {
+            basket.layers.forEach((layer, index) => {
+                const isOpen = basket.openLayers.some(pos => pos.index === index);
+                const crossed = sign * (from - layer.entryPrice) >= -tolerance && sign * (layer.entryPrice - to) >= -tolerance;
+                if (!isOpen && crossed && index > 0) {
+                    fillLayer(basket, index, isGap ? to : layer.entryPrice, time);
+                }
+            });
+        } else if (sign * (to - from) > 0) {
+            if (takeProfitMode === 'basket') {
+                const takeProfitPrice = getBasketTakeProfitPrice(basket);
+                if (sign * (to - takeProfitPrice) >= -tolerance) {
+                    closeBasket(basket, isGap ? to : takeProfitPrice, time, 'takeProfit');
+                }
+            } else {
+                basket.openLayers.slice().forEach(openLayer => {
+                    const takeProfitPrice = basket.layers[openLayer.index].takeProfitPrice;
+                    if (sign * (to - takeProfitPrice) >= -tolerance) {
+                        closeLayer(basket, openLayer, isGap ? to : takeProfitPrice, time, 'takeProfit');
+                    }
+                });
+            }
+        }
+    }
+
+    // 计算指定价格下的净值，并在保证金水平跌破强制平仓线时平掉全部仓位
+    function checkAccount(price, time) {
+        let floatingPnL = 0;
+        let openVolume = 0;
+        sides.forEach(side => {
+            const basket = openBaskets[side];
+            if (!basket) return;
+            basket.openLayers.forEach(pos => {
+                floatingPnL += calculatePositionPnL(pos, price, pipValue, pipSize) - pos.cost;
+                openVolume += pos.volume;
+            });
+        });
+
+        let equity = balance + floatingPnL;
+        const marginRequired = calculateMarginRequired(openVolume, price, instrumentContext);
+        if (marginRequired > 0 && (equity / marginRequired) * 100 <= account.stopOutLevel) {
+            stopOutCount++;
+            sides.forEach(side => {
+                if (openBaskets[side]) closeBasket(openBaskets[side], price, time, 'stopOut');
+            });
+            equity = balance;
+            blownUp = balance <= 0;
+        }
+
+        peakEquity = Math.max(peakEquity, equity);
+        const drawdown = peakEquity - equity;
+        if (drawdown > maxDrawdown) {
+            maxDrawdown = drawdown;
+            maxDrawdownPercent = peakEquity > 0 ? (drawdown / peakEquity) * 100 : 0;
+        }
+        return equity;
+    }
+
+    let previousClose = null;
+    let processedBars = 0;
+    for (let i = 0; i < bars.length && !blownUp; i++) {
+        const bar = bars[i];
+        const path = getBarPricePath(bar);
+        const points = previousClose === null ? path : [previousClose].concat(path);
+        let equity = balance;
+
+        for (let p = 1; p < points.length && !blownUp; p++) {
+            const from = points[p - 1];
+            const to = points[p];
+            const isGap = previousClose !== null && p === 1;
+
+            sides.forEach(side => {
+                if (!openBaskets[side]) {
+                    openBasket(side, from, bar.time);
+                }
+                processMove(openBaskets[side], from, to, bar.time, isGap);
+            });
+            equity = checkAccount(to, bar.time);
+        }
+
+        equityCurve.push({ time: bar.time, balance, equity });
+        previousClose = bar.close;
+        processedBars++;
+    }
+
+    // 数据结束时仍未平仓的仓位按最后收盘价结算
+    const lastBar = bars[processedBars - 1];
+    sides.forEach(side => {
+        if (openBaskets[side]) closeBasket(openBaskets[side], lastBar.close, lastBar.time, 'endOfData');
+    });
+
+    const closedBaskets = baskets.filter(basket => basket.exitReason !== 'endOfData');
+    const winningBaskets = closedBaskets.filter(basket => basket.pnl > 0);
+
+    return {
+        trades,
+        baskets,
+        equityCurve,
+        stats: {
+            bars: processedBars,
+            initialBalance: account.accountBalance,
+            finalBalance: balance,
+            netProfit: balance - account.accountBalance,
+            totalBaskets: baskets.length,
+            closedBaskets: closedBaskets.length,
+            winningBaskets: winningBaskets.length,
+            winRate: closedBaskets.length > 0 ? (winningBaskets.length / closedBaskets.length) * 100 : 0,
+            maxDrawdown,
+            maxDrawdownPercent,
+            maxLayersReached: baskets.reduce((max, basket) => Math.max(max, basket.maxLayers), 0),
+            stopOutCount,
+            blownUp
+        }
+    };
+}
@@ -1,14 +1,651 @@
 // cTrader DCA cBot 参数优化计算工具
 
+// 网格方向定义：sign为+1表示价格下跌为不利方向（买入网格），-1表示价格上涨为不利方向（卖出网格）
+// 双向对冲网格两侧对称，分析时以买入侧作为不利侧，卖出侧首仓作为对冲仓位
+const DCA_DIRECTIONS = {
+    buy: { sign: 1, label: '买入', adverseLabel: '向下' },
+    sell: { sign: -1, label: '卖出', adverseLabel: '向上' },
+    hedge: { sign: 1, label: '双向对冲', adverseLabel: '单边' }
+};
+
+// 止盈模式：整体止盈在平均成本价+N点平掉整组仓位，逐层止盈在各层入场价+N点单独平仓
+const TAKE_PROFIT_MODES = {
+    none: { label: '不设止盈' },
+    basket: { label: '整体止盈 (均价+N点)' },
+    perLayer: { label: '逐层止盈 (入场价+N点)' }
+};
+
+// 网格间距模式：第k个间距(第k层到第k+1层)的点数
+// - constant: pipStep
+// - geometric: pipStep × 间距倍数^(k-1)
+// - arithmetic: pipStep + 间距增量 × (k-1)
+// - custom: 自定义列表第k项，列表不足时沿用最后一项
+// - atr: ATR点数 × ATR系数
+const SPACING_MODES = {
+    constant: { label: '固定间距' },
+    geometric: { label: '等比递增 (间距×倍数)' },
+    arithmetic: { label: '等差递增 (间距+增量)' },
+    custom: { label: '自定义每层间距' },
+    atr: { label: 'ATR倍数' }
+};
+
+// 默认间距设置
+const DEFAULT_SPACING_SETTINGS = {
+    spacingMode: 'constant',
+    pipStepMultiplier: 1.5,
+    pipStepIncrement: 5,
+    customPipSteps: '',
+    atrPips: 20,
+    atrMultiplier: 1
+};
+
+// 仓位手数模式：第level层(从0开始)的原始手数
+// - geometric: firstVolume × volumeExponent^level
+// - additive: firstVolume + 手数增量 × level
+// - fibonacci: firstVolume × 斐波那契数列第level+1项(1, 1, 2, 3, 5...)
+// - custom: 自定义列表第level+1项，列表不足时沿用最后一项
+// - cappedGeometric: min(firstVolume × volumeExponent^level, 单层最大手数)
+const VOLUME_MODES = {
+    geometric: { label: '等比倍增 (手数×倍数指数)' },
+    additive: { label: '等差递增 (手数+增量)' },
+    fibonacci: { label: '斐波那契数列' },
+    custom: { label: '自定义每层手数' },
+    cappedGeometric: { label: '等比倍增 (单层封顶)' }
+};
+
+// 默认手数设置：手数模式参数及经纪商手数规格(最小变动手数、最小/最大手数)
+const DEFAULT_VOLUME_SETTINGS = {
+    volumeMode: 'geometric',
+    volumeIncrement: 0.1,
+    customVolumes: '',
+    maxLayerVolume: 5,
+    lotStep: 0.01,
+    minLot: 0.01,
+    maxLot: 100
+};
+
+// 默认账户设置：余额(美元)、杠杆、追加保证金(Margin Call)和强制平仓(Stop Out)的保证金水平(%)
+const DEFAULT_ACCOUNT_SETTINGS = {
+    accountBalance: 10000,
+    leverage: 30,
+    marginCallLevel: 100,
+    stopOutLevel: 50
+};
+
+// 默认交易成本：点差(点)、每手单边佣金(美元)、多头/空头每手每日隔夜利息(美元，负数为支出)、预期持仓天数
+const DEFAULT_TRADING_COSTS = {
+    spreadPips: 0,
+    commissionPerLot: 0,
+    swapLong: 0,
+    swapShort: 0,
+    holdingDays: 0
+};
+
+// 回撤分析采样方式：固定间隔逐点/每5点/每10点，或在加仓触发点附近加密采样
+const DRAWDOWN_SAMPLING_MODES = {
+    '1': { label: '每1点' },
+    '5': { label: '每5点' },
+    '10': { label: '每10点' },
+    adaptive: { label: '自适应（触发点附近逐点）' }
+};
+
+// 自适应采样的基础间隔，以及触发点两侧逐点采样的范围(点)
+const ADAPTIVE_SAMPLING_BASE_PIPS = 10;
+const ADAPTIVE_SAMPLING_WINDOW_PIPS = 3;
+
+// 默认分析设置
+const DEFAULT_ANALYSIS_SETTINGS = {
+    drawdownSampling: '10'
+};
+
+// 风险等级：回撤分析、仓位层级、风险指标和风险建议共用同一套等级、名称和颜色
+const RISK_LEVELS = {
+    low: { label: '低风险', color: '#28a745' },
+    medium: { label: '中风险', color: '#ffa726' },
+    high: { label: '高风险', color: '#dc3545' }
+};
+
+// 风险阈值方式：
+// - balancePercent: 亏损金额超过账户余额的N%
+// - absolute: 亏损金额超过N美元
+// - marginLevel: 保证金水平低于N%（阈值越低风险越高）
+// defaults为切换方式时使用的中风险/高风险阈值
+const RISK_THRESHOLD_MODES = {
+    balancePercent: { label: '亏损占账户余额 (%)', defaults: { riskMediumThreshold: 30, riskHighThreshold: 60 } },
+    absolute: { label: '亏损金额 (美元)', defaults: { riskMediumThreshold: 3000, riskHighThreshold: 6000 } },
+    marginLevel: { label: '保证金水平 (%)', defaults: { riskMediumThreshold: 300, riskHighThreshold: 150 } }
+};
+
+// 默认风险策略：亏损超过账户余额的30%为中风险，超过60%为高风险
+const DEFAULT_RISK_POLICY = {
+    riskThresholdMode: 'balancePercent',
+    ...RISK_THRESHOLD_MODES.balancePercent.defaults
+};
+
+// 仓位组模式：从空仓开始的新网格，或从已开仓位和当前价格继续分析运行中的网格
+const BASKET_MODES = {
+    new: { label: '新建网格（从空仓开始）' },
+    open: { label: '已有持仓（从当前价格继续）' }
+};
+
+// 默认仓位组设置：新建网格的起始价格为0时使用品种参考价格，已有持仓每行一笔"入场价格 手数"
+const DEFAULT_BASKET_SETTINGS = {
+    basketMode: 'new',
+    startPrice: 0,
+    currentPrice: 0,
+    openPositions: ''
+};
+
+/**
+ * 解析计算起点价格：已有持仓分析为当前价格，新建网格为起始价格，未设置起始价格时使用品种参考价格
+ * 入场价格、止盈价格、均价、保证金和名义价值均以该价格为基准计算
+ * @param {Object} params - cBot参数
+ * @param {Object} instrument - 品种配置，默认按params.symbol查找
+ * @returns {number} 起点价格
+ */
+function resolveReferencePrice(params, instrument = getInstrument(params.symbol)) {
+    if (params.basketMode === 'open') {
+        return params.currentPrice;
+    }
+    return params.startPrice > 0 ? params.startPrice : instrument.referencePrice;
+}
+
+/**
+ * 解析账户设置，未提供的字段使用默认值
+ * @param {Object} params - cBot参数
+ * @returns {Object} 账户设置
+ */
+function resolveAccountSettings(params) {
+    const settings = {};
+    Object.keys(DEFAULT_ACCOUNT_SETTINGS).forEach(key => {
+        settings[key] = params[key] > 0 ? params[key] : DEFAULT_ACCOUNT_SETTINGS[key];
+    });
+    return settings;
+}
+
+/**
+ * 解析交易成本设置，未提供或无效的字段使用默认值
+ * @param {Object} params - cBot参数
+ * @returns {Object} 交易成本设置
+ */
+function resolveTradingCosts(params) {
+    const costs = {};
+    Object.keys(DEFAULT_TRADING_COSTS).forEach(key => {
+        costs[key] = Number.isFinite(params[key]) ? params[key] : DEFAULT_TRADING_COSTS[key];
+    });
+    return costs;
+}
+
+/**
+ * 解析风险策略，未提供或无效的阈值使用所选方式的默认值
+ * @param {Object} params - cBot参数
+ * @returns {Object} 风险策略 { riskThresholdMode, riskMediumThreshold, riskHighThreshold }
+ */
+function resolveRiskPolicy(params) {
+    const mode = RISK_THRESHOLD_MODES[params.riskThresholdMode] ? params.riskThresholdMode : DEFAULT_RISK_POLICY.riskThresholdMode;
+    const defaults = RISK_THRESHOLD_MODES[mode].defaults;
+    return {
+        riskThresholdMode: mode,
+        riskMediumThreshold: params.riskMediumThreshold > 0 ? params.riskMediumThreshold : defaults.riskMediumThreshold,
+        riskHighThreshold: params.riskHighThreshold > 0 ? params.riskHighThreshold : defaults.riskHighThreshold
+    };
+}
+
+/**
+ * 按风险策略的阈值评估风险等级（不考虑账户保证金状态）
+ * @param {Object} exposure - 风险敞口
+ * @param {number} exposure.loss - 亏损金额(美元，盈利为负数)
+ * @param {number|null} exposure.marginLevel - 保证金水平(%)，没有保证金占用时为null
+ * @param {Object} policy - 风险策略(见resolveRiskPolicy)
+ * @param {Object} account - 账户设置
+ * @returns {string} 风险等级(RISK_LEVELS的键)
+ */
+function classifyRiskThresholdLevel(exposure, policy, account) {
+    const { riskThresholdMode, riskMediumThreshold, riskHighThreshold } = policy;
+
+    if (riskThresholdMode === 'marginLevel') {
+        if (exposure.marginLevel === null || exposure.marginLevel === undefined) return 'low';
+        if (exposure.marginLevel < riskHighThreshold) return 'high';
+        if (exposure.marginLevel < riskMediumThreshold) return 'medium';
+        return 'low';
+    }
+
+    // 按余额百分比的阈值换算为金额
+    const toAmount = threshold => riskThresholdMode === 'balancePercent' ? account.accountBalance * threshold / 100 : threshold;
+    if (exposure.loss > toAmount(riskHighThreshold)) return 'high';
+    if (exposure.loss > toAmount(riskMediumThreshold)) return 'medium';
+    return 'low';
+}
+
+/**
+ * 按风险策略评估风险等级
+ * 无论采用哪种阈值方式，保证金水平跌破强制平仓水平均为高风险，跌破追加保证金水平至少为中风险
+ * @param {Object} exposure - 风险敞口(见classifyRiskThresholdLevel)
+ * @param {Object} policy - 风险策略(见resolveRiskPolicy)
+ * @param {Object} account - 账户设置(余额、追加保证金和强制平仓水平)
+ * @returns {string} 风险等级(RISK_LEVELS的键)
+ */
+function classifyRiskLevel(exposure, policy, account) {
+    const level = classifyRiskThresholdLevel(exposure, policy, account);
+    const marginStatus = getMarginStatus(exposure.marginLevel === undefined ? null : exposure.marginLevel, account);
+    if (marginStatus === 'stopOut') return 'high';
+    if (marginStatus === 'marginCall' && level === 'low') return 'medium';
+    return level;
+}
+
+/**
+ * 计算一组仓位的交易成本明细
+ * - spread: 开仓点差成本 = 手数 × 点差 × 每点价值
+ * - commission: 开仓和平仓两次佣金 = 手数 × 单边佣金 × 2
+ * - swap: 预期持仓期间的隔夜利息支出 = -(手数 × 每日利息 × 持仓天数)
+ * @param {Array} positions - 仓位列表(需包含side、volume)
+ * @param {Object} costs - 交易成本设置(见resolveTradingCosts)
+ * @param {number} pipValue - 每点价值
+ * @returns {Object} { spread, commission, swap, total }，正数表示成本
+ */
+function calculateTradingCosts(positions, costs, pipValue) {
+    const breakdown = { spread: 0, commission: 0, swap: 0, total: 0 };
+
+    positions.forEach(pos => {
+        const swapRate = pos.side === 'sell' ? costs.swapShort : costs.swapLong;
+        breakdown.spread += pos.volume * costs.spreadPips * pipValue;
+        breakdown.commission += pos.volume * costs.commissionPerLot * 2;
+        breakdown.swap -= pos.volume * swapRate * costs.holdingDays;
+    });
+
+    breakdown.total = breakdown.spread + breakdown.commission + breakdown.swap;
+    return breakdown;
+}
+
+/**
+ * 解析自定义数值列表(每层间距、每层手数)
+ * @param {Array|string|number} value - 数值数组、以逗号/空格分隔的字符串或单个数值
+ * @returns {Array} 数值列表
+ */
+function parseNumberList(value) {
+    if (Array.isArray(value)) {
+        return value.map(Number);
+    }
+    // JSON配置中只有一项的列表可能写成单个数字
+    if (typeof value === 'number') {
+        return [value];
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return [];
+    }
+    return value.trim().split(/[,，;；\s]+/).map(Number);
+}
+
+/**
+ * 计算第k个网格间距的点数
+ * @param {Object} params - cBot参数(pipStep及间距模式相关字段)
+ * @param {number} k - 间距序号(从1开始，第k层到第k+1层)
+ * @returns {number} 间距点数
+ */
+function getLayerStep(params, k) {
+    const { spacingMode = 'constant', pipStep } = params;
+    const settings = { ...DEFAULT_SPACING_SETTINGS, ...params };
+
+    switch (spacingMode) {
+        case 'geometric':
+            return pipStep * Math.pow(settings.pipStepMultiplier, k - 1);
+        case 'arithmetic':
+            return pipStep + settings.pipStepIncrement * (k - 1);
+        case 'custom': {
+            const steps = parseNumberList(settings.customPipSteps);
+            return steps.length > 0 ? steps[Math.min(k, steps.length) - 1] : pipStep;
+        }
+        case 'atr':
+            return settings.atrPips * settings.atrMultiplier;
+        default:
+            return pipStep;
+    }
+}
+
+/**
+ * 计算各层距离起始价格的点数(保留0.1点)
+ * @param {Object} params - cBot参数(pipStep、maxPositions及间距模式相关字段)
+ * @returns {Array} 各层距离点数，第1层为0
+ */
+function calculateLayerDistances(params) {
+    const distances = [0];
+    for (let level = 1; level < params.maxPositions; level++) {
+        const distance = distances[level - 1] + getLayerStep(params, level);
+        distances.push(Math.round(distance * 10) / 10);
+    }
+    return distances;
+}
+
+/**
+ * 计算第level层的原始手数(未按手数规格取整)
+ * @param {Object} params - cBot参数(firstVolume、volumeExponent及手数模式相关字段)
+ * @param {number} level - 层级(从0开始)
+ * @returns {number} 原始手数
+ */
+function getLayerRawVolume(params, level) {
+    const { volumeMode = 'geometric', firstVolume, volumeExponent } = params;
+    const settings = { ...DEFAULT_VOLUME_SETTINGS, ...params };
+
+    switch (volumeMode) {
+        case 'additive':
+            return firstVolume + settings.volumeIncrement * level;
+        case 'fibonacci': {
+            let previous = 0;
+            let current = 1;
+            for (let i = 0; i < level; i++) {
+                [previous, current] = [current, previous + current];
+            }
+            return firstVolume * current;
+        }
+        case 'custom': {
+            const volumes = parseNumberList(settings.customVolumes);
+            return volumes.length > 0 ? volumes[Math.min(level, volumes.length - 1)] : firstVolume;
+        }
+        case 'cappedGeometric':
+            return Math.min(firstVolume * Math.pow(volumeExponent, level), settings.maxLayerVolume);
+        default:
+            return firstVolume * Math.pow(volumeExponent, level);
+    }
+}
+
+/**
+ * 按经纪商手数规格取整：四舍五入到最小变动手数，并限制在最小/最大手数之间
+ * @param {number} volume - 原始手数
+ * @param {Object} params - 手数规格(lotStep、minLot、maxLot)
+ * @returns {number} 实际成交手数
+ */
+function normalizeVolume(volume, params) {
+    const { lotStep, minLot, maxLot } = { ...DEFAULT_VOLUME_SETTINGS, ...params };
+    // 按最小变动手数的小数位数修正浮点误差
+    const decimals = (String(lotStep).split('.')[1] || '').length;
+    const rounded = Number((Math.round(volume / lotStep + 1e-9) * lotStep).toFixed(decimals));
+    return Math.min(Math.max(rounded, minLot), maxLot);
+}
+
+/**
+ * 获取网格方向的价格符号
+ * @param {string} side - 仓位方向(buy/sell)
+ * @returns {number} 买入为1，卖出为-1
+ */
+function getSideSign(side) {
+    return side === 'sell' ? -1 : 1;
+}
+
+/**
+ * 构建单侧网格的仓位层级
+ * @param {Object} params - 网格参数
+ * @param {string} params.side - 仓位方向(buy/sell)
+ * @param {number} params.referencePrice - 参考价格
+ * @param {number} params.pipSize - 品种点值大小
+ * @param {string} params.spacingMode - 间距模式(见SPACING_MODES)
+ * @param {string} params.volumeMode - 手数模式(见VOLUME_MODES)
+ * @param {Object} params.instrumentContext - 品种上下文，用于计算各层名义价值
+ * @returns {Array} 仓位层级列表
+ */
+function buildGridPositions(params) {
+    const { side, referencePrice, pipSize = 0.0001, maxPositions, instrumentContext = resolveInstrumentContext(params) } = params;
+    const sign = getSideSign(side);
+    const distances = calculateLayerDistances(params);
+
+    const positions = [];
+    let totalVolume = 0;
+    let totalInvestment = 0;
+
+    for (let level = 0; level < maxPositions; level++) {
+        // 买入网格向下加仓，卖出网格向上加仓
+        const entryPrice = referencePrice - sign * (distances[level] * pipSize);
+        const rawVolume = getLayerRawVolume(params, level);
+        const positionVolume = normalizeVolume(rawVolume, params);
+        const investment = calculateNotionalValue(positionVolume, entryPrice, instrumentContext); // 按入场价格计算名义价值
+
+        totalVolume += positionVolume;
+        totalInvestment += investment;
+
+        positions.push({
+            level: level + 1,
+            side,
+            entryPrice,
+            volume: positionVolume,
+            rawVolume,
+            investment,
+            pipDistance: distances[level],
+            stepPips: level > 0 ? Math.round((distances[level] - distances[level - 1]) * 10) / 10 : 0,
+            cumulativeVolume: totalVolume,
+            cumulativeInvestment: totalInvestment
+        });
+    }
+
+    return positions;
+}
+
+/**
+ * 解析已有持仓文本：每行一笔"入场价格 手数"，可用空格、逗号、分号或制表符分隔，#开头的行为注释
+ * @param {string} text - 持仓文本
+ * @returns {Object} { positions: [{ entryPrice, volume }], errors }
+ */
+function parseOpenPositions(text) {
+    const positions = [];
+    const errors = [];
+
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        const content = line.trim();
+        if (!content || content.startsWith('#')) return;
+
+        const fields = content.split(/[\s,;]+/).map(Number);
+        if (fields.length !== 2 || !(fields[0] > 0) || !(fields[1] > 0)) {
+            errors.push(`第${index + 1}行应为"入场价格 手数": ${content}`);
+            return;
+        }
+        positions.push({ entryPrice: fields[0], volume: fields[1] });
+    });
+
+    return { positions, errors };
+}
+
+/**
+ * 仓位在回撤分析中开始计入持仓的深度(点)
+ * 已有持仓在分析起点即已开仓，即使入场价比当前价格更深(按网格方向)
+ * @param {Object} position - 仓位
+ * @returns {number} 触发深度
+ */
+function getTriggerPips(position) {
+    return position.open ? Math.min(position.pipDistance, 0) : position.pipDistance;
+}
+
+/**
+ * 构建已有持仓的仓位层级：已开仓位按实际入场价和手数排在前面，其后为网格将继续开出的剩余层级
+ * 剩余层级以最深一笔持仓的实际入场价为基准按网格间距依次排列，已被价格越过的层级视为在当前价格立即开仓
+ * 距离以当前价格为起点按网格不利方向计算，价格已越过的持仓(如买入网格中高于当前价格的入场价)距离为负数
+ * @param {Object} params - 网格参数(同buildGridPositions)
+ * @param {number} params.referencePrice - 当前价格
+ * @param {Array} params.openPositions - 已有持仓 [{ entryPrice, volume }]
+ * @returns {Array} 仓位层级列表，已有持仓带open标记
+ */
+function buildOpenBasketPositions(params) {
+    const { side, referencePrice, pipSize = 0.0001, maxPositions, openPositions, instrumentContext = resolveInstrumentContext(params) } = params;
+    const sign = getSideSign(side);
+    const distances = calculateLayerDistances(params);
+    const toDistance = price => Math.round(sign * (referencePrice - price) / pipSize * 10) / 10;
+
+    // 按不利方向由浅到深排序：买入网格入场价从高到低，卖出网格从低到高
+    const layers = openPositions
+        .map(pos => ({ entryPrice: pos.entryPrice, volume: pos.volume, rawVolume: pos.volume, pipDistance: toDistance(pos.entryPrice), open: true }))
+        .sort((a, b) => a.pipDistance - b.pipDistance);
+
+    const openCount = layers.length;
+    const deepest = layers[openCount - 1];
+    for (let level = openCount; level < maxPositions; level++) {
+        const pipDistance = Math.max(Math.round((deepest.pipDistance + distances[level] - distances[openCount - 1]) * 10) / 10, 0);
+        const rawVolume = getLayerRawVolume(params, level);
+        layers.push({
+            entryPrice: referencePrice - sign * pipDistance * pipSize,
+            volume: normalizeVolume(rawVolume, params),
+            rawVolume,
+            pipDistance,
+            open: false
+        });
+    }
+
+    let totalVolume = 0;
+    let totalInvestment = 0;
+    return layers.map((layer, index) => {
+        const investment = calculateNotionalValue(layer.volume, layer.entryPrice, instrumentContext);
+        totalVolume += layer.volume;
+        totalInvestment += investment;
+        return {
+            level: index + 1,
+            side,
+            entryPrice: layer.entryPrice,
+            volume: layer.volume,
+            rawVolume: layer.rawVolume,
+            investment,
+            pipDistance: layer.pipDistance,
+            stepPips: index > 0 ? Math.round((layer.pipDistance - layers[index - 1].pipDistance) * 10) / 10 : 0,
+            cumulativeVolume: totalVolume,
+            cumulativeInvestment: totalInvestment,
+            open: layer.open
+        };
+    });
+}
+
+/**
+ * 为每一层仓位计算止盈信息（假设价格在该层入场后立即回升）
+ * - takeProfitPrice: 整体止盈为前N层均价+N点，逐层止盈为本层入场价+N点
+ * - takeProfitAmount: 到达止盈价时实现的盈利（整体止盈为整组，逐层止盈为本层）
+ * - recoveryPips: 从本层入场价回升到止盈价所需点数
+ * @param {Array} positions - 单侧仓位层级
+ * @param {Object} params - 止盈参数
+ * @param {string} params.mode - 止盈模式(none/basket/perLayer)
+ * @param {number} params.takeProfitPips - 止盈点数
+ * @param {number} params.pipSize - 品种点值大小
+ * @param {number} params.pipValue - 每点价值
+ * @returns {Array} 带止盈信息的仓位层级
+ */
+function applyTakeProfit(positions, params) {
+    const { mode = 'none', takeProfitPips = 0, pipSize, pipValue } = params;
+    let weightedPriceSum = 0;
+
+    return positions.map(pos => {
+        const sign = getSideSign(pos.side);
+        weightedPriceSum += pos.entryPrice * pos.volume;
+
+        if (mode === 'none') {
+            return { ...pos, takeProfitPrice: null, takeProfitAmount: null, recoveryPips: null };
+        }
+
+        let takeProfitPrice;
+        let takeProfitAmount;
+        if (mode === 'basket') {
+            // 整组仓位在均价+N点平仓，盈利等于累计手数×N点
+            const avgPrice = weightedPriceSum / pos.cumulativeVolume;
+            takeProfitPrice = avgPrice + sign * takeProfitPips * pipSize;
+            takeProfitAmount = pos.cumulativeVolume * takeProfitPips * pipValue;
+        } else {
+            takeProfitPrice = pos.entryPrice + sign * takeProfitPips * pipSize;
+            takeProfitAmount = pos.volume * takeProfitPips * pipValue;
+        }
+
+        return {
+            ...pos,
+            takeProfitPrice,
+            takeProfitAmount,
+            recoveryPips: sign * (takeProfitPrice - pos.entryPrice) / pipSize
+        };
+    });
+}
+
+/**
+ * 计算仓位组回撤到指定深度后止盈平仓的盈利
+ * 整体止盈为已触发最深一层的止盈盈利(累计手数 × 止盈点数)，逐层止盈为已触发各层止盈盈利之和
+ * @param {Array} positions - 带止盈信息的仓位列表(见applyTakeProfit)
+ * @param {string} mode - 止盈模式(见TAKE_PROFIT_MODES)
+ * @param {number} depthPips - 回撤深度(点数)，默认全部仓位开满
+ * @returns {number} 止盈盈利，未设置止盈时为0
+ */
+function calculateBasketTakeProfit(positions, mode, depthPips = Infinity) {
+    const triggered = positions.filter(pos => getTriggerPips(pos) <= depthPips + 1e-9);
+    if (mode === 'none' || triggered.length === 0) {
+        return 0;
+    }
+    return mode === 'basket'
+        ? triggered[triggered.length - 1].takeProfitAmount
+        : triggered.reduce((sum, pos) => sum + pos.takeProfitAmount, 0);
+}
+
+/**
+ * 计算单个仓位在指定价格下的浮动盈亏
+ * @param {Object} position - 仓位(需包含side、entryPrice、volume)
+ * @param {number} currentPrice - 当前价格
+ * @param {number} pipValue - 每点价值
+ * @param {number} pipSize - 品种点值大小
+ * @returns {number} 浮动盈亏
+ */
+function calculatePositionPnL(position, currentPrice, pipValue, pipSize = 0.0001) {
+    const priceDiffInPips = getSideSign(position.side) * (currentPrice - position.entryPrice) / pipSize;
+    return priceDiffInPips * position.volume * pipValue;
+}
+
+/**
+ * 计算持仓名义价值（账户货币）
+ * @param {number} volume - 持仓手数
+ * @param {number} price - 计算价格
+ * @param {Object} context - 品种上下文(见resolveInstrumentContext)
+ * @returns {number} 名义价值
+ */
+function calculateNotionalValue(volume, price, context) {
+    return volume * context.lotSize * price * context.quoteRate;
+}
+
+/**
+ * 计算保证金占用（账户货币）
+ * @param {number} volume - 持仓手数
+ * @param {number} price - 计算价格
+ * @param {Object} context - 品种上下文(见resolveInstrumentContext)
+ * @returns {number} 保证金
+ */
+function calculateMarginRequired(volume, price, context) {
+    return calculateNotionalValue(volume, price, context) * context.marginRate;
+}
+
 /**
  * 计算DCA cBot回撤分析和仓位构建
  * @param {Object} params - cBot参数
  * @param {number} params.pipStep - DCA间距(点数)
+ * @param {string} params.spacingMode - 间距模式(constant/geometric/arithmetic/custom/atr)
+ * @param {number} params.pipStepMultiplier - 等比递增的间距倍数
+ * @param {number} params.pipStepIncrement - 等差递增的间距增量(点数)
+ * @param {Array|string} params.customPipSteps - 自定义每层间距(点数)
+ * @param {number} params.atrPips - ATR(点数)
+ * @param {number} params.atrMultiplier - ATR系数
  * @param {number} params.firstVolume - 首次仓位手数
  * @param {number} params.volumeExponent - 仓位倍数指数
+ * @param {string} params.volumeMode - 手数模式(geometric/additive/fibonacci/custom/cappedGeometric)
+ * @param {number} params.volumeIncrement - 等差递增的手数增量
+ * @param {Array|string} params.customVolumes - 自定义每层手数
+ * @param {number} params.maxLayerVolume - 单层最大手数(等比倍增封顶)
+ * @param {number} params.lotStep - 最小变动手数
+ * @param {number} params.minLot - 最小手数
+ * @param {number} params.maxLot - 最大手数
  * @param {number} params.maxPositions - 最大仓位数
  * @param {number} params.maxDrawdownPips - 预期最大回撤点数
- * @param {number} params.pipValue - 每点价值(美元)
+ * @param {string} params.symbol - 交易品种代码
+ * @param {number} params.quoteRate - 报价货币兑账户货币汇率
+ * @param {number} [params.pipValue] - 每点价值(美元)，不传时根据品种和汇率自动换算
+ * @param {string} params.direction - 网格方向(buy/sell/hedge)
+ * @param {string} params.takeProfitMode - 止盈模式(none/basket/perLayer)
+ * @param {number} params.takeProfitPips - 止盈点数
+ * @param {number} params.accountBalance - 账户余额(美元)
+ * @param {number} params.leverage - 账户杠杆
+ * @param {number} params.marginCallLevel - 追加保证金水平(%)
+ * @param {number} params.stopOutLevel - 强制平仓水平(%)
+ * @param {number} params.spreadPips - 点差(点)
+ * @param {number} params.commissionPerLot - 每手单边佣金(美元)
+ * @param {number} params.swapLong - 多头每手每日隔夜利息(美元)
+ * @param {number} params.swapShort - 空头每手每日隔夜利息(美元)
+ * @param {number} params.holdingDays - 预期持仓天数
+ * @param {string} params.riskThresholdMode - 风险阈值方式(见RISK_THRESHOLD_MODES)
+ * @param {number} params.riskMediumThreshold - 中风险阈值
+ * @param {number} params.riskHighThreshold - 高风险阈值
  * @returns {Object} 计算结果
  */
 function calculateDCABot(params) {
@@ -18,41 +655,68 @@ function calculateDCABot(params) {
         volumeExponent,
         maxPositions,
         maxDrawdownPips,
-        pipValue = 1.0 // 默认每点1美元
+        direction = 'buy',
+        takeProfitMode = 'none',
+        takeProfitPips = 0
     } = params;
 
-    // 使用固定参考价格进行相对计算
-    const referencePrice = 1.00000;
+    // 品种上下文：点值大小、合约大小、保证金比例和每点价值
+    const instrumentContext = resolveInstrumentContext(params);
+    const { pipSize, pipValue } = instrumentContext;
+
+    // 已有持仓分析以当前价格为起点，新建网格以起始价格(未设置时为品种参考价格)为起点
+    const openBasket = params.basketMode === 'open';
+    const referencePrice = resolveReferencePrice(params, instrumentContext.instrument);
+
+    // 账户设置：余额、杠杆及保证金水平
+    const account = resolveAccountSettings(params);
+
+    // 交易成本：点差、佣金和隔夜利息
+    const costs = resolveTradingCosts(params);
+
+    // 风险策略：风险等级阈值
+    const riskPolicy = resolveRiskPolicy(params);
 
     // 参数验证
     if (!pipStep || !firstVolume || maxPositions <= 0) {
         throw new Error('参数不完整或无效');
     }
-
-    // 计算每层仓位的详细信息
-    const positions = [];
-    let totalVolume = 0;
-    let totalInvestment = 0;
-    
-    // 构建仓位层级
-    for (let level = 0; level < maxPositions; level++) {
-        const entryPrice = referencePrice - (level * pipStep * 0.0001); // 相对价格计算
-        const positionVolume = firstVolume * Math.pow(volumeExponent, level);
-        const investment = positionVolume * referencePrice; // 使用参考价格计算投资额
-        
-        totalVolume += positionVolume;
-        totalInvestment += investment;
-        
-        positions.push({
-            level: level + 1,
-            entryPrice,
-            volume: positionVolume,
-            investment,
-            pipDistance: level * pipStep,
-            cumulativeVolume: totalVolume,
-            cumulativeInvestment: totalInvestment
-        });
+    if (!DCA_DIRECTIONS[direction]) {
+        throw new Error('未知的网格方向: ' + direction);
+    }
+    if (!TAKE_PROFIT_MODES[takeProfitMode]) {
+        throw new Error('未知的止盈模式: ' + takeProfitMode);
     }
+    if (openBasket && (direction === 'hedge' || !(referencePrice > 0))) {
+        throw new Error('已有持仓分析需要当前价格，且不支持双向对冲网格');
+    }
+    const openPositions = openBasket ? parseOpenPositions(params.openPositions).positions : [];
+    if (openBasket && openPositions.length === 0) {
+        throw new Error('没有有效的已有持仓');
+    }
+
+    // 构建不利侧仓位层级（对冲模式下为买入侧），并计算各层止盈信息
+    const gridParams = { ...params, referencePrice, pipSize, instrumentContext };
+    const takeProfitParams = { mode: takeProfitMode, takeProfitPips, pipSize, pipValue };
+    const side = direction === 'sell' ? 'sell' : 'buy';
+    const gridPositions = applyTakeProfit(
+        openBasket ? buildOpenBasketPositions({ ...gridParams, side, openPositions }) : buildGridPositions({ ...gridParams, side }),
+        takeProfitParams
+    );
+
+    // 对冲模式：反方向网格，单边行情中仅首仓被触发
+    const hedgePositions = direction === 'hedge'
+        ? applyTakeProfit(buildGridPositions({ ...gridParams, side: 'sell' }), takeProfitParams)
+        : [];
+
+    // 各层触发时的风险等级
+    const positions = applyPositionRiskLevels(gridPositions, {
+        hedgePositions, referencePrice, instrumentContext, account, costs, riskPolicy
+    });
+
+    const lastPosition = positions[positions.length - 1];
+    const totalVolume = lastPosition.cumulativeVolume;
+    const totalInvestment = lastPosition.cumulativeInvestment;
     
     // 计算加权平均成本价
     const avgCostPrice = positions.reduce((sum, pos) => sum + (pos.entryPrice * pos.volume), 0) / totalVolume;
@@ -60,97 +724,298 @@ function calculateDCABot(params) {
     // 生成回撤分析数据
     const drawdownAnalysis = generateDrawdownAnalysis({
         positions,
+        hedgePositions,
+        direction,
         referencePrice,
         maxDrawdownPips,
-        pipValue,
-        avgCostPrice
+        drawdownSampling: params.drawdownSampling,
+        instrumentContext,
+        account,
+        costs,
+        riskPolicy
     });
     
     return {
+        direction,
+        symbol: instrumentContext.instrument.symbol,
+        instrumentContext,
+        account,
+        costs,
+        riskPolicy,
+        takeProfit: { mode: takeProfitMode, pips: takeProfitPips },
+        referencePrice,
         positions,
+        hedgePositions,
         totalVolume,
         totalInvestment,
         avgCostPrice,
         drawdownAnalysis,
+        openBasket: openBasket ? summarizeOpenBasket(positions, drawdownAnalysis[0], avgCostPrice) : null,
         riskMetrics: calculateRiskMetrics({
             positions,
+            hedgePositions,
+            direction,
             referencePrice,
             maxDrawdownPips,
-            pipValue,
+            instrumentContext,
+            account,
+            costs,
+            riskPolicy,
             totalVolume,
             avgCostPrice
         })
     };
 }
 
+/**
+ * 汇总已有持仓在当前价格下的状态
+ * @param {Array} positions - 仓位层级(已有持仓在前)
+ * @param {Object} currentPoint - 回撤分析的起点(当前价格)
+ * @param {number} finalAvgPrice - 剩余层级全部开出后的平均成本价
+ * @returns {Object} 已有持仓摘要
+ */
+function summarizeOpenBasket(positions, currentPoint, finalAvgPrice) {
+    const openLayers = positions.filter(pos => pos.open).length;
+    return {
+        openLayers,
+        remainingLayers: positions.length - openLayers,
+        currentPrice: currentPoint.price,
+        openVolume: currentPoint.totalActiveVolume,
+        floatingPnL: currentPoint.floatingPnL,
+        avgPrice: currentPoint.avgCostPrice,
+        finalAvgPrice,
+        breakEvenPips: currentPoint.breakEvenPipsNeeded,
+        takeProfitPrice: currentPoint.takeProfitPrice,
+        takeProfitRecoveryPips: currentPoint.takeProfitRecoveryPips,
+        nextTriggerPrice: currentPoint.nextDcaTriggerPrice,
+        marginLevel: currentPoint.marginLevel
+    };
+}
+
+/**
+ * 标注各层仓位的风险等级：按该层触发时(回撤至该层入场深度)的亏损和保证金水平评估
+ * @param {Array} positions - 仓位层级
+ * @param {Object} params - 计算参数
+ * @param {Array} params.hedgePositions - 对冲侧仓位，单边回撤中仅首仓开仓
+ * @param {number} params.referencePrice - 起始价格
+ * @param {Object} params.instrumentContext - 品种上下文
+ * @param {Object} params.account - 账户设置
+ * @param {Object} params.costs - 交易成本设置
+ * @param {Object} params.riskPolicy - 风险策略
+ * @returns {Array} 带riskLevel(风险等级名称)的仓位层级
+ */
+function applyPositionRiskLevels(positions, params) {
+    const { hedgePositions = [], referencePrice, instrumentContext, account, costs, riskPolicy } = params;
+    const { pipValue } = instrumentContext;
+    const hedgeBase = hedgePositions[0];
+    const hedgeVolume = hedgeBase ? hedgeBase.volume : 0;
+    
+    let activeVolume = 0;
+    let lockedPnL = 0;
+    let lockedCosts = hedgeBase ? calculateTradingCosts([hedgeBase], costs, pipValue).total : 0;
+    
+    function accumulate(pos) {
+        activeVolume += pos.volume;
+        lockedPnL += pos.pipDistance * pos.volume;
+        lockedCosts += calculateTradingCosts([pos], costs, pipValue).total;
+    }
+    
+    // 回撤至指定深度时已开仓位的风险等级
+    function levelAt(depth) {
+        const loss = ((activeVolume - hedgeVolume) * depth - lockedPnL) * pipValue + lockedCosts;
+        const marginRequired = calculateMarginRequired(activeVolume + hedgeVolume, referencePrice, instrumentContext);
+        const marginLevel = marginRequired > 0 ? (account.accountBalance - loss) / marginRequired * 100 : null;
+        return RISK_LEVELS[classifyRiskLevel({ loss, marginLevel }, riskPolicy, account)].label;
+    }
+    
+    // 已有持仓按当前价格下全部持仓的状态评估
+    const openPositions = positions.filter(pos => pos.open);
+    openPositions.forEach(accumulate);
+    const openLevel = openPositions.length > 0 ? levelAt(0) : null;
+    
+    return positions.map(pos => {
+        if (pos.open) {
+            return { ...pos, riskLevel: openLevel };
+        }
+        accumulate(pos);
+        return { ...pos, riskLevel: levelAt(pos.pipDistance) };
+    });
+}
+
+/**
+ * 生成回撤分析的采样点
+ * 采样点以0.1点为单位的整数深度索引表示（与层级距离的精度一致），最大回撤处始终作为采样点，
+ * 加仓触发点与采样点重合时保留采样点
+ * @param {Array} positions - 仓位层级
+ * @param {number} endIndex - 最大回撤深度索引
+ * @param {string|number} sampling - 采样方式(见DRAWDOWN_SAMPLING_MODES)
+ * @returns {Array} 按深度升序排列的采样点 [{ index, pointType }]
+ */
+function buildDrawdownSamples(positions, endIndex, sampling) {
+    const pointTypes = new Map();
+    const addPips = pips => pointTypes.set(pips * 10, 'hardcoded');
+    const triggerIndices = positions
+        .map(pos => Math.round(getTriggerPips(pos) * 10))
+        .filter(index => index >= 0 && index <= endIndex);
+
+    if (sampling === 'adaptive') {
+        // 自适应：基础间隔采样，并在每个触发点两侧逐点采样，准确呈现加仓后曲线斜率的变化
+        for (let pips = 0; pips * 10 <= endIndex; pips += ADAPTIVE_SAMPLING_BASE_PIPS) {
+            addPips(pips);
+        }
+        triggerIndices.forEach(index => {
+            const center = Math.round(index / 10);
+            for (let pips = Math.max(0, center - ADAPTIVE_SAMPLING_WINDOW_PIPS); pips <= center + ADAPTIVE_SAMPLING_WINDOW_PIPS && pips * 10 <= endIndex; pips++) {
+                addPips(pips);
+            }
+        });
+    } else {
+        const stepPips = Number(sampling) || 10;
+        for (let pips = 0; pips * 10 <= endIndex; pips += stepPips) {
+            addPips(pips);
+        }
+    }
+    pointTypes.set(endIndex, 'hardcoded');
+
+    triggerIndices.forEach(index => {
+        if (!pointTypes.has(index)) {
+            pointTypes.set(index, 'trigger');
+        }
+    });
+
+    return Array.from(pointTypes.keys())
+        .sort((a, b) => a - b)
+        .map(index => ({ index, pointType: pointTypes.get(index) }));
+}
+
 /**
  * 生成回撤分析数据
+ * 价格由整数深度索引直接换算，避免逐步累加价格的浮点误差；仓位按入场深度依次累加到持仓手数、
+ * 手数×距离、名义价值和交易成本的累计值中，浮动盈亏由累计值直接得出，整体复杂度为O(采样点数 + 层数)
  * @param {Object} params - 分析参数
+ * @param {string|number} params.drawdownSampling - 采样方式(见DRAWDOWN_SAMPLING_MODES)，默认每10点
+ * @param {Object} params.riskPolicy - 风险策略(见resolveRiskPolicy)，默认按参数解析
  * @returns {Array} 回撤分析数据点
  */
 function generateDrawdownAnalysis(params) {
-    const { positions, referencePrice, maxDrawdownPips, pipValue, avgCostPrice } = params;
+    const {
+        positions,
+        hedgePositions = [],
+        referencePrice,
+        maxDrawdownPips,
+        drawdownSampling = DEFAULT_ANALYSIS_SETTINGS.drawdownSampling,
+        instrumentContext = resolveInstrumentContext(params),
+        account = resolveAccountSettings(params),
+        costs = resolveTradingCosts(params),
+        riskPolicy = resolveRiskPolicy(params)
+    } = params;
+    const { pipSize, pipValue } = instrumentContext;
+    
+    // 不利方向：买入网格价格向下，卖出网格价格向上
+    const sign = getSideSign(positions[0].side);
+    const samples = buildDrawdownSamples(positions, Math.round(maxDrawdownPips * 10), drawdownSampling);
+    const positionIndices = positions.map(pos => Math.round(getTriggerPips(pos) * 10));
     
-    // 生成价格点(从参考价格到最大回撤)
-    const priceStep = 0.0001; // 1点的价格变化
-    const endPrice = referencePrice - (maxDrawdownPips * priceStep);
+    // 对冲侧仓位：只有价格路径经过的入场价才会触发，单边回撤中仅首仓开仓并处于盈利状态
+    const hedgeEntries = hedgePositions
+        .map(pos => ({ pos, index: Math.round(sign * (referencePrice - pos.entryPrice) / pipSize * 10) }))
+        .filter(entry => entry.index >= 0)
+        .sort((a, b) => a.index - b.index);
+    
+    // 已触发仓位的累计值
+    let activePositions = 0;
+    let totalActiveVolume = 0;
+    let weightedDistance = 0; // ∑(手数 × 入场深度)
+    let cumulativeInvestment = 0;
+    let activeHedges = 0;
+    let hedgeVolume = 0;
+    let hedgeWeightedDistance = 0;
+    const activeCosts = { spread: 0, commission: 0, swap: 0 };
+    
+    // 开仓时的点差、佣金和隔夜利息计入累计交易成本
+    function addPositionCosts(pos) {
+        const positionCosts = calculateTradingCosts([pos], costs, pipValue);
+        activeCosts.spread += positionCosts.spread;
+        activeCosts.commission += positionCosts.commission;
+        activeCosts.swap += positionCosts.swap;
+    }
     
-    // 辅助函数：计算指定价格的分析数据
-    function calculateAnalysisData(currentPrice, pointType = 'hardcoded') {
-        const pipsFromStart = (referencePrice - currentPrice) / priceStep;
+    return samples.map(({ index, pointType }) => {
+        const pipsFromStart = index / 10;
+        const currentPrice = referencePrice - sign * pipsFromStart * pipSize;
         
-        // 计算当前价格下的浮动盈亏
-        let floatingPnL = 0;
-        let activePositions = 0;
-        let totalActiveVolume = 0;
-        let cumulativeInvestment = 0;
-        let avgCostPrice = 0;
+        // 累加入场深度不超过当前深度的仓位
+        while (activePositions < positions.length && positionIndices[activePositions] <= index) {
+            const pos = positions[activePositions];
+            totalActiveVolume += pos.volume;
+            weightedDistance += pos.volume * pos.pipDistance;
+            cumulativeInvestment += pos.investment;
+            addPositionCosts(pos);
+            activePositions++;
+        }
+        while (activeHedges < hedgeEntries.length && hedgeEntries[activeHedges].index <= index) {
+            const { pos, index: hedgeIndex } = hedgeEntries[activeHedges];
+            hedgeVolume += pos.volume;
+            hedgeWeightedDistance += pos.volume * hedgeIndex / 10;
+            addPositionCosts(pos);
+            activeHedges++;
+        }
         
-        positions.forEach(pos => {
-            if (currentPrice <= pos.entryPrice) {
-                // 仓位已触发
-                activePositions++;
-                totalActiveVolume += pos.volume;
-                cumulativeInvestment += pos.investment;
-                // 修复：正确计算浮动盈亏 - 价格差转换为点数后再计算
-                const priceDiffInPips = (currentPrice - pos.entryPrice) / 0.0001;
-                const positionPnL = priceDiffInPips * pos.volume * pipValue;
-                floatingPnL += positionPnL;
-            }
-        });
+        // 修复：正确计算浮动盈亏 - 价格差转换为点数后再计算
+        // 网格侧每手亏损(当前深度 - 入场深度)点，对冲侧每手盈利同样的点数
+        const hedgePnL = (hedgeVolume * pipsFromStart - hedgeWeightedDistance) * pipValue;
+        const priceOnlyPnL = -(totalActiveVolume * pipsFromStart - weightedDistance) * pipValue + hedgePnL;
         
-        // 计算平均成本价
-        if (totalActiveVolume > 0) {
-            const activePositionsList = positions.slice(0, activePositions);
-            avgCostPrice = activePositionsList.reduce((sum, pos) => sum + (pos.entryPrice * pos.volume), 0) / totalActiveVolume;
-        }
+        // 扣除已开仓位的点差、佣金和隔夜利息
+        const tradingCosts = {
+            spread: activeCosts.spread,
+            commission: activeCosts.commission,
+            swap: activeCosts.swap,
+            total: activeCosts.spread + activeCosts.commission + activeCosts.swap
+        };
+        const floatingPnL = priceOnlyPnL - tradingCosts.total;
         
-        // 计算距离盈亏平衡的点数
-        const breakEvenPipsNeeded = avgCostPrice > 0 ? Math.abs((avgCostPrice - currentPrice) / 0.0001) : 0;
+        // 计算平均成本价及距离盈亏平衡的点数（价格回到均价后还需覆盖交易成本）
+        const avgDistance = totalActiveVolume > 0 ? weightedDistance / totalActiveVolume : 0;
+        const avgCostPrice = totalActiveVolume > 0 ? referencePrice - sign * avgDistance * pipSize : 0;
+        const costPips = totalActiveVolume > 0 ? tradingCosts.total / (totalActiveVolume * pipValue) : 0;
+        const breakEvenPipsNeeded = totalActiveVolume > 0 ? Math.abs(pipsFromStart - avgDistance) + costPips : 0;
         
         // 计算下一个DCA触发价格
         const nextDcaTriggerPrice = activePositions < positions.length ? 
             positions[activePositions].entryPrice : null;
         
-        // 计算保证金占用（30倍杠杆，标准手100,000）
-        const marginRequired = totalActiveVolume * 100000 * referencePrice / 30;
+        // 当前最深一层对应的止盈价格和回升距离
+        const deepestPosition = activePositions > 0 ? positions[activePositions - 1] : null;
+        const takeProfitPrice = deepestPosition ? deepestPosition.takeProfitPrice : null;
+        const takeProfitAmount = deepestPosition ? deepestPosition.takeProfitAmount : null;
+        const takeProfitRecoveryPips = takeProfitPrice !== null && takeProfitPrice !== undefined
+            ? Math.round(sign * (takeProfitPrice - currentPrice) / pipSize)
+            : null;
         
-        // 评估风险等级
-        let riskLevel = '低风险';
-        const lossAmount = Math.abs(floatingPnL);
-        if (lossAmount > 10000) {
-            riskLevel = '高风险';
-        } else if (lossAmount > 5000) {
-            riskLevel = '中风险';
-        }
+        // 计算保证金占用（按品种合约大小和保证金比例）
+        const marginRequired = calculateMarginRequired(totalActiveVolume + hedgeVolume, referencePrice, instrumentContext);
+        
+        // 计算回撤百分比（浮动亏损占账户余额的比例）
+        const lossAmount = Math.max(-floatingPnL, 0);
+        const drawdownPercentage = (lossAmount / account.accountBalance) * 100;
         
-        // 计算回撤百分比
-        const drawdownPercentage = cumulativeInvestment > 0 ? (lossAmount / cumulativeInvestment) * 100 : 0;
+        // 账户状态：净值、可用保证金、保证金水平
+        const equity = account.accountBalance + floatingPnL;
+        const freeMargin = equity - marginRequired;
+        const marginLevel = marginRequired > 0 ? (equity / marginRequired) * 100 : null;
+        const marginStatus = getMarginStatus(marginLevel, account);
+        
+        // 按风险策略评估风险等级
+        const riskLevel = RISK_LEVELS[classifyRiskLevel({ loss: -floatingPnL, marginLevel }, riskPolicy, account)].label;
         
         return {
             price: currentPrice,
-            pipsFromStart: Math.round(pipsFromStart),
+            pipsFromStart,
             floatingPnL,
+            priceOnlyPnL,
+            tradingCosts,
+            hedgePnL,
             activePositions,
             totalActiveVolume,
             avgPrice: avgCostPrice,
@@ -159,46 +1024,19 @@ function generateDrawdownAnalysis(params) {
             cumulativeInvestment,
             avgCostPrice,
             nextDcaTriggerPrice,
+            takeProfitPrice: takeProfitPrice === undefined ? null : takeProfitPrice,
+            takeProfitAmount: takeProfitAmount === undefined ? null : takeProfitAmount,
+            takeProfitRecoveryPips,
             riskLevel,
             marginRequired,
             drawdownPercentage: Math.round(drawdownPercentage * 10) / 10, // 保留1位小数
-            pointType: pointType // 添加点类型标记
+            equity,
+            freeMargin,
+            marginLevel,
+            marginStatus,
+            pointType // 点类型：hardcoded为采样点，trigger为加仓触发点
         };
-    }
-    
-    // 1. 生成硬编码分析点（保持原逻辑：每10点一个数据点）
-    const hardcodedPoints = [];
-    for (let currentPrice = referencePrice; currentPrice >= endPrice; currentPrice -= (priceStep * 10)) {
-        hardcodedPoints.push(calculateAnalysisData(currentPrice, 'hardcoded'));
-    }
-    
-    // 2. 生成DCA触发点（黄色小圈）
-    const triggerPoints = [];
-    positions.forEach(pos => {
-        if (pos.entryPrice >= endPrice && pos.entryPrice <= referencePrice) {
-            triggerPoints.push(calculateAnalysisData(pos.entryPrice, 'trigger'));
-        }
-    });
-    
-    // 3. 合并并处理重合（精度0.0001，硬编码点优先）
-    const priceMap = new Map();
-    
-    // 先添加硬编码点
-    hardcodedPoints.forEach(point => {
-        const priceKey = Math.round(point.price / 0.0001);
-        priceMap.set(priceKey, point);
     });
-    
-    // 再添加触发点，但跳过重合的点
-    triggerPoints.forEach(point => {
-        const priceKey = Math.round(point.price / 0.0001);
-        if (!priceMap.has(priceKey)) {
-            priceMap.set(priceKey, point);
-        }
-    });
-    
-    // 转换为数组并按价格降序排列
-    return Array.from(priceMap.values()).sort((a, b) => b.price - a.price);
 }
 
 /**
@@ -207,28 +1045,141 @@ function generateDrawdownAnalysis(params) {
  * @returns {Object} 风险指标
  */
 function calculateRiskMetrics(params) {
-    const { positions, referencePrice, maxDrawdownPips, pipValue, totalVolume, avgCostPrice } = params;
+    const {
+        positions,
+        hedgePositions = [],
+        referencePrice,
+        maxDrawdownPips,
+        instrumentContext = resolveInstrumentContext(params),
+        account = resolveAccountSettings(params),
+        costs = resolveTradingCosts(params),
+        riskPolicy = resolveRiskPolicy(params),
+        totalVolume,
+        avgCostPrice
+    } = params;
+    const { pipSize, pipValue } = instrumentContext;
+    const sign = getSideSign(positions[0].side);
     
     // 计算最大可能亏损 - 修复：基于平均成本价和最大回撤的点数差计算
-    const maxDrawdownPrice = referencePrice - (maxDrawdownPips * 0.0001);
-    const priceDiffInPips = (avgCostPrice - maxDrawdownPrice) / 0.0001;
-    const maxPossibleLoss = priceDiffInPips * totalVolume * pipValue;
+    // 最大回撤未到达的深层仓位不会开仓，只统计回撤范围内已触发的仓位
+    const maxDrawdownPrice = referencePrice - sign * (maxDrawdownPips * pipSize);
+    const triggeredPositions = positions.filter(pos => getTriggerPips(pos) <= maxDrawdownPips + 1e-9);
+    const triggeredVolume = triggeredPositions.reduce((sum, pos) => sum + pos.volume, 0);
+    const triggeredAvgPrice = triggeredPositions.reduce((sum, pos) => sum + pos.entryPrice * pos.volume, 0) / triggeredVolume;
+    const priceDiffInPips = sign * (triggeredAvgPrice - maxDrawdownPrice) / pipSize;
+    
+    // 对冲模式：单边行情下反向首仓的盈利抵消部分亏损
+    const hedgeBase = hedgePositions[0];
+    const hedgeProfit = hedgeBase ? calculatePositionPnL(hedgeBase, maxDrawdownPrice, pipValue, pipSize) : 0;
+    
+    // 全部仓位(及对冲首仓)的交易成本用于回本计算，已触发仓位的交易成本计入最大亏损
+    const tradingCosts = calculateTradingCosts(hedgeBase ? positions.concat(hedgeBase) : positions, costs, pipValue);
+    const triggeredCosts = calculateTradingCosts(hedgeBase ? triggeredPositions.concat(hedgeBase) : triggeredPositions, costs, pipValue);
+    const maxPossibleLoss = priceDiffInPips * triggeredVolume * pipValue - hedgeProfit + triggeredCosts.total;
+    
+    // 计算回本所需点数（含交易成本折算的点数）
+    const costPips = tradingCosts.total / (totalVolume * pipValue);
+    const breakEvenPips = Math.abs((referencePrice - avgCostPrice) / pipSize) + costPips;
+    // 全部仓位开仓后的保本价格：平均成本价向盈利方向偏移交易成本折算的点数
+    const breakEvenPrice = avgCostPrice + sign * costPips * pipSize;
     
-    // 计算回本所需点数
-    const breakEvenPips = Math.abs((referencePrice - avgCostPrice) / 0.0001);
+    // 计算保证金占用(基于品种合约大小和保证金比例)
+    const hedgeVolume = hedgeBase ? hedgeBase.volume : 0;
+    const marginRequired = calculateMarginRequired(totalVolume + hedgeVolume, referencePrice, instrumentContext);
     
-    // 计算保证金占用(基于30倍杠杆，标准手合约大小100,000)
-    const marginRequired = totalVolume * 100000 * referencePrice / 30;
+    // 账户承受能力：追加保证金和强制平仓对应的回撤深度
+    const breachParams = { positions, hedgePositions, referencePrice, instrumentContext, account, costs };
+    const marginCallPips = findMarginLevelBreachDepth({ ...breachParams, level: account.marginCallLevel });
+    const stopOutPips = findMarginLevelBreachDepth({ ...breachParams, level: account.stopOutLevel });
+    
+    // 最大回撤处的保证金水平（按已触发仓位的保证金占用）
+    const equityAtMaxDrawdown = account.accountBalance - maxPossibleLoss;
+    const marginAtMaxDrawdown = calculateMarginRequired(triggeredVolume + hedgeVolume, referencePrice, instrumentContext);
+    const marginLevelAtMaxDrawdown = marginAtMaxDrawdown > 0 ? (equityAtMaxDrawdown / marginAtMaxDrawdown) * 100 : null;
+    const riskLevel = RISK_LEVELS[classifyRiskLevel({ loss: maxPossibleLoss, marginLevel: marginLevelAtMaxDrawdown }, riskPolicy, account)].label;
     
     return {
         maxPossibleLoss,
         breakEvenPips,
+        breakEvenPrice,
         marginRequired,
         riskRewardRatio: breakEvenPips / maxDrawdownPips,
-        positionSizeRisk: totalVolume / positions[0].volume // 相对于初始手数的倍数
+        positionSizeRisk: totalVolume / positions[0].volume, // 相对于初始手数的倍数
+        equityAtMaxDrawdown,
+        marginAtMaxDrawdown,
+        marginLevelAtMaxDrawdown,
+        riskLevel,
+        marginCallPips,
+        stopOutPips,
+        tradingCosts
     };
 }
 
+/**
+ * 根据保证金水平判断账户状态
+ * @param {number|null} marginLevel - 保证金水平(%)，无持仓时为null
+ * @param {Object} account - 账户设置
+ * @returns {string} normal / marginCall / stopOut
+ */
+function getMarginStatus(marginLevel, account) {
+    if (marginLevel === null) return 'normal';
+    if (marginLevel <= account.stopOutLevel) return 'stopOut';
+    if (marginLevel <= account.marginCallLevel) return 'marginCall';
+    return 'normal';
+}
+
+/**
+ * 计算保证金水平首次跌至指定百分比时的回撤深度(点数)
+ * 相邻两个加仓点之间持仓不变，净值随回撤线性下降，因此可逐段求出精确解
+ * @param {Object} params - 计算参数
+ * @param {number} params.level - 目标保证金水平(%)
+ * @returns {number|null} 回撤点数，净值始终高于目标水平时返回null
+ */
+function findMarginLevelBreachDepth(params) {
+    const { positions, hedgePositions = [], referencePrice, instrumentContext, account, costs = DEFAULT_TRADING_COSTS, level } = params;
+    const { pipValue } = instrumentContext;
+    
+    // 单边回撤中对冲侧仅首仓开仓，其盈利随回撤深度增加
+    const hedgeVolume = hedgePositions.length > 0 ? hedgePositions[0].volume : 0;
+    
+    let activeVolume = 0;
+    let lockedPnL = 0; // 已触发仓位在其入场深度处的累计常数项
+    // 交易成本在开仓时即固定，不随回撤深度变化
+    let lockedCosts = hedgeVolume > 0 ? calculateTradingCosts([hedgePositions[0]], costs, pipValue).total : 0;
+    
+    for (let i = 0; i < positions.length; i++) {
+        // 已有持仓在分析起点前已开仓，区间从起点开始
+        const segmentStart = Math.max(getTriggerPips(positions[i]), 0);
+        const segmentEnd = i + 1 < positions.length ? getTriggerPips(positions[i + 1]) : Infinity;
+        
+        activeVolume += positions[i].volume;
+        lockedPnL += positions[i].pipDistance * positions[i].volume;
+        lockedCosts += calculateTradingCosts([positions[i]], costs, pipValue).total;
+        
+        if (segmentEnd <= 0) {
+            continue;
+        }
+        
+        // 区间内：净值(d) = 余额 - (持仓量 × d - 常数项) × 每点价值 + 对冲盈利 - 交易成本
+        const netVolume = activeVolume - hedgeVolume;
+        const marginRequired = calculateMarginRequired(activeVolume + hedgeVolume, referencePrice, instrumentContext);
+        const targetEquity = marginRequired * level / 100;
+        const equityAtStart = account.accountBalance - (netVolume * segmentStart - lockedPnL) * pipValue - lockedCosts;
+        
+        if (equityAtStart <= targetEquity) {
+            return segmentStart;
+        }
+        if (netVolume > 0) {
+            const depth = segmentStart + (equityAtStart - targetEquity) / (netVolume * pipValue);
+            if (depth < segmentEnd) {
+                return depth;
+            }
+        }
+    }
+    
+    return null;
+}
+
 /**
  * 验证cBot参数
  * @param {Object} params - 输入参数
@@ -241,6 +1192,14 @@ function validateDCABotParams(params) {
         errors.push('DCA间距必须大于0');
     }
     
+    if (params.spacingMode !== undefined) {
+        errors.push(...validateSpacingParams(params));
+    }
+    
+    if (params.volumeMode !== undefined) {
+        errors.push(...validateVolumeParams(params));
+    }
+    
     if (!params.firstVolume || params.firstVolume <= 0) {
         errors.push('首次仓位手数必须大于0');
     }
@@ -261,6 +1220,61 @@ function validateDCABotParams(params) {
         errors.push('每点价值必须大于0');
     }
     
+    if (params.symbol !== undefined && !INSTRUMENTS[params.symbol]) {
+        errors.push('未知的交易品种: ' + params.symbol);
+    }
+    
+    if (params.quoteRate !== undefined && !(params.quoteRate > 0)) {
+        errors.push('报价货币汇率必须大于0');
+    }
+    
+    if (params.accountBalance !== undefined && !(params.accountBalance > 0)) {
+        errors.push('账户余额必须大于0');
+    }
+    
+    if (params.leverage !== undefined && !(params.leverage >= 1)) {
+        errors.push('账户杠杆必须不小于1');
+    }
+    
+    if (params.marginCallLevel !== undefined && params.stopOutLevel !== undefined &&
+        !(params.stopOutLevel > 0 && params.marginCallLevel > params.stopOutLevel)) {
+        errors.push('强制平仓水平必须大于0且低于追加保证金水平');
+    }
+    
+    if (['spreadPips', 'commissionPerLot', 'holdingDays'].some(key => params[key] !== undefined && !(params[key] >= 0))) {
+        errors.push('点差、佣金和持仓天数不能为负数');
+    }
+    
+    if (['swapLong', 'swapShort'].some(key => params[key] !== undefined && !Number.isFinite(params[key]))) {
+        errors.push('隔夜利息必须为有效数字');
+    }
+    
+    if (params.drawdownSampling !== undefined && !DRAWDOWN_SAMPLING_MODES[params.drawdownSampling]) {
+        errors.push('未知的回撤采样方式');
+    }
+    
+    if (params.riskThresholdMode !== undefined) {
+        errors.push(...validateRiskPolicy(params));
+    }
+    
+    if (params.basketMode !== undefined) {
+        errors.push(...validateBasketParams(params));
+    }
+    
+    if (params.startPrice !== undefined && params.basketMode !== 'open') {
+        errors.push(...validateStartPrice(params));
+    }
+    
+    if (params.direction !== undefined && !DCA_DIRECTIONS[params.direction]) {
+        errors.push('网格方向必须为买入、卖出或双向对冲');
+    }
+    
+    if (params.takeProfitMode !== undefined && !TAKE_PROFIT_MODES[params.takeProfitMode]) {
+        errors.push('未知的止盈模式');
+    } else if (params.takeProfitMode && params.takeProfitMode !== 'none' && !(params.takeProfitPips > 0)) {
+        errors.push('止盈点数必须大于0');
+    }
+    
     return {
         isValid: errors.length === 0,
         errors
@@ -268,76 +1282,128 @@ function validateDCABotParams(params) {
 }
 
 /**
- * 生成DCA cBot风险建议
- * @param {Object} result - 计算结果
- * @returns {string} 风险建议文本
+ * 验证网格间距参数
+ * @param {Object} params - 输入参数
+ * @returns {Array} 错误信息
  */
-function generateDCABotAdvice(result) {
-    const { riskMetrics, totalVolume, positions } = result;
-    const { maxPossibleLoss, breakEvenPips, riskRewardRatio } = riskMetrics;
-    
-    const advice = [];
+function validateSpacingParams(params) {
+    const errors = [];
+    const { spacingMode } = params;
     
-    // 风险水平评估
-    if (maxPossibleLoss > 6000) {
-        advice.push('⚠️ 高风险：最大可能亏损超过$6,000，建议降低仓位手数或减少最大仓位数');
-    } else if (maxPossibleLoss > 3000) {
-        advice.push('⚡ 中风险：最大可能亏损在$3,000-$6,000之间，请确保账户资金充足');
-    } else {
-        advice.push('✅ 低风险：最大可能亏损在可控范围内');
+    if (!SPACING_MODES[spacingMode]) {
+        errors.push('未知的间距模式');
+    } else if (spacingMode === 'geometric' && !(params.pipStepMultiplier > 0 && params.pipStepMultiplier <= 5)) {
+        errors.push('间距倍数必须在0-5之间');
+    } else if (spacingMode === 'arithmetic' && params.maxPositions > 1 &&
+        !(params.pipStep + params.pipStepIncrement * (params.maxPositions - 2) > 0)) {
+        errors.push('间距增量过小，最后一层的间距必须大于0');
+    } else if (spacingMode === 'custom') {
+        const steps = parseNumberList(params.customPipSteps);
+        if (steps.length === 0 || steps.some(step => !(step > 0))) {
+            errors.push('自定义间距必须为一组大于0的点数，用逗号分隔');
+        }
+    } else if (spacingMode === 'atr' && !(params.atrPips > 0 && params.atrMultiplier > 0)) {
+        errors.push('ATR点数和ATR系数必须大于0');
     }
     
-    // 仓位构建评估
-    const maxVolume = Math.max(...positions.map(p => p.volume));
-    if (maxVolume > totalVolume * 0.333) {
-        advice.push('📊 仓位分布不均：最大单笔仓位过大，建议降低倍数指数');
+    return errors;
+}
+
+/**
+ * 验证风险策略参数
+ * @param {Object} params - 输入参数
+ * @returns {Array} 错误信息
+ */
+function validateRiskPolicy(params) {
+    const errors = [];
+    const { riskThresholdMode, riskMediumThreshold, riskHighThreshold } = params;
+    
+    if (!RISK_THRESHOLD_MODES[riskThresholdMode]) {
+        errors.push('未知的风险阈值方式');
+    } else if (!(riskMediumThreshold > 0 && riskHighThreshold > 0)) {
+        errors.push('风险阈值必须大于0');
+    } else if (riskThresholdMode === 'marginLevel' && !(riskHighThreshold < riskMediumThreshold)) {
+        errors.push('保证金水平模式下高风险阈值必须低于中风险阈值');
+    } else if (riskThresholdMode !== 'marginLevel' && !(riskHighThreshold > riskMediumThreshold)) {
+        errors.push('高风险阈值必须高于中风险阈值');
     }
     
-    // 回本难度评估
-    if (breakEvenPips > 100) {
-        advice.push('🎯 回本困难：需要回升' + breakEvenPips.toFixed(0) + '点才能回本，考虑减少DCA间距');
-    } else if (breakEvenPips >= 50) {
-        advice.push('🎯 回本中等：需要回升' + breakEvenPips.toFixed(0) + '点才能回本');
-    } else {
-        advice.push('🎯 回本容易：只需回升' + breakEvenPips.toFixed(0) + '点即可回本');
+    return errors;
+}
+
+/**
+ * 验证新建网格的起始价格：0表示使用品种参考价格，买入侧网格在预期最大回撤处的价格必须大于0
+ * @param {Object} params - 输入参数
+ * @returns {Array} 错误信息
+ */
+function validateStartPrice(params) {
+    const errors = [];
+    const { pipSize } = getInstrument(params.symbol);
+    
+    if (!(params.startPrice >= 0)) {
+        errors.push('起始价格必须为正数，或为0表示使用参考价格');
+    } else if (params.startPrice > 0 && params.direction !== 'sell' && params.startPrice - params.maxDrawdownPips * pipSize <= 0) {
+        errors.push('起始价格过低，预期最大回撤处的价格将小于等于0');
     }
     
-    // 风险回报比评估
-    if (riskRewardRatio < 0.1) {
-        advice.push('⚖️ 风险回报比过低，建议优化参数配置');
+    return errors;
+}
+
+/**
+ * 验证仓位组参数（已有持仓分析）
+ * @param {Object} params - 输入参数
+ * @returns {Array} 错误信息
+ */
+function validateBasketParams(params) {
+    const errors = [];
+    
+    if (!BASKET_MODES[params.basketMode]) {
+        errors.push('未知的仓位组模式');
+    } else if (params.basketMode === 'open') {
+        const { positions, errors: parseErrors } = parseOpenPositions(params.openPositions);
+        errors.push(...parseErrors);
+        if (positions.length === 0 && parseErrors.length === 0) {
+            errors.push('请输入至少一笔已有持仓');
+        }
+        if (!(params.currentPrice > 0)) {
+            errors.push('当前价格必须大于0');
+        }
+        if (params.direction === 'hedge') {
+            errors.push('已有持仓分析不支持双向对冲网格');
+        }
     }
     
-    return advice.join('\n');
+    return errors;
 }
 
 /**
- * 计算最优参数建议
- * @param {Object} currentParams - 当前参数
- * @returns {Object} 优化建议
+ * 验证仓位手数参数
+ * @param {Object} params - 输入参数
+ * @returns {Array} 错误信息
  */
-function getOptimizationSuggestions(currentParams) {
-    const suggestions = [];
+function validateVolumeParams(params) {
+    const errors = [];
+    const { volumeMode } = params;
     
-    // 基于当前参数给出优化建议
-    if (currentParams.volumeExponent > 2) {
-        suggestions.push({
-            parameter: 'volumeExponent',
-            current: currentParams.volumeExponent,
-            suggested: 1.5,
-            reason: '降低倍数指数可以减少后期仓位过大的风险'
-        });
+    if (!VOLUME_MODES[volumeMode]) {
+        errors.push('未知的手数模式');
+    } else if (volumeMode === 'additive' && params.maxPositions > 1 &&
+        !(params.firstVolume + params.volumeIncrement * (params.maxPositions - 1) > 0)) {
+        errors.push('手数增量过小，最后一层的手数必须大于0');
+    } else if (volumeMode === 'custom') {
+        const volumes = parseNumberList(params.customVolumes);
+        if (volumes.length === 0 || volumes.some(volume => !(volume > 0))) {
+            errors.push('自定义手数必须为一组大于0的手数，用逗号分隔');
+        }
+    } else if (volumeMode === 'cappedGeometric' && !(params.maxLayerVolume > 0)) {
+        errors.push('单层最大手数必须大于0');
     }
     
-    if (currentParams.pipStep < 10) {
-        suggestions.push({
-            parameter: 'pipStep',
-            current: currentParams.pipStep,
-            suggested: 15,
-            reason: '增加DCA间距可以减少仓位触发频率'
-        });
+    if (!(params.lotStep > 0 && params.minLot > 0 && params.maxLot >= params.minLot)) {
+        errors.push('手数规格无效：最小变动手数和最小手数必须大于0，最大手数不能小于最小手数');
     }
     
-    return suggestions;
+    return errors;
 }
 
 /**
@@ -355,12 +1421,13 @@ function formatCurrency(amount) {
 }
 
 /**
- * 格式化价格显示（5位小数）
+ * 格式化价格显示（按品种报价小数位数）
  * @param {number} price - 价格
+ * @param {number} digits - 小数位数，默认5位
  * @returns {string} 格式化后的价格字符串
  */
-function formatPrice(price) {
-    return price.toFixed(5);
+function formatPrice(price, digits = 5) {
+    return price.toFixed(digits);
 }
 
 /**
@@ -388,33 +1455,61 @@ function formatPips(pips) {
  */
 function getCalculationDebugInfo(params) {
     const {
-        pipStep,
         firstVolume,
-        volumeExponent,
-        maxPositions
+        direction = 'buy'
     } = params;
 
-    const referencePrice = 1.00000;
+    const { pipSize, digits, pipValue, instrument } = resolveInstrumentContext(params);
+    const referencePrice = resolveReferencePrice(params, instrument);
+    const side = direction === 'sell' ? 'sell' : 'buy';
+    const openPositions = params.basketMode === 'open' ? parseOpenPositions(params.openPositions).positions : [];
+    const operator = side === 'sell' ? '+' : '-';
     const debugInfo = {
         inputParams: params,
         referencePrice,
+        symbol: instrument.symbol,
+        digits,
+        pipSize,
+        pipValue,
+        direction,
         calculationSteps: [],
         potentialErrors: []
     };
 
+    // 已有持仓分析按实际持仓和剩余层级列出计算步骤
+    const gridParams = { ...params, side, referencePrice, pipSize };
+    const positions = openPositions.length > 0
+        ? buildOpenBasketPositions({ ...gridParams, openPositions })
+        : buildGridPositions(gridParams);
+    debugInfo.spacingMode = params.spacingMode || 'constant';
+
+    // 交易成本明细：每手成本及全部仓位成本
+    const costs = resolveTradingCosts(params);
+    const totalVolume = positions[positions.length - 1].cumulativeVolume;
+    const totalCosts = calculateTradingCosts(positions, costs, pipValue);
+    debugInfo.tradingCosts = {
+        settings: costs,
+        perLot: calculateTradingCosts([{ side, volume: 1 }], costs, pipValue),
+        total: totalCosts,
+        costPips: totalCosts.total / (totalVolume * pipValue)
+    };
+
     // 记录每层计算的详细步骤
-    for (let level = 0; level < maxPositions; level++) {
-        const entryPrice = referencePrice - (level * pipStep * 0.0001);
-        const positionVolume = firstVolume * Math.pow(volumeExponent, level);
+    positions.forEach((pos, level) => {
+        const entryPrice = pos.entryPrice;
+        const positionVolume = pos.volume;
         
         const stepInfo = {
             level: level + 1,
             calculation: {
-                entryPriceFormula: `${referencePrice} - (${level} * ${pipStep} * 0.0001)`,
+                stepFormula: pos.open ? '已有持仓' : level > 0 ? describeLayerStepFormula(params, level) : '0',
+                stepResult: pos.stepPips,
+                entryPriceFormula: `${formatPrice(referencePrice, digits)} ${operator} (${pos.pipDistance} * ${pipSize})`,
                 entryPriceResult: entryPrice,
-                volumeFormula: `${firstVolume} * ${volumeExponent}^${level}`,
+                volumeFormula: pos.open ? '已有持仓' : describeLayerVolumeFormula(params, level),
+                rawVolumeResult: pos.rawVolume,
                 volumeResult: positionVolume,
-                pipDistance: level * pipStep
+                pipDistance: pos.pipDistance
             }
         };
         
@@ -423,37 +1518,100 @@ function getCalculationDebugInfo(params) {
             debugInfo.potentialErrors.push(`层级${level + 1}仓位过大: ${positionVolume.toFixed(2)}手`);
         }
         
-        if (entryPrice < 0) {
-            debugInfo.potentialErrors.push(`层级${level + 1}入场价格异常: ${entryPrice.toFixed(5)}`);
+        if (entryPrice <= 0) {
+            debugInfo.potentialErrors.push(`层级${level + 1}入场价格异常: ${formatPrice(entryPrice, digits)}`);
         }
         
         debugInfo.calculationSteps.push(stepInfo);
-    }
+    });
 
     return debugInfo;
 }
 
+/**
+ * 调试工具：描述第k个网格间距的计算公式
+ * @param {Object} params - cBot参数
+ * @param {number} k - 间距序号(从1开始)
+ * @returns {string} 公式
+ */
+function describeLayerStepFormula(params, k) {
+    const { spacingMode = 'constant', pipStep } = params;
+    const settings = { ...DEFAULT_SPACING_SETTINGS, ...params };
+
+    switch (spacingMode) {
+        case 'geometric':
+            return `${pipStep} * ${settings.pipStepMultiplier}^${k - 1}`;
+        case 'arithmetic':
+            return `${pipStep} + ${settings.pipStepIncrement} * ${k - 1}`;
+        case 'custom': {
+            const steps = parseNumberList(settings.customPipSteps);
+            return steps.length > 0 ? `自定义第${Math.min(k, steps.length)}项` : `${pipStep}`;
+        }
+        case 'atr':
+            return `${settings.atrPips} * ${settings.atrMultiplier}`;
+        default:
+            return `${pipStep}`;
+    }
+}
+
+/**
+ * 调试工具：描述第level层手数的计算公式(含取整说明)
+ * @param {Object} params - cBot参数
+ * @param {number} level - 层级(从0开始)
+ * @returns {string} 公式
+ */
+function describeLayerVolumeFormula(params, level) {
+    const { volumeMode = 'geometric', firstVolume, volumeExponent } = params;
+    const settings = { ...DEFAULT_VOLUME_SETTINGS, ...params };
+    let formula;
+
+    switch (volumeMode) {
+        case 'additive':
+            formula = `${firstVolume} + ${settings.volumeIncrement} * ${level}`;
+            break;
+        case 'fibonacci':
+            formula = `${firstVolume} * Fib(${level + 1})`;
+            break;
+        case 'custom': {
+            const volumes = parseNumberList(settings.customVolumes);
+            formula = volumes.length > 0 ? `自定义第${Math.min(level, volumes.length - 1) + 1}项` : `${firstVolume}`;
+            break;
+        }
+        case 'cappedGeometric':
+            formula = `min(${firstVolume} * ${volumeExponent}^${level}, ${settings.maxLayerVolume})`;
+            break;
+        default:
+            formula = `${firstVolume} * ${volumeExponent}^${level}`;
+    }
+
+    return `${formula} → 按${settings.lotStep}手取整`;
+}
+
 /**
  * 调试工具：验证浮动盈亏计算
  * @param {number} currentPrice - 当前价格
  * @param {number} entryPrice - 入场价格  
  * @param {number} volume - 手数
  * @param {number} pipValue - 每点价值
+ * @param {string} side - 仓位方向(buy/sell)
+ * @param {Object} instrument - 品种配置，默认EURUSD
  * @returns {Object} 验证结果
  */
-function verifyFloatingPnL(currentPrice, entryPrice, volume, pipValue) {
+function verifyFloatingPnL(currentPrice, entryPrice, volume, pipValue, side = 'buy', instrument = getInstrument()) {
+    const { pipSize, digits } = instrument;
     const priceDiff = currentPrice - entryPrice;
-    const priceDiffInPips = priceDiff / 0.0001;
-    const floatingPnL = priceDiffInPips * volume * pipValue;
+    const floatingPnL = calculatePositionPnL({ side, entryPrice, volume }, currentPrice, pipValue, pipSize);
+    const priceDiffInPips = getSideSign(side) * priceDiff / pipSize;
+    const signPrefix = side === 'sell' ? '-' : '';
     
     return {
-        currentPrice: currentPrice.toFixed(5),
-        entryPrice: entryPrice.toFixed(5),
-        priceDiff: priceDiff.toFixed(5),
+        currentPrice: formatPrice(currentPrice, digits),
+        entryPrice: formatPrice(entryPrice, digits),
+        priceDiff: formatPrice(priceDiff, digits),
         priceDiffInPips: priceDiffInPips.toFixed(1),
         volume: volume.toFixed(2),
         pipValue: pipValue.toFixed(1),
         floatingPnL: floatingPnL.toFixed(2),
-        formula: `(${currentPrice.toFixed(5)} - ${entryPrice.toFixed(5)}) / 0.0001 * ${volume.toFixed(2)} * ${pipValue.toFixed(1)}`
+        formula: `${signPrefix}(${formatPrice(currentPrice, digits)} - ${formatPrice(entryPrice, digits)}) / ${pipSize} * ${volume.toFixed(2)} * ${pipValue.toFixed(1)}`
     };
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+// cTrader cBot 参数集(.cbotset)导入导出工具
+
+// 可映射到cBot参数的计算器字段
+const CBOTSET_FIELDS = {
+    pipStep: { label: 'DCA间距' },
+    firstVolume: { label: '首次手数' },
+    volumeExponent: { label: '倍数指数' },
+    maxPositions: { label: '最大仓位数' }
+};
+
+// 手数单位：cBot参数可以按手数或按合约数量(单位)填写
+const CBOTSET_VOLUME_UNITS = {
+    lots: { label: '手数 (Lots)' },
+    units: { label: '单位 (Units)' }
+};
+
+// 默认参数名映射（计算器字段 → cBot参数名）
+const DEFAULT_CBOTSET_MAPPING = {
+    pipStep: 'PipStep',
+    firstVolume: 'FirstVolume',
+    volumeExponent: 'VolumeExponent',
+    maxPositions: 'MaxPositions',
+    volumeUnit: 'lots'
+};
+
+/**
+ * 生成cTrader cBot参数集文件内容
+ * @param {Object} params - 计算器参数
+ * @param {Object} mapping - 参数名映射(见DEFAULT_CBOTSET_MAPPING)
+ * @returns {string} .cbotset文件内容(JSON)
+ */
+function buildCbotset(params, mapping = DEFAULT_CBOTSET_MAPPING) {
+    const instrument = getInstrument(params.symbol);
+    const parameters = {};
+
+    Object.keys(CBOTSET_FIELDS).forEach(field => {
+        const name = (mapping[field] || '').trim();
+        if (!name) return;
+
+        let value = params[field];
+        if (field === 'firstVolume' && mapping.volumeUnit === 'units') {
+            value = Math.round(value * instrument.lotSize);
+        }
+        // cTrader参数集中的参数值均以字符串保存
+        parameters[name] = String(value);
+    });
+
+    const cbotset = {
+        Chart: {
+            Symbol: instrument.symbol,
+            Period: 'h1'
+        },
+        Parameters: parameters
+    };
+
+    return JSON.stringify(cbotset, null, 2);
+}
+
+/**
+ * 提取参数集文件中的参数键值对
+ * 支持JSON格式以及旧版XML格式(<Parameter name="..." value="..." />)
+ * @param {string} text - 文件内容
+ * @returns {Object} { symbol, parameters }
+ */
+function readCbotsetParameters(text) {
+    const content = text.replace(/^\uFEFF/, '').trim();
+
+    if (content.startsWith('{')) {
+        const data = JSON.parse(content);
+        return {
+            symbol: data.Chart && data.Chart.Symbol ? data.Chart.Symbol : null,
+            parameters: data.Parameters || {}
+        };
+    }
+
+    if (content.startsWith('<')) {
+        const parameters = {};
+        const pattern = /<Parameter\b[^>]*?\bname="([^"]*)"[^>]*?\bvalue="([^"]*)"/gi;
+        let match;
+        while ((match = pattern.exec(content)) !== null) {
+            parameters[match[1]] = match[2];
+        }
+        const symbolMatch = content.match(/<Symbol>([^<]+)<\/Symbol>/i);
+        return {
+            symbol: symbolMatch ? symbolMatch[1].trim() : null,
+            parameters
+        };
+    }
+
+    throw new Error('无法识别的参数集格式');
+}
+
+/**
+ * 解析cTrader cBot参数集文件
+ * 按单位填写的手数需要合约大小换算：优先使用文件中的品种，文件未指定或品种未知时使用fallbackSymbol，
+ * 两者都没有时无法确定合约大小，直接报错
+ * @param {string} text - .cbotset文件内容
+ * @param {Object} mapping - 参数名映射(见DEFAULT_CBOTSET_MAPPING)
+ * @param {string} fallbackSymbol - 文件未指定品种时使用的品种(通常为当前选择的品种)
+ * @returns {Object} { params, missing } 读取到的计算器参数和缺失的cBot参数名
+ */
+function parseCbotset(text, mapping = DEFAULT_CBOTSET_MAPPING, fallbackSymbol) {
+    const { symbol, parameters } = readCbotsetParameters(text);
+    const params = {};
+    const missing = [];
+
+    if (symbol && INSTRUMENTS[symbol]) {
+        params.symbol = symbol;
+    }
+    const instrumentSymbol = params.symbol || (INSTRUMENTS[fallbackSymbol] ? fallbackSymbol : null);
+    if (!instrumentSymbol && mapping.volumeUnit === 'units') {
+        throw new Error('参数集未指定已知品种，无法将单位换算为手数，请选择品种后重新导入或改用手数');
+    }
+    const instrument = getInstrument(instrumentSymbol);
+
+    Object.keys(CBOTSET_FIELDS).forEach(field => {
+        const name = (mapping[field] || '').trim();
+        if (!name) return;
+
+        const value = parseFloat(parameters[name]);
+        if (!isFinite(value)) {
+            missing.push(name);
+            return;
+        }
+
+        params[field] = field === 'firstVolume' && mapping.volumeUnit === 'units'
+            ? value / instrument.lotSize
+            : value;
+    });
+
+    if (Object.keys(params).every(key => key === 'symbol')) {
+        throw new Error('参数集中未找到任何已映射的cBot参数，请检查参数名映射');
+    }
+
+    return { params, missing };
+}
@@ -0,0 +1,467 @@
+// DCA cBot 实盘记录导入：解析cTrader持仓历史导出，按仓位组与计算模型对比
+
+// 列名匹配规则（统一转为小写、去除括号内容和非字母字符后匹配，如"Opening Time (UTC+0)"→openingtime、"Net USD"→netusd）
+const HISTORY_COLUMN_PATTERNS = {
+    id: /^(id|positionid|ticket|orderid)$/,
+    symbol: /^(symbol|symbolname|instrument)$/,
+    side: /^(direction|openingdirection|side|tradeside|type)$/,
+    openTime: /^(openingtime|opentime|entrytime|creationtime|time)$/,
+    closeTime: /^(closingtime|closetime|exittime)$/,
+    entryPrice: /^(entryprice|openingprice|openprice)$/,
+    closePrice: /^(closingprice|closeprice|exitprice)$/,
+    quantity: /^(quantity|closingquantity|openingquantity|lots)$/,
+    units: /^(volume|closingvolume|openingvolume|units)$/,
+    netProfit: /^net(profit|pnl|[a-z]{3})?$/,
+    grossProfit: /^gross(profit|pnl|[a-z]{3})?$/,
+    commission: /^commissions?$/,
+    swap: /^swap$/,
+    label: /^label$/,
+    comment: /^comment$/
+};
+
+// 与模型对比的容差：入场偏离超过slippagePips视为滑点，实际盈利与模型止盈盈利相差超过pnlPercent时提示
+const HISTORY_TOLERANCES = {
+    slippagePips: 1,
+    pnlPercent: 10
+};
+
+/**
+ * 拆分一行CSV，支持双引号包裹的字段（字段内可含分隔符，""表示引号）
+ * @param {string} line - CSV行
+ * @param {string} delimiter - 分隔符
+ * @returns {Array} 单元格文本
+ */
+function splitHistoryCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * 提取HTML中各表格的行和单元格文本（cTrader HTML报告中每个表格为一个列表）
+ * @param {string} html - HTML文本
+ * @returns {Array} 表格列表，每个表格为单元格文本的二维数组
+ */
+function extractHtmlTables(html) {
+    const decode = text => text
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return (html.match(/<table[\s\S]*?<\/table>/gi) || []).map(table => {
+        return (table.match(/<tr[\s\S]*?<\/tr>/gi) || [])
+            .map(row => (row.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map(decode))
+            .filter(cells => cells.length > 0);
+    });
+}
+
+/**
+ * 根据表头建立列索引
+ * @param {Array} headerCells - 表头单元格
+ * @returns {Object|null} 列名到索引的映射，缺少品种、方向、入场价或手数列时返回null
+ */
+function mapHistoryColumns(headerCells) {
+    const columns = {};
+    headerCells.forEach((cell, index) => {
+        const name = cell.toLowerCase().replace(/\([^)]*\)/g, '').replace(/[^a-z]/g, '');
+        Object.keys(HISTORY_COLUMN_PATTERNS).forEach(key => {
+            if (columns[key] === undefined && HISTORY_COLUMN_PATTERNS[key].test(name)) {
+                columns[key] = index;
+            }
+        });
+    });
+    const hasVolume = columns.quantity !== undefined || columns.units !== undefined;
+    return columns.symbol !== undefined && columns.side !== undefined && columns.entryPrice !== undefined && hasVolume
+        ? columns
+        : null;
+}
+
+/**
+ * 解析数值单元格，忽略千位分隔符、货币符号和单位（如"$1,234.50"、"0.10 Lots"、"-12,70 €"）
+ * @param {string} text - 单元格文本
+ * @returns {number} 数值，无法解析时为NaN
+ */
+function parseHistoryNumber(text) {
+    let cleaned = String(text === undefined ? '' : text).replace(/\u2212/g, '-').replace(/[^\d.,\-]/g, '');
+    // 没有小数点且逗号后只有1-2位数字时，逗号为小数点（如"31,80"），否则视为千位分隔符
+    cleaned = !cleaned.includes('.') && /,\d{1,2}$/.test(cleaned)
+        ? cleaned.replace(/,(?=\d{1,2}$)/, '.').replace(/,/g, '')
+        : cleaned.replace(/,/g, '');
+    return cleaned === '' ? NaN : parseFloat(cleaned);
+}
+
+/**
+ * 解析时间单元格，支持"2026-01-15 09:30:12"和cTrader的"15/01/2026 09:30:12.345"(日/月/年)格式
+ * 时间按UTC解析，仅用于排序和分组
+ * @param {string} text - 单元格文本
+ * @returns {number|null} 毫秒时间戳，无法解析时为null
+ */
+function parseHistoryTime(text) {
+    const value = String(text || '');
+    const time = value.match(/(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?/);
+    const [hour, minute, second, millisecond] = time
+        ? [time[1], time[2], time[3] || 0, (time[4] || '0').padEnd(3, '0')].map(Number)
+        : [0, 0, 0, 0];
+
+    let date = value.match(/(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+    if (date) {
+        return Date.UTC(Number(date[1]), Number(date[2]) - 1, Number(date[3]), hour, minute, second, millisecond);
+    }
+    date = value.match(/(\d{1,2})[-./](\d{1,2})[-./](\d{4})/);
+    if (date) {
+        return Date.UTC(Number(date[3]), Number(date[2]) - 1, Number(date[1]), hour, minute, second, millisecond);
+    }
+    return null;
+}
+
+/**
+ * 将导出中的品种名称对应到品种注册表（忽略大小写、分隔符和经纪商后缀，如"EUR/USD"、"EURUSD.m"）
+ * @param {string} symbol - 导出中的品种名称
+ * @returns {string|null} 注册表中的品种代码，未知品种返回null
+ */
+function resolveHistorySymbol(symbol) {
+    const name = String(symbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (INSTRUMENTS[name]) return name;
+    return Object.keys(INSTRUMENTS).find(key => name.startsWith(key)) || null;
+}
+
+/**
+ * 解析cTrader持仓历史或持仓列表导出（CSV或HTML报告）
+ * - 按列名识别品种、方向、开/平仓时间、入场/平仓价、手数(Quantity，单位为手)或数量(Volume，按合约大小换算为手)、净/毛盈亏、佣金、隔夜利息和标签
+ * - HTML报告中所有可识别的表格（如持仓历史和当前持仓）合并解析
+ * - 没有平仓时间的记录视为仍在持仓
+ * @param {string} text - 文件内容
+ * @returns {Object} { trades, skippedRows, format }
+ */
+function parseTradeHistory(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const isHtml = /<table/i.test(content);
+
+    let tables;
+    if (isHtml) {
+        tables = extractHtmlTables(content);
+    } else {
+        const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length === 0) {
+            throw new Error('文件为空');
+        }
+        const delimiter = detectCsvDelimiter(lines[0]);
+        tables = [lines.map(line => splitHistoryCsvLine(line, delimiter))];
+    }
+
+    const trades = [];
+    let skippedRows = 0;
+    let recognized = false;
+    tables.forEach(rows => {
+        const headerIndex = rows.findIndex(cells => mapHistoryColumns(cells));
+        if (headerIndex < 0) return;
+        recognized = true;
+
+        const columns = mapHistoryColumns(rows[headerIndex]);
+        const cell = (cells, key) => columns[key] !== undefined ? cells[columns[key]] : undefined;
+        const number = (cells, key) => {
+            const value = parseHistoryNumber(cell(cells, key));
+            return isFinite(value) ? value : null;
+        };
+
+        rows.slice(headerIndex + 1).forEach(cells => {
+            const sideText = String(cell(cells, 'side') || '').toLowerCase();
+            const side = /buy|买/.test(sideText) ? 'buy' : /sell|卖/.test(sideText) ? 'sell' : null;
+            const symbol = String(cell(cells, 'symbol') || '').trim();
+            const instrumentSymbol = resolveHistorySymbol(symbol);
+            const entryPrice = parseHistoryNumber(cell(cells, 'entryPrice'));
+            const openTimeText = String(cell(cells, 'openTime') || '').trim();
+            const closeTimeText = String(cell(cells, 'closeTime') || '').trim();
+
+            // 手数列单位为手，数量列单位为合约数量；单元格注明Lots时按手处理
+            const quantityText = cell(cells, columns.quantity !== undefined ? 'quantity' : 'units');
+            const inLots = columns.quantity !== undefined || /lot/i.test(quantityText);
+            const lotSize = getInstrument(instrumentSymbol).lotSize;
+            const volume = parseHistoryNumber(quantityText) / (inLots ? 1 : lotSize);
+
+            const openTime = parseHistoryTime(openTimeText);
+            if (!side || !symbol || !(entryPrice > 0) || !(volume > 0) || (columns.openTime !== undefined && openTime === null)) {
+                skippedRows++;
+                return;
+            }
+
+            const closePrice = number(cells, 'closePrice');
+            trades.push({
+                id: String(cell(cells, 'id') || trades.length + 1),
+                symbol,
+                instrumentSymbol,
+                side,
+                label: String(cell(cells, 'label') || '').trim(),
+                comment: String(cell(cells, 'comment') || '').trim(),
+                openTime,
+                openTimeText,
+                closeTime: closeTimeText ? parseHistoryTime(closeTimeText) : null,
+                closeTimeText,
+                entryPrice,
+                closePrice,
+                volume: Math.round(Math.abs(volume) * 1e6) / 1e6,
+                netProfit: number(cells, 'netProfit'),
+                grossProfit: number(cells, 'grossProfit'),
+                commission: number(cells, 'commission'),
+                swap: number(cells, 'swap')
+            });
+        });
+    });
+
+    if (!recognized) {
+        throw new Error('无法识别持仓记录表头，需要品种(Symbol)、方向(Direction)、入场价格(Entry Price)和手数(Quantity/Volume)列');
+    }
+    if (trades.length === 0) {
+        throw new Error('文件中没有有效的持仓记录');
+    }
+
+    return { trades, skippedRows, format: isHtml ? 'html' : 'csv' };
+}
+
+/**
+ * 将持仓记录按仓位组分组
+ * 同一标签、品种和方向的记录按开仓时间排序，在前一组全部平仓之前开出的仓位归入同一组（cBot整体止盈时整组同时平仓）
+ * 缺少开仓时间的记录按文件顺序处理
+ * @param {Array} trades - parseTradeHistory解析出的持仓记录
+ * @returns {Array} 仓位组列表，按开始时间排序
+ */
+function groupTradesIntoBaskets(trades) {
+    const sorted = trades
+        .map((trade, index) => ({ trade, index }))
+        .sort((a, b) => ((a.trade.openTime || 0) - (b.trade.openTime || 0)) || (a.index - b.index))
+        .map(item => item.trade);
+
+    const groups = [];
+    const current = {};
+    sorted.forEach(trade => {
+        const key = [trade.label, trade.instrumentSymbol || trade.symbol, trade.side].join('|');
+        const group = current[key];
+        const stillOpen = group && (group.closeTime === null || trade.openTime === null || trade.openTime < group.closeTime);
+        if (stillOpen) {
+            group.trades.push(trade);
+            group.closeTime = trade.closeTime === null || group.closeTime === null ? null : Math.max(group.closeTime, trade.closeTime);
+        } else {
+            current[key] = { trades: [trade], closeTime: trade.closeTime };
+            groups.push(current[key]);
+        }
+    });
+
+    return groups.map((group, index) => {
+        const first = group.trades[0];
+        const totalVolume = group.trades.reduce((sum, trade) => sum + trade.volume, 0);
+        const closed = group.trades.every(trade => trade.closeTime !== null || trade.closePrice !== null);
+        const sumOf = key => group.trades.some(trade => trade[key] === null)
+            ? null
+            : group.trades.reduce((sum, trade) => sum + trade[key], 0);
+        return {
+            id: index + 1,
+            label: first.label,
+            symbol: first.symbol,
+            instrumentSymbol: first.instrumentSymbol,
+            side: first.side,
+            trades: group.trades,
+            openTimeText: first.openTimeText,
+            closeTimeText: closed ? group.trades[group.trades.length - 1].closeTimeText : '',
+            closed,
+            totalVolume,
+            avgPrice: group.trades.reduce((sum, trade) => sum + trade.entryPrice * trade.volume, 0) / totalVolume,
+            netProfit: sumOf('netProfit'),
+            grossProfit: sumOf('grossProfit')
+        };
+    });
+}
+
+/**
+ * 格式化对比提示中的金额（美元，保留两位小数）
+ * @param {number} amount - 金额
+ * @returns {string} 如"-$12.70"
+ */
+function formatHistoryAmount(amount) {
+    return (amount < 0 ? '-$' : '$') + Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * 将一个仓位组与calculateDCABot的理论网格对比
+ * 理论网格以该组首仓的实际入场价为起点，比较各层入场距离、手数和整组实际盈亏
+ * - 入场偏离在半个层间距以内视为滑点，超过半个层间距视为间距设置不符
+ * - 平仓后盈亏与模型止盈盈利(优先比较毛盈亏，不含交易成本)相差超过容差时提示，亏损平仓为严重
+ * @param {Object} basket - groupTradesIntoBaskets生成的仓位组
+ * @param {Object} model - 该组品种和方向对应的calculateDCABot返回值
+ * @param {Object} params - cBot参数
+ * @param {Object} tolerances - 容差，默认HISTORY_TOLERANCES
+ * @returns {Object} 对比结果：品种报价小数位数、各层对比、理论与实际盈亏、问题列表和最高严重程度
+ */
+function compareHistoryBasket(basket, model, params, tolerances = HISTORY_TOLERANCES) {
+    const { pipSize, digits } = model.instrumentContext;
+    const sign = getSideSign(basket.side);
+    const startPrice = basket.trades[0].entryPrice;
+    const volumeTolerance = ((params.lotStep || DEFAULT_VOLUME_SETTINGS.lotStep) / 2) + 1e-9;
+    const flags = [];
+
+    const layers = basket.trades.map((trade, index) => {
+        const theoretical = model.positions[index] || null;
+        const actualPips = Math.round(sign * (startPrice - trade.entryPrice) / pipSize * 10) / 10;
+        return {
+            level: index + 1,
+            openTimeText: trade.openTimeText,
+            entryPrice: trade.entryPrice,
+            volume: trade.volume,
+            actualPips,
+            theoreticalPips: theoretical ? theoretical.pipDistance : null,
+            theoreticalEntryPrice: theoretical ? startPrice - sign * theoretical.pipDistance * pipSize : null,
+            theoreticalVolume: theoretical ? theoretical.volume : null,
+            deviationPips: theoretical ? Math.round((actualPips - theoretical.pipDistance) * 10) / 10 : null,
+            stepPips: theoretical ? theoretical.stepPips : null
+        };
+    });
+    const compared = layers.filter(layer => layer.theoreticalPips !== null);
+
+    if (!basket.instrumentSymbol) {
+        flags.push({ id: 'symbol', severity: 'info', message: `未知品种${basket.symbol}，按${model.symbol}的点值大小比较` });
+    }
+    if (params.direction !== 'hedge' && params.direction !== basket.side) {
+        flags.push({ id: 'direction', severity: 'warning', message: `仓位组方向为${DCA_DIRECTIONS[basket.side].label}，与设置的${DCA_DIRECTIONS[params.direction].label}网格不符` });
+    }
+    if (layers.length > model.positions.length) {
+        flags.push({ id: 'layers', severity: 'critical', message: `开仓${layers.length}层，超过最大仓位数${model.positions.length}，请检查cBot的最大仓位数设置` });
+    }
+
+    const volumeMismatches = compared.filter(layer => Math.abs(layer.volume - layer.theoreticalVolume) > volumeTolerance);
+    if (volumeMismatches.length > 0) {
+        flags.push({
+            id: 'volume',
+            severity: 'warning',
+            message: '手数与设置不符：' + volumeMismatches
+                .map(layer => `第${layer.level}层${formatVolume(layer.volume)}手(理论${formatVolume(layer.theoreticalVolume)}手)`)
+                .join('，')
+        });
+    }
+
+    const deviated = compared.filter(layer => Math.abs(layer.deviationPips) > tolerances.slippagePips);
+    const isSpacingMismatch = layer => Math.abs(layer.deviationPips) >= Math.max(layer.stepPips, params.pipStep || 0) / 2;
+    const spacingMismatches = deviated.filter(isSpacingMismatch);
+    const slippages = deviated.filter(layer => !isSpacingMismatch(layer));
+    if (spacingMismatches.length > 0) {
+        flags.push({
+            id: 'spacing',
+            severity: 'warning',
+            message: '入场间距与设置不符，可能为参数配置错误：' + spacingMismatches
+                .map(layer => `第${layer.level}层距首仓${layer.actualPips}点(理论${layer.theoreticalPips}点)`)
+                .join('，')
+        });
+    }
+    if (slippages.length > 0) {
+        flags.push({
+            id: 'slippage',
+            severity: 'info',
+            message: '入场滑点：' + slippages
+                .map(layer => `第${layer.level}层偏离理论价格${formatPrice(layer.theoreticalEntryPrice, digits)} ${layer.deviationPips > 0 ? '+' : ''}${layer.deviationPips}点`)
+                .join('，')
+        });
+    }
+
+    // 模型止盈盈利：整体止盈为最深一层的止盈盈利，逐层止盈为已开各层止盈盈利之和
+    let expectedPnL = null;
+    const takeProfitMode = params.takeProfitMode || 'none';
+    if (basket.closed && takeProfitMode !== 'none' && compared.length === layers.length) {
+        expectedPnL = takeProfitMode === 'basket'
+            ? model.positions[layers.length - 1].takeProfitAmount
+            : model.positions.slice(0, layers.length).reduce((sum, pos) => sum + pos.takeProfitAmount, 0);
+    }
+    const actualPnL = basket.grossProfit !== null ? basket.grossProfit : basket.netProfit;
+    if (basket.closed && actualPnL !== null && actualPnL < 0) {
+        flags.push({ id: 'pnl', severity: 'critical', message: `仓位组亏损平仓${formatHistoryAmount(actualPnL)}，可能为强制平仓或手动平仓` });
+    } else if (expectedPnL !== null && actualPnL !== null && Math.abs(actualPnL - expectedPnL) > expectedPnL * tolerances.pnlPercent / 100) {
+        const diffPercent = (actualPnL - expectedPnL) / expectedPnL * 100;
+        flags.push({
+            id: 'pnl',
+            severity: 'warning',
+            message: `实际盈利${formatHistoryAmount(actualPnL)}与模型止盈盈利${formatHistoryAmount(expectedPnL)}相差${diffPercent > 0 ? '+' : ''}${diffPercent.toFixed(1)}%，请检查止盈点数或平仓滑点`
+        });
+    }
+
+    const order = ['critical', 'warning', 'info'];
+    const severity = order.find(level => flags.some(flag => flag.severity === level)) || 'ok';
+
+    return {
+        basket,
+        digits,
+        layers,
+        layersReached: layers.length,
+        maxPositions: model.positions.length,
+        expectedPnL,
+        actualPnL,
+        flags,
+        severity
+    };
+}
+
+/**
+ * 导入持仓记录并逐组与计算模型对比
+ * 每组按其品种（未知品种使用当前品种）和方向计算理论网格，其他网格参数使用当前设置；品种与当前设置不同时使用该品种的默认汇率
+ * @param {Array} trades - parseTradeHistory解析出的持仓记录
+ * @param {Object} params - cBot参数
+ * @param {Object} tolerances - 容差，默认HISTORY_TOLERANCES
+ * @returns {Object} { baskets, summary }
+ */
+function analyzeTradeHistory(trades, params, tolerances = HISTORY_TOLERANCES) {
+    const models = {};
+    const getModel = (symbol, side) => {
+        const key = symbol + '|' + side;
+        if (!models[key]) {
+            const modelParams = { ...params, symbol, direction: side, basketMode: 'new' };
+            if (symbol !== params.symbol) {
+                delete modelParams.quoteRate;
+                delete modelParams.pipValue;
+            }
+            models[key] = calculateDCABot(modelParams);
+        }
+        return models[key];
+    };
+
+    const baskets = groupTradesIntoBaskets(trades).map(basket => {
+        return compareHistoryBasket(basket, getModel(basket.instrumentSymbol || params.symbol, basket.side), params, tolerances);
+    });
+
+    return {
+        baskets,
+        summary: {
+            tradeCount: trades.length,
+            basketCount: baskets.length,
+            openBaskets: baskets.filter(item => !item.basket.closed).length,
+            flaggedBaskets: baskets.filter(item => item.flags.some(flag => flag.severity !== 'info')).length,
+            maxLayersReached: baskets.reduce((max, item) => Math.max(max, item.layersReached), 0),
+            realizedPnL: baskets.reduce((sum, item) => sum + (item.basket.closed ? item.basket.netProfit || 0 : 0), 0)
+        }
+    };
+}
@@ -0,0 +1,152 @@
+// cTrader 交易品种配置
+
+/**
+ * 交易品种注册表
+ * - digits: 报价小数位数
+ * - pipSize: 1点对应的价格变化
+ * - lotSize: 1标准手的合约数量
+ * - quoteCurrency: 报价货币（盈亏以该货币计价）
+ * - marginRate: 保证金比例（1/杠杆）
+ * - referencePrice: 未设置起始价格时使用的参考价格
+ * - defaultQuoteRate: 报价货币兑账户货币(USD)的默认汇率
+ * 保证金按 手数 × 合约大小 × 价格 × 汇率 换算为账户货币，referencePrice与defaultQuoteRate须取自同一行情，
+ * 如USDJPY参考价格149对应汇率0.0067(≈1/149)，否则非美元报价品种的保证金和爆仓深度会随两者的偏差失真
+ */
+const INSTRUMENTS = {
+    EURUSD: {
+        symbol: 'EURUSD',
+        name: '欧元/美元',
+        digits: 5,
+        pipSize: 0.0001,
+        lotSize: 100000,
+        quoteCurrency: 'USD',
+        marginRate: 1 / 30,
+        referencePrice: 1.00000,
+        defaultQuoteRate: 1
+    },
+    GBPUSD: {
+        symbol: 'GBPUSD',
+        name: '英镑/美元',
+        digits: 5,
+        pipSize: 0.0001,
+        lotSize: 100000,
+        quoteCurrency: 'USD',
+        marginRate: 1 / 30,
+        referencePrice: 1.00000,
+        defaultQuoteRate: 1
+    },
+    USDCHF: {
+        symbol: 'USDCHF',
+        name: '美元/瑞郎',
+        digits: 5,
+        pipSize: 0.0001,
+        lotSize: 100000,
+        quoteCurrency: 'CHF',
+        marginRate: 1 / 30,
+        referencePrice: 0.90900,
+        defaultQuoteRate: 1.1
+    },
+    USDJPY: {
+        symbol: 'USDJPY',
+        name: '美元/日元',
+        digits: 3,
+        pipSize: 0.01,
+        lotSize: 100000,
+        quoteCurrency: 'JPY',
+        marginRate: 1 / 30,
+        referencePrice: 149.000,
+        defaultQuoteRate: 0.0067
+    },
+    EURJPY: {
+        symbol: 'EURJPY',
+        name: '欧元/日元',
+        digits: 3,
+        pipSize: 0.01,
+        lotSize: 100000,
+        quoteCurrency: 'JPY',
+        marginRate: 1 / 30,
+        referencePrice: 162.000,
+        defaultQuoteRate: 0.0067
+    },
+    XAUUSD: {
+        symbol: 'XAUUSD',
+        name: '黄金/美元',
+        digits: 2,
+        pipSize: 0.01,
+        lotSize: 100,
+        quoteCurrency: 'USD',
+        marginRate: 1 / 20,
+        referencePrice: 1000.00,
+        defaultQuoteRate: 1
+    },
+    US30: {
+        symbol: 'US30',
+        name: '道琼斯指数',
+        digits: 1,
+        pipSize: 1,
+        lotSize: 1,
+        quoteCurrency: 'USD',
+        marginRate: 1 / 20,
+        referencePrice: 10000.0,
+        defaultQuoteRate: 1
+    },
+    BTCUSD: {
+        symbol: 'BTCUSD',
+        name: '比特币/美元',
+        digits: 2,
+        pipSize: 1,
+        lotSize: 1,
+        quoteCurrency: 'USD',
+        marginRate: 1 / 2,
+        referencePrice: 10000.00,
+        defaultQuoteRate: 1
+    }
+};
+
+// 默认品种（与早期版本的固定计算口径一致）
+const DEFAULT_SYMBOL = 'EURUSD';
+
+/**
+ * 获取交易品种配置
+ * @param {string} symbol - 品种代码
+ * @returns {Object} 品种配置，未知品种返回默认品种
+ */
+function getInstrument(symbol) {
+    return INSTRUMENTS[symbol] || INSTRUMENTS[DEFAULT_SYMBOL];
+}
+
+/**
+ * 计算每标准手每点价值（账户货币）
+ * @param {Object} instrument - 品种配置
+ * @param {number} quoteRate - 报价货币兑账户货币汇率
+ * @returns {number} 每点价值
+ */
+function calculatePipValue(instrument, quoteRate = instrument.defaultQuoteRate) {
+    return instrument.pipSize * instrument.lotSize * quoteRate;
+}
+
+/**
+ * 解析计算所需的品种上下文
+ * @param {Object} params - cBot参数(symbol、quoteRate、leverage，可选pipValue手动覆盖)
+ * @returns {Object} 品种上下文
+ */
+function resolveInstrumentContext(params) {
+    const instrument = getInstrument(params.symbol);
+    const quoteRate = params.quoteRate > 0 ? params.quoteRate : instrument.defaultQuoteRate;
+    // 显式传入的每点价值优先，否则根据汇率自动换算
+    const pipValue = params.pipValue > 0 ? params.pipValue : calculatePipValue(instrument, quoteRate);
+    // 账户杠杆与品种最大杠杆取较小者（即保证金比例取较大者）
+    const marginRate = params.leverage > 0
+        ? Math.max(instrument.marginRate, 1 / params.leverage)
+        : instrument.marginRate;
+
+    return {
+        instrument,
+        pipSize: instrument.pipSize,
+        lotSize: instrument.lotSize,
+        marginRate,
+        digits: instrument.digits,
+        quoteRate,
+        pipValue
+    };
+}
@@ -0,0 +1,154 @@
+// DCA cBot 参数库：内置策略模板与用户保存的命名参数组
+
+// 参数库导出文件的类型标识和格式版本
+const LIBRARY_EXPORT_TYPE = 'cTrader_DCA_Parameter_Library';
+const LIBRARY_EXPORT_VERSION = 1;
+
+// 内置策略模板：只包含网格相关参数，载入时保留当前的品种、账户和交易成本设置
+// 以EURUSD、10000美元账户、30倍杠杆为基准设定，其他品种请按点值大小调整间距
+const PARAMETER_PRESETS = [
+    {
+        id: 'preset-conservative',
+        name: '保守型策略',
+        builtIn: true,
+        tags: ['保守', '新手'],
+        notes: '低风险配置，适合新手交易者：大间距、微小首仓、温和加倍，最大回撤300点内亏损约$260',
+        params: {
+            pipStep: 30,
+            spacingMode: 'constant',
+            firstVolume: 0.01,
+            volumeExponent: 1.2,
+            volumeMode: 'geometric',
+            maxPositions: 8,
+            maxDrawdownPips: 300,
+            takeProfitMode: 'basket',
+            takeProfitPips: 20
+        }
+    },
+    {
+        id: 'preset-balanced',
+        name: '均衡型策略',
+        builtIn: true,
+        tags: ['均衡'],
+        notes: '风险收益平衡，适合中级交易者：最大回撤300点内亏损约$3,600，爆仓深度约430点',
+        params: {
+            pipStep: 20,
+            spacingMode: 'constant',
+            firstVolume: 0.05,
+            volumeExponent: 1.3,
+            volumeMode: 'geometric',
+            maxPositions: 10,
+            maxDrawdownPips: 300,
+            takeProfitMode: 'basket',
+            takeProfitPips: 15
+        }
+    },
+    {
+        id: 'preset-aggressive',
+        name: '激进型策略',
+        builtIn: true,
+        tags: ['激进'],
+        notes: '高风险高收益，适合经验丰富的交易者：小间距、较大首仓和加倍指数，逆势约115点即触发强制平仓',
+        params: {
+            pipStep: 15,
+            spacingMode: 'constant',
+            firstVolume: 0.1,
+            volumeExponent: 1.5,
+            volumeMode: 'geometric',
+            maxPositions: 10,
+            maxDrawdownPips: 300,
+            takeProfitMode: 'basket',
+            takeProfitPips: 10
+        }
+    }
+];
+
+/**
+ * 解析标签文本，支持中英文逗号、分号和空格分隔，去除重复标签
+ * @param {string|Array} value - 标签文本或标签数组
+ * @returns {Array} 标签列表
+ */
+function parseTags(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(/[,，;；\s]+/);
+    return tags
+        .map(tag => String(tag).trim())
+        .filter((tag, index, list) => tag && list.indexOf(tag) === index);
+}
+
+/**
+ * 创建参数库条目
+ * @param {string} name - 名称
+ * @param {Object} params - cBot参数（保存副本）
+ * @param {Object} options - 可选信息
+ * @param {string|Array} options.tags - 标签
+ * @param {string} options.notes - 备注
+ * @returns {Object} 参数库条目
+ */
+function createLibraryEntry(name, params, options = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: 'lib-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: String(name || '').trim() || '未命名参数',
+        tags: parseTags(options.tags),
+        notes: options.notes ? String(options.notes) : '',
+        params: JSON.parse(JSON.stringify(params)),
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * 生成参数库导出文件内容（只包含用户保存的条目，内置模板随程序提供）
+ * @param {Array} entries - 参数库条目
+ * @returns {string} JSON文本
+ */
+function buildLibraryExport(entries) {
+    return JSON.stringify({
+        type: LIBRARY_EXPORT_TYPE,
+        version: LIBRARY_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: entries.filter(entry => !entry.builtIn)
+    }, null, 2);
+}
+
+/**
+ * 解析参数库导入文件
+ * 每个条目的参数在当前参数基础上补全后验证，无效条目跳过并返回原因
+ * @param {string} text - 文件内容
+ * @param {Object} baseParams - 用于补全条目参数的当前参数
+ * @returns {Object} { entries, skipped } 有效条目(已分配新ID)和被跳过的条目说明
+ */
+function parseLibraryImport(text, baseParams) {
+    const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    const list = Array.isArray(data) ? data : data && data.entries;
+    if (data && !Array.isArray(data) && data.type !== LIBRARY_EXPORT_TYPE) {
+        throw new Error('不是参数库导出文件');
+    }
+    if (!Array.isArray(list)) {
+        throw new Error('参数库文件中没有条目列表');
+    }
+
+    const entries = [];
+    const skipped = [];
+    list.forEach((item, index) => {
+        const name = item && item.name ? String(item.name) : `第${index + 1}条`;
+        if (!item || typeof item.params !== 'object' || item.params === null) {
+            skipped.push(`${name}: 缺少参数`);
+            return;
+        }
+
+        const params = { ...baseParams, ...item.params };
+        delete params.pipValue;
+        const validation = validateDCABotParams(params);
+        if (!validation.isValid) {
+            skipped.push(`${name}: ${validation.errors.join('；')}`);
+            return;
+        }
+
+        const entry = createLibraryEntry(name, params, { tags: item.tags, notes: item.notes });
+        if (item.createdAt) entry.createdAt = String(item.createdAt);
+        entries.push(entry);
+    });
+
+    return { entries, skipped };
+}
@@ -0,0 +1,232 @@
+// DCA cBot 蒙特卡洛爆仓概率模拟工具
+
+// 价格路径模型
+// - randomWalk: 算术随机游走，波动率和漂移以每步点数计
+// - gbm: 几何布朗运动，波动率和漂移以每步百分比计
+const MONTE_CARLO_MODELS = {
+    randomWalk: { label: '随机游走', unit: '点/步' },
+    gbm: { label: '几何布朗运动 (GBM)', unit: '%/步' }
+};
+
+// 净值分位带
+const MONTE_CARLO_PERCENTILES = [5, 25, 50, 75, 95];
+
+// 单次模拟允许的最大价格步数(路径数 × 每条路径步数)
+const MAX_MONTE_CARLO_STEPS = 5000000;
+
+// 净值分位带的最多采样点数
+const MONTE_CARLO_BAND_POINTS = 200;
+
+/**
+ * 创建可复现的伪随机数生成器(mulberry32)
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回[0, 1)均匀分布随机数的函数
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 生成标准正态分布随机数(Box-Muller)
+ * @param {Function} random - 均匀分布随机数生成器
+ * @returns {number} 标准正态随机数
+ */
+function nextGaussian(random) {
+    const u = 1 - random(); // 避免log(0)
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * 生成一条模拟价格路径，每一步作为一根K线供回测引擎回放
+ * @param {Object} options - 路径参数
+ * @param {string} options.model - 价格模型(randomWalk/gbm)
+ * @param {number} options.startPrice - 起始价格
+ * @param {number} options.steps - 步数
+ * @param {number} options.volatility - 每步波动率
+ * @param {number} options.drift - 每步漂移
+ * @param {number} options.pipSize - 品种点值大小
+ * @param {Function} options.random - 随机数生成器
+ * @returns {Array} K线数据 [{time, open, high, low, close}]
+ */
+function generatePricePath(options) {
+    const { model, startPrice, steps, volatility, drift, pipSize, random } = options;
+    const bars = [];
+    let price = startPrice;
+
+    for (let step = 1; step <= steps; step++) {
+        const shock = nextGaussian(random);
+        let next;
+        if (model === 'gbm') {
+            const sigma = volatility / 100;
+            const mu = drift / 100;
+            next = price * Math.exp(mu - sigma * sigma / 2 + sigma * shock);
+        } else {
+            next = price + (drift + volatility * shock) * pipSize;
+        }
+        // 随机游走可能穿过零价格，保留一个点的最低价格
+        next = Math.max(next, pipSize);
+
+        bars.push({
+            time: step,
+            open: price,
+            high: Math.max(price, next),
+            low: Math.min(price, next),
+            close: next
+        });
+        price = next;
+    }
+
+    return bars;
+}
+
+/**
+ * 计算已排序数组的分位数(线性插值)
+ * @param {Array} sorted - 升序数组
+ * @param {number} percentile - 分位(0-100)
+ * @returns {number} 分位数
+ */
+function getPercentile(sorted, percentile) {
+    const position = (sorted.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 运行蒙特卡洛模拟：在大量随机价格路径上按整体止盈回放网格
+ * 每条路径复用历史回测引擎(runBacktest)，因此加仓、止盈和强制平仓规则与回测一致
+ * @param {Object} params - cBot参数(与calculateDCABot相同，止盈模式固定为整体止盈)
+ * @param {Object} settings - 模拟设置
+ * @param {string} settings.model - 价格模型(见MONTE_CARLO_MODELS)
+ * @param {number} settings.paths - 路径数量
+ * @param {number} settings.steps - 每条路径步数
+ * @param {number} settings.volatility - 每步波动率
+ * @param {number} settings.drift - 每步漂移
+ * @param {number} settings.seed - 随机种子，相同种子得到相同结果
+ * @param {Object} options - 选项
+ * @param {Function} options.onProgress - 进度回调(done, total)
+ * @returns {Object} 模拟结果：爆仓概率、层数分布、每组期望盈利和净值分位带
+ */
+function runMonteCarloSimulation(params, settings, options = {}) {
+    const { model = 'randomWalk', paths, steps, volatility, drift = 0, seed = 1 } = settings;
+    const { onProgress } = options;
+
+    if (!MONTE_CARLO_MODELS[model]) {
+        throw new Error('未知的价格模型: ' + model);
+    }
+    if (!(paths >= 1) || !(steps >= 1)) {
+        throw new Error('路径数量和步数必须不小于1');
+    }
+    if (paths * steps > MAX_MONTE_CARLO_STEPS) {
+        throw new Error(`模拟总步数${paths * steps}超过上限${MAX_MONTE_CARLO_STEPS}，请减少路径数量或步数`);
+    }
+    if (!(volatility > 0)) {
+        throw new Error('波动率必须大于0');
+    }
+    if (!(params.takeProfitPips > 0)) {
+        throw new Error('蒙特卡洛模拟需要设置止盈点数');
+    }
+
+    const simulationParams = { ...params, takeProfitMode: 'basket' };
+    // 已有持仓分析：每条路径从当前价格出发，第一组仓位带着已有持仓开始
+    const backtestOptions = params.basketMode === 'open'
+        ? { openPositions: parseOpenPositions(params.openPositions).positions }
+        : {};
+    const { instrument, pipSize } = resolveInstrumentContext(params);
+    const random = createSeededRandom(seed);
+
+    // 净值分位带按固定间隔采样，避免保存全部路径的完整净值
+    const bandInterval = Math.max(1, Math.ceil(steps / MONTE_CARLO_BAND_POINTS));
+    const bandSteps = [];
+    for (let step = 0; step < steps; step += bandInterval) {
+        bandSteps.push(step);
+    }
+    if (bandSteps[bandSteps.length - 1] !== steps - 1) {
+        bandSteps.push(steps - 1);
+    }
+    const bandSamples = bandSteps.map(() => new Float64Array(paths));
+
+    const depthCounts = {};
+    const finalEquities = [];
+    let ruinCount = 0;
+    let basketCount = 0;
+    let basketProfitSum = 0;
+
+    for (let path = 0; path < paths; path++) {
+        const bars = generatePricePath({
+            model,
+            startPrice: resolveReferencePrice(params, instrument),
+            steps,
+            volatility,
+            drift,
+            pipSize,
+            random
+        });
+        const result = runBacktest(bars, simulationParams, backtestOptions);
+        const { equityCurve, baskets, stats } = result;
+
+        if (stats.stopOutCount > 0) {
+            ruinCount++;
+        }
+
+        // 爆仓提前结束的路径，剩余步数保持最终余额
+        bandSteps.forEach((step, index) => {
+            const point = equityCurve[Math.min(step, equityCurve.length - 1)];
+            bandSamples[index][path] = step < equityCurve.length ? point.equity : stats.finalBalance;
+        });
+        finalEquities.push(stats.finalBalance);
+
+        baskets.forEach(basket => {
+            depthCounts[basket.maxLayers] = (depthCounts[basket.maxLayers] || 0) + 1;
+            if (basket.exitReason !== 'endOfData') {
+                basketCount++;
+                basketProfitSum += basket.pnl;
+            }
+        });
+
+        if (onProgress && (path % 10 === 0 || path === paths - 1)) {
+            onProgress(path + 1, paths);
+        }
+    }
+
+    const totalDepthCount = Object.values(depthCounts).reduce((sum, count) => sum + count, 0);
+    const depthDistribution = [];
+    for (let layers = 1; layers <= params.maxPositions; layers++) {
+        const count = depthCounts[layers] || 0;
+        depthDistribution.push({
+            layers,
+            count,
+            percentage: totalDepthCount > 0 ? (count / totalDepthCount) * 100 : 0
+        });
+    }
+
+    const equityBands = { steps: bandSteps.map(step => step + 1) };
+    MONTE_CARLO_PERCENTILES.forEach(percentile => {
+        equityBands['p' + percentile] = bandSamples.map(samples => getPercentile(Float64Array.from(samples).sort(), percentile));
+    });
+
+    const sortedFinal = finalEquities.slice().sort((a, b) => a - b);
+
+    return {
+        model,
+        paths,
+        steps,
+        seed,
+        ruinCount,
+        ruinProbability: (ruinCount / paths) * 100,
+        basketCount,
+        expectedBasketProfit: basketCount > 0 ? basketProfitSum / basketCount : 0,
+        depthDistribution,
+        equityBands,
+        medianFinalEquity: getPercentile(sortedFinal, 50),
+        averageFinalEquity: finalEquities.reduce((sum, value) => sum + value, 0) / paths
+    };
+}
@@ -0,0 +1,168 @@
+// DCA cBot 参数网格搜索优化工具
+
+// 参与优化的参数
+const OPTIMIZATION_PARAMETERS = {
+    pipStep: { label: 'DCA间距', decimals: 0 },
+    firstVolume: { label: '首次手数', decimals: 2 },
+    volumeExponent: { label: '倍数指数', decimals: 2 },
+    maxPositions: { label: '最大仓位数', decimals: 0 }
+};
+
+// 优化目标：分数越高排名越靠前
+const OPTIMIZATION_OBJECTIVES = {
+    maxProfit: {
+        label: '最大回撤内止盈盈利最大',
+        score: evaluation => evaluation.takeProfitAmount
+    },
+    maxStopOut: {
+        label: '爆仓深度最深',
+        score: evaluation => evaluation.stopOutPips === null ? Infinity : evaluation.stopOutPips
+    },
+    minLoss: {
+        label: '最大亏损最小',
+        score: evaluation => -evaluation.maxPossibleLoss
+    }
+};
+
+// 单次优化允许的最大组合数
+const MAX_OPTIMIZATION_COMBINATIONS = 20000;
+
+/**
+ * 展开单个参数的取值范围
+ * @param {Object} range - { min, max, step }
+ * @param {number} decimals - 保留小数位数
+ * @returns {Array} 取值列表
+ */
+function expandParameterRange(range, decimals) {
+    const { min, max, step } = range;
+    if (!(step > 0) || max < min) {
+        return [min];
+    }
+
+    // 使用整数序号生成取值，避免浮点累加误差
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    const factor = Math.pow(10, decimals);
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push(Math.round((min + i * step) * factor) / factor);
+    }
+    return values;
+}
+
+/**
+ * 生成参数组合网格
+ * @param {Object} ranges - 各参数的取值范围
+ * @returns {Array} 参数组合列表
+ */
+function buildParameterGrid(ranges) {
+    const keys = Object.keys(OPTIMIZATION_PARAMETERS);
+    const valueLists = keys.map(key => expandParameterRange(ranges[key], OPTIMIZATION_PARAMETERS[key].decimals));
+    const total = valueLists.reduce((product, values) => product * values.length, 1);
+
+    if (total > MAX_OPTIMIZATION_COMBINATIONS) {
+        throw new Error(`参数组合数${total}超过上限${MAX_OPTIMIZATION_COMBINATIONS}，请缩小范围或增大步长`);
+    }
+
+    let combinations = [{}];
+    keys.forEach((key, index) => {
+        const next = [];
+        combinations.forEach(combination => {
+            valueLists[index].forEach(value => {
+                next.push({ ...combination, [key]: value });
+            });
+        });
+        combinations = next;
+    });
+    return combinations;
+}
+
+/**
+ * 计算单组参数的风险指标并检查约束条件
+ * @param {Object} params - 完整cBot参数
+ * @param {Object} constraints - 约束条件(未设置的约束不生效)
+ * @param {number} constraints.maxLossBudget - 最大可能亏损上限(美元)
+ * @param {number} constraints.minMarginLevel - 最大回撤处的最低保证金水平(%)
+ * @param {number} constraints.minStopOutPips - 最浅允许的爆仓深度(点数)
+ * @returns {Object} 评估结果
+ */
+function evaluateConfiguration(params, constraints) {
+    const result = calculateDCABot(params);
+    const { maxPossibleLoss, stopOutPips, marginRequired } = result.riskMetrics;
+    const lastPoint = result.drawdownAnalysis[result.drawdownAnalysis.length - 1];
+    const marginLevel = lastPoint ? lastPoint.marginLevel : null;
+
+    const violations = [];
+    if (constraints.maxLossBudget > 0 && maxPossibleLoss > constraints.maxLossBudget) {
+        violations.push('maxLossBudget');
+    }
+    if (constraints.minMarginLevel > 0 && marginLevel !== null && marginLevel < constraints.minMarginLevel) {
+        violations.push('minMarginLevel');
+    }
+    if (constraints.minStopOutPips > 0 && stopOutPips !== null && stopOutPips < constraints.minStopOutPips) {
+        violations.push('minStopOutPips');
+    }
+
+    return {
+        maxPossibleLoss,
+        marginRequired,
+        marginLevel,
+        stopOutPips,
+        breakEvenPips: result.riskMetrics.breakEvenPips,
+        totalVolume: result.totalVolume,
+        // 回撤至预期最大回撤处(最深一层已触发)后止盈平仓的整组盈利
+        takeProfitAmount: calculateBasketTakeProfit(result.positions, result.takeProfit.mode, params.maxDrawdownPips),
+        feasible: violations.length === 0,
+        violations
+    };
+}
+
+/**
+ * 网格搜索满足约束条件的参数组合
+ * @param {Object} baseParams - 基础参数（品种、方向、账户、止盈等保持不变）
+ * @param {Object} ranges - 各优化参数的取值范围
+ * @param {Object} constraints - 约束条件(见evaluateConfiguration)
+ * @param {Object} options - 选项
+ * @param {string} options.objective - 优化目标(见OPTIMIZATION_OBJECTIVES)
+ * @param {number} options.limit - 返回的最多结果数
+ * @param {Function} options.onProgress - 进度回调(done, total)
+ * @returns {Object} { total, evaluated, feasibleCount, results }
+ */
+function runOptimization(baseParams, ranges, constraints, options = {}) {
+    const { objective = 'maxProfit', limit = 50, onProgress } = options;
+    const scoreFn = (OPTIMIZATION_OBJECTIVES[objective] || OPTIMIZATION_OBJECTIVES.maxProfit).score;
+    const combinations = buildParameterGrid(ranges);
+
+    const feasible = [];
+    let evaluated = 0;
+
+    combinations.forEach((combination, index) => {
+        const params = { ...baseParams, ...combination };
+        if (validateDCABotParams(params).isValid) {
+            const evaluation = evaluateConfiguration(params, constraints);
+            evaluated++;
+            if (evaluation.feasible) {
+                feasible.push({ params: combination, ...evaluation, score: scoreFn(evaluation) });
+            }
+        }
+
+        if (onProgress && (index % 50 === 0 || index === combinations.length - 1)) {
+            onProgress(index + 1, combinations.length);
+        }
+    });
+
+    // 按目标分数降序，分数相同时爆仓深度更深、最大亏损更小者优先
+    feasible.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        const stopOutA = a.stopOutPips === null ? Infinity : a.stopOutPips;
+        const stopOutB = b.stopOutPips === null ? Infinity : b.stopOutPips;
+        if (stopOutB !== stopOutA) return stopOutB > stopOutA ? 1 : -1;
+        return a.maxPossibleLoss - b.maxPossibleLoss;
+    });
+
+    return {
+        total: combinations.length,
+        evaluated,
+        feasibleCount: feasible.length,
+        results: feasible.slice(0, limit)
+    };
+}
@@ -0,0 +1,223 @@
+// DCA cBot 风险报告：生成可离线查看和打印的自包含HTML报告
+
+// 报告中列出的输入参数；options为取值对应的显示名称，when为仅在特定模式下列出的条件
+const REPORT_PARAM_FIELDS = [
+    { key: 'symbol', label: '交易品种' },
+    { key: 'direction', label: '网格方向', options: DCA_DIRECTIONS },
+    { key: 'startPrice', label: '起始价格', when: params => params.basketMode !== 'open' && params.startPrice > 0 },
+    { key: 'pipStep', label: 'DCA间距 (点)' },
+    { key: 'spacingMode', label: '间距模式', options: SPACING_MODES },
+    { key: 'pipStepMultiplier', label: '间距倍数', when: params => params.spacingMode === 'geometric' },
+    { key: 'pipStepIncrement', label: '间距增量 (点)', when: params => params.spacingMode === 'arithmetic' },
+    { key: 'customPipSteps', label: '自定义间距 (点)', when: params => params.spacingMode === 'custom' },
+    { key: 'atrPips', label: 'ATR (点)', when: params => params.spacingMode === 'atr' },
+    { key: 'atrMultiplier', label: 'ATR系数', when: params => params.spacingMode === 'atr' },
+    { key: 'firstVolume', label: '首次仓位手数' },
+    { key: 'volumeExponent', label: '仓位倍数指数' },
+    { key: 'volumeMode', label: '手数模式', options: VOLUME_MODES },
+    { key: 'volumeIncrement', label: '手数增量 (手/层)', when: params => params.volumeMode === 'additive' },
+    { key: 'customVolumes', label: '自定义手数', when: params => params.volumeMode === 'custom' },
+    { key: 'maxLayerVolume', label: '单层最大手数', when: params => params.volumeMode === 'cappedGeometric' },
+    { key: 'maxPositions', label: '最大仓位数' },
+    { key: 'maxDrawdownPips', label: '预期最大回撤 (点)' },
+    { key: 'drawdownSampling', label: '回撤分析采样', options: DRAWDOWN_SAMPLING_MODES },
+    { key: 'takeProfitMode', label: '止盈模式', options: TAKE_PROFIT_MODES },
+    { key: 'takeProfitPips', label: '止盈点数', when: params => params.takeProfitMode !== 'none' },
+    { key: 'quoteRate', label: '报价货币/USD汇率' },
+    { key: 'accountBalance', label: '账户余额 (美元)' },
+    { key: 'leverage', label: '账户杠杆' },
+    { key: 'marginCallLevel', label: '追加保证金水平 (%)' },
+    { key: 'stopOutLevel', label: '强制平仓水平 (%)' },
+    { key: 'riskThresholdMode', label: '风险阈值方式', options: RISK_THRESHOLD_MODES },
+    { key: 'riskMediumThreshold', label: '中风险阈值' },
+    { key: 'riskHighThreshold', label: '高风险阈值' },
+    { key: 'spreadPips', label: '点差 (点)' },
+    { key: 'commissionPerLot', label: '每手单边佣金 (美元)' },
+    { key: 'swapLong', label: '多头隔夜利息 (美元/手/日)' },
+    { key: 'swapShort', label: '空头隔夜利息 (美元/手/日)' },
+    { key: 'holdingDays', label: '预期持仓天数' },
+    { key: 'basketMode', label: '仓位组模式', options: BASKET_MODES },
+    { key: 'currentPrice', label: '当前价格', when: params => params.basketMode === 'open' },
+    { key: 'openPositions', label: '已有持仓', when: params => params.basketMode === 'open' }
+];
+
+// 报告样式：屏幕阅读与A4打印共用，打印时避免图表和表格行跨页断开
+const REPORT_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', 'PingFang SC', 'Microsoft YaHei', sans-serif; color: #333; max-width: 960px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+h1 { font-size: 1.6rem; margin: 0 0 4px; color: #2c3e50; }
+h2 { font-size: 1.15rem; margin: 28px 0 10px; padding-bottom: 4px; border-bottom: 2px solid #667eea; color: #2c3e50; }
+.meta { color: #777; font-size: 0.85rem; }
+.notes, .advice { white-space: pre-wrap; background: #f8f9fa; border-left: 4px solid #667eea; padding: 10px 14px; }
+table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+th, td { padding: 6px 8px; border-bottom: 1px solid #e1e5e9; text-align: left; }
+th { background: #f0f2f5; }
+.params td:nth-child(odd) { color: #666; width: 22%; }
+.metrics td:last-child { font-weight: bold; }
+figure { margin: 0 0 16px; text-align: center; break-inside: avoid; page-break-inside: avoid; }
+figure img { max-width: 100%; border: 1px solid #e1e5e9; }
+figcaption { color: #777; font-size: 0.8rem; }
+footer { margin-top: 32px; color: #999; font-size: 0.75rem; text-align: center; }
+@page { size: A4; margin: 14mm; }
+@media print {
+    body { padding: 0; max-width: none; }
+    h2 { break-after: avoid; page-break-after: avoid; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; page-break-inside: avoid; }
+}
+`;
+
+/**
+ * 转义HTML特殊字符
+ * @param {*} value - 原始值
+ * @returns {string} 可安全插入HTML的文本
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 按参数字段显示参数值
+ * @param {Object} field - REPORT_PARAM_FIELDS中的字段
+ * @param {*} value - 参数值
+ * @returns {string} 显示文本
+ */
+function formatReportParam(field, value) {
+    if (field.options && field.options[value]) {
+        return field.options[value].label;
+    }
+    if (field.key === 'leverage') {
+        return '1:' + value;
+    }
+    if (field.key === 'openPositions') {
+        return parseOpenPositions(value).positions.map(pos => `${pos.entryPrice} × ${pos.volume}`).join('；');
+    }
+    return value === '' || value === null || value === undefined ? '-' : String(value);
+}
+
+/**
+ * 列出报告中需要展示的参数字段（跳过未设置和与当前模式无关的参数）
+ * @param {Object} params - cBot输入参数
+ * @returns {Array} REPORT_PARAM_FIELDS中的字段
+ */
+function listReportParamFields(params) {
+    return REPORT_PARAM_FIELDS.filter(field => params[field.key] !== undefined && (!field.when || field.when(params)));
+}
+
+/**
+ * 生成输入参数表格，每行两组参数
+ * @param {Object} params - cBot输入参数
+ * @returns {string} HTML片段
+ */
+function buildReportParamRows(params) {
+    const cells = listReportParamFields(params)
+        .map(field => `<td>${escapeHtml(field.label)}</td><td>${escapeHtml(formatReportParam(field, params[field.key]))}</td>`);
+
+    const rows = [];
+    for (let i = 0; i < cells.length; i += 2) {
+        rows.push(`<tr>${cells[i]}${cells[i + 1] || '<td></td><td></td>'}</tr>`);
+    }
+    return rows.join('\n');
+}
+
+/**
+ * 生成仓位构建详情表格，对冲模式下同时列出反方向网格
+ * @param {Object} results - calculateDCABot的返回值
+ * @returns {string} HTML片段
+ */
+function buildReportPositionTable(results) {
+    const digits = results.instrumentContext.digits;
+    const showTakeProfit = results.takeProfit.mode !== 'none';
+    const headers = ['层级', '方向', '入场价格', '手数', '距离起始 (点)', '累计手数']
+        .concat(showTakeProfit ? ['止盈价格', '止盈盈利', '回升点数'] : []);
+
+    const rows = results.positions.concat(results.hedgePositions || []).map(pos => {
+        const cells = [
+            pos.open ? `${pos.level} (持仓)` : pos.level,
+            DCA_DIRECTIONS[pos.side] ? DCA_DIRECTIONS[pos.side].label : pos.side,
+            formatPrice(pos.entryPrice, digits),
+            formatVolume(pos.volume),
+            pos.pipDistance,
+            formatVolume(pos.cumulativeVolume)
+        ];
+        if (showTakeProfit) {
+            cells.push(formatPrice(pos.takeProfitPrice, digits), formatCurrency(pos.takeProfitAmount), formatPips(pos.recoveryPips));
+        }
+        return `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+    });
+
+    return `<table>
+<thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+/**
+ * 生成风险报告HTML
+ * 报告不引用任何外部资源，图表以PNG data URL内嵌，可直接保存、邮件发送或在浏览器中打印为PDF
+ * @param {Object} report - 报告内容
+ * @param {Object} report.params - cBot输入参数
+ * @param {Object} report.results - calculateDCABot的返回值
+ * @param {string} report.advice - generateDCABotAdvice生成的建议文本
+ * @param {string} report.title - 报告标题(可选)
+ * @param {string} report.notes - 备注(可选)
+ * @param {Date} report.generatedAt - 生成时间，默认当前时间
+ * @param {Object} report.chartImages - 图表图片 { position, drawdown }，缺少的图表不输出
+ * @returns {string} 完整的HTML文档
+ */
+function buildRiskReport(report) {
+    const { params, results, advice = '', notes = '', chartImages = {} } = report;
+    const generatedAt = report.generatedAt || new Date();
+    const title = String(report.title || '').trim() || `DCA cBot 风险报告 - ${params.symbol || ''}`.trim();
+    const directionLabel = DCA_DIRECTIONS[results.direction] ? DCA_DIRECTIONS[results.direction].label : results.direction;
+
+    const metricRows = SCENARIO_COMPARISON_METRICS.map(metric => {
+        const value = metric.value(results);
+        return `<tr><td>${escapeHtml(metric.label)}</td><td>${escapeHtml(formatComparisonMetric(value === undefined ? null : value, metric.format))}</td></tr>`;
+    });
+    metricRows.push(`<tr><td>全部开仓后保本价格</td><td>${escapeHtml(formatPrice(results.riskMetrics.breakEvenPrice, results.instrumentContext.digits))}</td></tr>`);
+    metricRows.push(`<tr><td>最大回撤处净值</td><td>${escapeHtml(formatCurrency(results.riskMetrics.equityAtMaxDrawdown))}</td></tr>`);
+
+    const figures = [
+        { src: chartImages.position, caption: '各层DCA仓位分布' },
+        { src: chartImages.drawdown, caption: '回撤风险分析曲线' }
+    ].filter(figure => figure.src);
+
+    const sections = [];
+    if (String(notes).trim()) {
+        sections.push(`<h2>备注</h2>\n<div class="notes">${escapeHtml(String(notes).trim())}</div>`);
+    }
+    sections.push(`<h2>输入参数</h2>\n<table class="params">\n${buildReportParamRows(params)}\n</table>`);
+    sections.push(`<h2>关键风险指标</h2>\n<table class="metrics">\n${metricRows.join('\n')}\n</table>`);
+    if (advice) {
+        sections.push(`<h2>风险建议</h2>\n<div class="advice">${escapeHtml(advice)}</div>`);
+    }
+    sections.push(`<h2>仓位构建详情</h2>\n${buildReportPositionTable(results)}`);
+    if (figures.length > 0) {
+        sections.push('<h2>图表</h2>\n' + figures
+            .map(figure => `<figure><img src="${escapeHtml(figure.src)}" alt="${figure.caption}"><figcaption>${figure.caption}</figcaption></figure>`)
+            .join('\n'));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">生成时间: ${escapeHtml(generatedAt.toLocaleString('zh-CN', { hour12: false }))} · ${escapeHtml(params.symbol || '')} · ${escapeHtml(directionLabel)}网格 · ${results.positions.length}层</div>
+${sections.join('\n')}
+<footer>由 cTrader DCA cBot 参数优化工具生成 · 计算结果仅供参考，不构成投资建议</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,88 @@
+// DCA cBot 多方案对比工具
+
+// 对比图表中各方案的颜色
+const SCENARIO_COLORS = ['#667eea', '#FF6B6B', '#4ECDC4', '#FFB347', '#9B59B6', '#2ECC71', '#E67E22', '#34495E'];
+
+// 对比表格中展示的指标
+const SCENARIO_COMPARISON_METRICS = [
+    { key: 'totalVolume', label: '总交易手数', format: 'volume', value: result => result.totalVolume },
+    { key: 'maxPossibleLoss', label: '最大可能亏损', format: 'currency', value: result => result.riskMetrics.maxPossibleLoss },
+    { key: 'breakEvenPips', label: '回本所需点数', format: 'pips', value: result => result.riskMetrics.breakEvenPips },
+    { key: 'marginRequired', label: '保证金占用', format: 'currency', value: result => result.riskMetrics.marginRequired },
+    { key: 'marginCallPips', label: '追加保证金深度', format: 'pips', value: result => result.riskMetrics.marginCallPips },
+    { key: 'stopOutPips', label: '爆仓深度', format: 'pips', value: result => result.riskMetrics.stopOutPips },
+    { key: 'positionSizeRisk', label: '仓位放大倍数', format: 'ratio', value: result => result.riskMetrics.positionSizeRisk },
+    // 全部仓位开满后整组止盈平仓的盈利（逐层止盈为各层止盈盈利之和）
+    {
+        key: 'takeProfitAmount',
+        label: '满仓止盈盈利',
+        format: 'currency',
+        value: result => result.takeProfit.mode === 'none' ? null : calculateBasketTakeProfit(result.positions, result.takeProfit.mode)
+    }
+];
+
+/**
+ * 创建参数方案
+ * @param {string} name - 方案名称
+ * @param {Object} params - cBot参数（保存副本）
+ * @returns {Object} 方案
+ */
+function createScenario(name, params) {
+    return {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name || '未命名方案',
+        params: JSON.parse(JSON.stringify(params))
+    };
+}
+
+/**
+ * 计算全部方案并汇总对比指标
+ * 参数无效或计算失败的方案保留在结果中并附带错误信息
+ * @param {Array} scenarios - 方案列表
+ * @returns {Array} 对比结果 [{ id, name, color, params, result, metrics, error }]
+ */
+function compareScenarios(scenarios) {
+    return scenarios.map((scenario, index) => {
+        const comparison = {
+            id: scenario.id,
+            name: scenario.name,
+            color: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+            params: scenario.params,
+            result: null,
+            metrics: {},
+            error: ''
+        };
+
+        const validation = validateDCABotParams(scenario.params);
+        if (!validation.isValid) {
+            comparison.error = validation.errors.join('；');
+            return comparison;
+        }
+
+        try {
+            comparison.result = calculateDCABot(scenario.params);
+            SCENARIO_COMPARISON_METRICS.forEach(metric => {
+                const value = metric.value(comparison.result);
+                comparison.metrics[metric.key] = value === undefined ? null : value;
+            });
+        } catch (error) {
+            comparison.error = error.message;
+        }
+
+        return comparison;
+    });
+}
+
+/**
+ * 按指标格式显示对比指标值
+ * @param {number|null} value - 指标值，null表示未触及
+ * @param {string} format - 格式(currency/pips/volume/ratio)
+ * @returns {string} 显示文本
+ */
+function formatComparisonMetric(value, format) {
+    if (value === null || value === undefined) return '未触及';
+    if (format === 'currency') return formatCurrency(value);
+    if (format === 'pips') return formatPips(value);
+    if (format === 'volume') return formatVolume(value);
+    return value.toFixed(1) + 'x';
+}
@@ -0,0 +1,139 @@
+// DCA cBot 分享链接工具：将参数和对比方案编码到URL的hash中
+
+// 分享链接格式版本，格式变化时递增
+const SHARE_LINK_VERSION = 1;
+
+// 对比方案在分享链接中的参数名
+const SHARE_LINK_SCENARIOS_KEY = 'scenarios';
+
+/**
+ * 生成分享链接的hash部分（不含#）
+ * 参数按 key=value 逐项编码，便于阅读和手工修改；对比方案只保存与当前参数不同的字段以缩短链接
+ * @param {Object} params - cBot输入参数
+ * @param {Array} scenarios - 对比方案列表 [{ name, params }]
+ * @returns {string} hash字符串
+ */
+function buildShareHash(params, scenarios = []) {
+    const query = new URLSearchParams();
+    query.set('v', String(SHARE_LINK_VERSION));
+
+    Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value !== null && value !== undefined && typeof value !== 'object') {
+            query.set(key, String(value));
+        }
+    });
+
+    if (scenarios.length > 0) {
+        const compact = scenarios.map(scenario => {
+            const diff = {};
+            Object.keys(scenario.params).forEach(key => {
+                if (scenario.params[key] !== params[key]) {
+                    diff[key] = scenario.params[key];
+                }
+            });
+            return { name: scenario.name, params: diff };
+        });
+        query.set(SHARE_LINK_SCENARIOS_KEY, JSON.stringify(compact));
+    }
+
+    return query.toString();
+}
+
+/**
+ * 按模板字段类型转换单个参数值
+ * @param {string} key - 参数名
+ * @param {*} value - 链接中的值
+ * @param {*} templateValue - 模板中同名参数的值
+ * @param {Array} errors - 错误信息(无法转换时追加)
+ * @returns {*} 转换后的值，无法转换时返回undefined
+ */
+function coerceShareValue(key, value, templateValue, errors) {
+    if (typeof templateValue === 'number') {
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (String(value).trim() === '' || !Number.isFinite(number)) {
+            errors.push(`参数 ${key} 的值无效: ${value}`);
+            return undefined;
+        }
+        return number;
+    }
+    return String(value);
+}
+
+/**
+ * 按模板筛选并转换一组参数，忽略模板中不存在的参数名
+ * @param {Object} source - 原始参数
+ * @param {Object} template - 参数模板(决定允许的参数名和类型)
+ * @param {Array} errors - 错误信息
+ * @param {Array} ignored - 被忽略的参数名
+ * @returns {Object} 转换后的参数
+ */
+function pickShareParams(source, template, errors, ignored) {
+    const params = {};
+    Object.keys(source).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(template, key)) {
+            if (!ignored.includes(key)) ignored.push(key);
+            return;
+        }
+        const value = coerceShareValue(key, source[key], template[key], errors);
+        if (value !== undefined) {
+            params[key] = value;
+        }
+    });
+    return params;
+}
+
+/**
+ * 解析分享链接的hash
+ * 只做格式解析和类型转换，参数取值是否合理由调用方通过validateDCABotParams验证
+ * @param {string} hash - location.hash(可带#)
+ * @param {Object} template - 参数模板，通常为当前的输入参数
+ * @returns {Object|null} { params, scenarios, errors, ignored }，hash中没有分享参数时返回null
+ */
+function parseShareHash(hash, template) {
+    const query = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (!query.has('v')) {
+        return null;
+    }
+
+    const errors = [];
+    const ignored = [];
+    if (Number(query.get('v')) !== SHARE_LINK_VERSION) {
+        errors.push('不支持的分享链接版本: ' + query.get('v'));
+        return { params: {}, scenarios: [], errors, ignored };
+    }
+
+    const source = {};
+    query.forEach((value, key) => {
+        if (key !== 'v' && key !== SHARE_LINK_SCENARIOS_KEY) {
+            source[key] = value;
+        }
+    });
+    const params = pickShareParams(source, template, errors, ignored);
+
+    const scenarios = [];
+    if (query.has(SHARE_LINK_SCENARIOS_KEY)) {
+        try {
+            const list = JSON.parse(query.get(SHARE_LINK_SCENARIOS_KEY));
+            if (!Array.isArray(list)) {
+                throw new Error('格式错误');
+            }
+            list.forEach((item, index) => {
+                const scenarioErrors = [];
+                const diff = item && typeof item.params === 'object' && item.params !== null
+                    ? pickShareParams(item.params, template, scenarioErrors, ignored)
+                    : {};
+                const name = item && item.name ? String(item.name) : `方案${index + 1}`;
+                if (scenarioErrors.length > 0) {
+                    scenarioErrors.forEach(error => errors.push(`${name}: ${error}`));
+                    return;
+                }
+                scenarios.push({ name, params: { ...template, ...params, ...diff } });
+            });
+        } catch (error) {
+            errors.push('对比方案数据无法解析');
+        }
+    }
+
+    return { params, scenarios, errors, ignored };
+}
@@ -0,0 +1,471 @@
+// DCA cBot 表格导出：仓位构建和回撤分析数据导出为CSV或Excel(XLSX)
+
+// 可导出的数据集及列定义
+// type决定数值格式：price按品种报价小数位数，其余按decimals位小数；value为从数据项取值的函数(默认取同名字段)
+const SPREADSHEET_DATASETS = {
+    positions: {
+        label: '仓位构建',
+        items: results => results.positions.concat(results.hedgePositions || []),
+        columns: [
+            { key: 'level', label: '层级', decimals: 0 },
+            { key: 'side', label: '方向', type: 'text', value: pos => DCA_DIRECTIONS[pos.side] ? DCA_DIRECTIONS[pos.side].label : pos.side },
+            { key: 'entryPrice', label: '入场价格', type: 'price' },
+            { key: 'volume', label: '手数', decimals: 2 },
+            { key: 'rawVolume', label: '原始手数', decimals: 4, optional: true },
+            { key: 'pipDistance', label: '距离起始(点)', decimals: 1 },
+            { key: 'stepPips', label: '层间距(点)', decimals: 1, optional: true },
+            { key: 'cumulativeVolume', label: '累计手数', decimals: 2 },
+            { key: 'investment', label: '名义价值', decimals: 2, optional: true },
+            { key: 'takeProfitPrice', label: '止盈价格', type: 'price' },
+            { key: 'takeProfitAmount', label: '止盈盈利', decimals: 2 },
+            { key: 'recoveryPips', label: '回升点数', decimals: 1 },
+            { key: 'riskLevel', label: '风险等级', type: 'text', optional: true },
+            { key: 'open', label: '已有持仓', type: 'text', optional: true, value: pos => pos.open ? '是' : '否' }
+        ]
+    },
+    drawdown: {
+        label: '回撤分析',
+        items: results => results.drawdownAnalysis,
+        columns: [
+            { key: 'pipsFromStart', label: '回撤点数', decimals: 1 },
+            { key: 'price', label: '价格', type: 'price' },
+            { key: 'floatingPnL', label: '浮动盈亏', decimals: 2 },
+            { key: 'priceOnlyPnL', label: '价格盈亏', decimals: 2, optional: true },
+            { key: 'tradingCosts', label: '交易成本', decimals: 2, optional: true, value: point => point.tradingCosts.total },
+            { key: 'hedgePnL', label: '对冲盈亏', decimals: 2, optional: true },
+            { key: 'activePositions', label: '持仓层数', decimals: 0 },
+            { key: 'totalActiveVolume', label: '持仓手数', decimals: 2 },
+            { key: 'avgCostPrice', label: '平均成本', type: 'price' },
+            { key: 'breakEvenPipsNeeded', label: '距离回本(点)', decimals: 0 },
+            { key: 'cumulativeInvestment', label: '累计名义价值', decimals: 2, optional: true },
+            { key: 'nextDcaTriggerPrice', label: '下层触发价', type: 'price', optional: true },
+            { key: 'takeProfitPrice', label: '止盈价格', type: 'price', optional: true },
+            { key: 'takeProfitAmount', label: '止盈盈利', decimals: 2, optional: true },
+            { key: 'takeProfitRecoveryPips', label: '止盈回升点数', decimals: 0, optional: true },
+            { key: 'drawdownPercentage', label: '回撤百分比(%)', decimals: 1, optional: true },
+            { key: 'marginRequired', label: '保证金占用', decimals: 2 },
+            { key: 'equity', label: '净值', decimals: 2 },
+            { key: 'freeMargin', label: '可用保证金', decimals: 2, optional: true },
+            { key: 'marginLevel', label: '保证金水平(%)', decimals: 1 },
+            { key: 'marginStatus', label: '保证金状态', type: 'text', optional: true },
+            { key: 'riskLevel', label: '风险等级', type: 'text', optional: true },
+            { key: 'pointType', label: '点类型', type: 'text' }
+        ]
+    }
+};
+
+// CSV数字格式：小数点和字段分隔符按地区习惯设置，raw保留完整精度
+// 数字不使用千位分隔符，保证在表格软件中可以直接识别为数值
+const SPREADSHEET_LOCALES = {
+    'en-US': { label: '1234.56 (逗号分隔字段)', delimiter: ',' },
+    'de-DE': { label: '1234,56 (分号分隔字段，欧洲地区Excel)', delimiter: ';' },
+    raw: { label: '原始数值 (完整精度)', delimiter: ',' }
+};
+
+/**
+ * 获取数据集默认导出的列（不含optional列）
+ * @param {string} dataset - 数据集(positions/drawdown)
+ * @returns {Array} 列名列表
+ */
+function getDefaultExportColumns(dataset) {
+    return SPREADSHEET_DATASETS[dataset].columns
+        .filter(column => !column.optional)
+        .map(column => column.key);
+}
+
+/**
+ * 按列名筛选列定义，保持数据集中的列顺序，未知列名忽略
+ * @param {string} dataset - 数据集
+ * @param {Array} columnKeys - 选中的列名，未提供时使用默认列
+ * @returns {Array} 列定义
+ */
+function resolveExportColumns(dataset, columnKeys) {
+    const keys = columnKeys || getDefaultExportColumns(dataset);
+    return SPREADSHEET_DATASETS[dataset].columns.filter(column => keys.includes(column.key));
+}
+
+/**
+ * 取单元格原始值
+ * @param {Object} item - 数据项
+ * @param {Object} column - 列定义
+ * @returns {*} 单元格值，缺失时为null
+ */
+function getExportCellValue(item, column) {
+    const value = column.value ? column.value(item) : item[column.key];
+    return value === undefined || (typeof value === 'number' && !Number.isFinite(value)) ? null : value;
+}
+
+/**
+ * 列的小数位数
+ * @param {Object} column - 列定义
+ * @param {number} digits - 品种报价小数位数
+ * @returns {number} 小数位数
+ */
+function getColumnDecimals(column, digits) {
+    return column.type === 'price' ? digits : column.decimals;
+}
+
+/**
+ * 按地区格式化CSV中的数字
+ * @param {number} value - 数值
+ * @param {number} decimals - 小数位数，未指定时按实际位数显示(最多10位)
+ * @param {string} locale - SPREADSHEET_LOCALES中的地区
+ * @returns {string} 格式化后的文本
+ */
+function formatSpreadsheetNumber(value, decimals, locale) {
+    if (locale === 'raw') {
+        return String(value);
+    }
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals === undefined ? 0 : decimals,
+        maximumFractionDigits: decimals === undefined ? 10 : decimals,
+        useGrouping: false
+    }).format(value);
+}
+
+/**
+ * 转义CSV字段
+ * @param {string} text - 字段文本
+ * @param {string} delimiter - 字段分隔符
+ * @returns {string} 转义后的字段
+ */
+function escapeCsvField(text, delimiter) {
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 参数区的行：参数名称和显示值，选项类参数显示选项名称
+ * @param {Object} params - cBot输入参数
+ * @returns {Array} [[名称, 值]]
+ */
+function buildParamSheetRows(params) {
+    return listReportParamFields(params).map(field => {
+        const value = params[field.key];
+        return [field.label, field.options ? formatReportParam(field, value) : value];
+    });
+}
+
+/**
+ * 生成CSV导出内容
+ * 文件开头为参数区(参数名称,值)，空一行后为数据表；带UTF-8 BOM，Excel打开时中文不乱码
+ * @param {Object} options - 导出选项
+ * @param {string} options.dataset - 数据集(positions/drawdown)
+ * @param {Array} options.columns - 选中的列名，默认使用非optional列
+ * @param {string} options.locale - 数字格式(SPREADSHEET_LOCALES)，默认en-US
+ * @param {Object} options.params - cBot输入参数
+ * @param {Object} options.results - calculateDCABot的返回值
+ * @param {Date} options.generatedAt - 生成时间，默认当前时间
+ * @returns {string} CSV文本
+ */
+function buildCsvExport(options) {
+    const { dataset, params, results } = options;
+    const locale = SPREADSHEET_LOCALES[options.locale] ? options.locale : 'en-US';
+    const { delimiter } = SPREADSHEET_LOCALES[locale];
+    const digits = results.instrumentContext.digits;
+    const columns = resolveExportColumns(dataset, options.columns);
+    const generatedAt = options.generatedAt || new Date();
+
+    const toCell = (value, decimals) => {
+        if (value === null) return '';
+        const text = typeof value === 'number' ? formatSpreadsheetNumber(value, decimals, locale) : String(value);
+        return escapeCsvField(text, delimiter);
+    };
+    const toLine = cells => cells.join(delimiter);
+
+    const lines = [
+        toLine([toCell('数据集'), toCell(SPREADSHEET_DATASETS[dataset].label)]),
+        toLine([toCell('生成时间'), toCell(generatedAt.toISOString())]),
+        ...buildParamSheetRows(params).map(([label, value]) => toLine([toCell(label), toCell(value)])),
+        '',
+        toLine(columns.map(column => toCell(column.label))),
+        ...SPREADSHEET_DATASETS[dataset].items(results).map(item => toLine(columns.map(column => {
+            return toCell(getExportCellValue(item, column), getColumnDecimals(column, digits));
+        })))
+    ];
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// XLSX生成：Office Open XML工作簿，以不压缩(STORE)的ZIP打包，不依赖第三方库
+
+// XLSX单元格数字格式的最大小数位数
+const XLSX_MAX_DECIMALS = 10;
+
+// CRC-32查找表
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * 计算CRC-32校验值
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} 校验值
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 将文件打包为不压缩的ZIP
+ * @param {Array} files - 文件列表 [{ name, content }]，content为字符串(按UTF-8编码)
+ * @returns {Uint8Array} ZIP文件内容
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+
+    // 文件时间固定为1980-01-01 00:00，相同内容生成相同的文件
+    const writeHeader = (signature, entry, central, localOffset) => {
+        view.setUint32(offset, signature, true);
+        offset += 4;
+        if (central) {
+            view.setUint16(offset, 20, true);
+            offset += 2;
+        }
+        view.setUint16(offset, 20, true);           // 解压所需版本
+        view.setUint16(offset + 2, 0x0800, true);   // 文件名使用UTF-8
+        view.setUint16(offset + 4, 0, true);        // 不压缩
+        view.setUint16(offset + 6, 0, true);        // 修改时间
+        view.setUint16(offset + 8, 0x21, true);     // 修改日期
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true);
+        offset += 26;
+        if (central) {
+            // 注释长度、磁盘号、内部属性、外部属性、本地文件头偏移
+            view.setUint16(offset, 0, true);
+            view.setUint16(offset + 2, 0, true);
+            view.setUint16(offset + 4, 0, true);
+            view.setUint32(offset + 6, 0, true);
+            view.setUint32(offset + 10, localOffset, true);
+            offset += 14;
+        }
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+    };
+
+    const localOffsets = entries.map(entry => {
+        const localOffset = offset;
+        writeHeader(0x04034B50, entry, false);
+        output.set(entry.data, offset);
+        offset += entry.data.length;
+        return localOffset;
+    });
+
+    const centralOffset = offset;
+    entries.forEach((entry, index) => writeHeader(0x02014B50, entry, true, localOffsets[index]));
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    view.setUint16(offset + 20, 0, true);
+
+    return output;
+}
+
+/**
+ * 转义XML文本
+ * @param {*} value - 原始值
+ * @returns {string} 转义后的文本
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // XML 1.0不允许的控制字符
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * 列序号转为Excel列名（0 → A，26 → AA）
+ * @param {number} index - 列序号(从0开始)
+ * @returns {string} 列名
+ */
+function toColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * 生成工作表XML
+ * 单元格为{ value, decimals, bold }：数字保存为数值，指定decimals时使用对应小数位数的数字格式，文本使用内联字符串
+ * @param {Array} rows - 单元格二维数组
+ * @param {boolean} freezeHeader - 是否冻结首行
+ * @returns {string} 工作表XML
+ */
+function buildWorksheetXml(rows, freezeHeader) {
+    const columnCount = rows.reduce((count, row) => Math.max(count, row.length), 1);
+    const rowXml = rows.map((row, rowIndex) => {
+        const cells = row.map((cell, columnIndex) => {
+            if (cell.value === null || cell.value === undefined || cell.value === '') return '';
+            const ref = toColumnName(columnIndex) + (rowIndex + 1);
+            if (typeof cell.value === 'number') {
+                const style = cell.decimals === undefined ? '' : ` s="${2 + Math.min(cell.decimals, XLSX_MAX_DECIMALS)}"`;
+                return `<c r="${ref}"${style}><v>${cell.value}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"${cell.bold ? ' s="1"' : ''}><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+        });
+        return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+    });
+    const pane = freezeHeader
+        ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        : '';
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        pane +
+        `<cols><col min="1" max="${columnCount}" width="16" customWidth="1"/></cols>` +
+        `<sheetData>${rowXml.join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * 生成样式表：0为默认，1为粗体表头，2+n为n位小数的数字格式
+ * @returns {string} 样式表XML
+ */
+function buildStylesXml() {
+    const formats = [];
+    const numberXfs = [];
+    for (let decimals = 0; decimals <= XLSX_MAX_DECIMALS; decimals++) {
+        const formatCode = decimals === 0 ? '0' : '0.' + '0'.repeat(decimals);
+        formats.push(`<numFmt numFmtId="${164 + decimals}" formatCode="${formatCode}"/>`);
+        numberXfs.push(`<xf numFmtId="${164 + decimals}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`);
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<numFmts count="${formats.length}">${formats.join('')}</numFmts>` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        `<cellXfs count="${2 + numberXfs.length}">` +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        numberXfs.join('') +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>';
+}
+
+/**
+ * 生成XLSX导出内容
+ * 第一个工作表为参数，之后每个选中的数据集一个工作表；数值以数字保存并设置小数位数格式，
+ * 千位分隔符和小数点由Excel按用户的地区设置显示
+ * @param {Object} options - 导出选项
+ * @param {Object} options.columns - 各数据集选中的列名 { positions: [...], drawdown: [...] }，值为空数组的数据集不导出
+ * @param {Object} options.params - cBot输入参数
+ * @param {Object} options.results - calculateDCABot的返回值
+ * @param {Date} options.generatedAt - 生成时间，默认当前时间
+ * @returns {Uint8Array} XLSX文件内容
+ */
+function buildXlsxExport(options) {
+    const { params, results } = options;
+    const selected = options.columns || {};
+    const digits = results.instrumentContext.digits;
+    const generatedAt = options.generatedAt || new Date();
+
+    const sheets = [{
+        name: '参数',
+        freezeHeader: false,
+        rows: [
+            [{ value: '参数', bold: true }, { value: '值', bold: true }],
+            ...buildParamSheetRows(params).map(([label, value]) => [{ value: label }, { value }]),
+            [],
+            [{ value: '生成时间' }, { value: generatedAt.toISOString() }]
+        ]
+    }];
+
+    Object.keys(SPREADSHEET_DATASETS).forEach(dataset => {
+        const columns = resolveExportColumns(dataset, selected[dataset]);
+        if (columns.length === 0) return;
+        sheets.push({
+            name: SPREADSHEET_DATASETS[dataset].label,
+            freezeHeader: true,
+            rows: [
+                columns.map(column => ({ value: column.label, bold: true })),
+                ...SPREADSHEET_DATASETS[dataset].items(results).map(item => columns.map(column => ({
+                    value: getExportCellValue(item, column),
+                    decimals: getColumnDecimals(column, digits)
+                })))
+            ]
+        });
+    });
+
+    const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}"><sheets>` +
+                sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${relationships}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="${relationships}/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { name: 'xl/styles.xml', content: buildStylesXml() },
+        ...sheets.map((sheet, index) => ({
+            name: `xl/worksheets/sheet${index + 1}.xml`,
+            content: buildWorksheetXml(sheet.rows, sheet.freezeHeader)
+        }))
+    ];
+
+    return buildZip(files);
+}
@@ -0,0 +1,16 @@
+// 蒙特卡洛模拟 Web Worker：在后台线程生成随机路径并回放网格，避免阻塞界面
+
+importScripts('../utils/instruments.js', '../utils/calculations.js', '../utils/backtest.js', '../utils/montecarlo.js');
+
+self.onmessage = function(event) {
+    const { params, settings } = event.data;
+
+    try {
+        const result = runMonteCarloSimulation(params, settings, {
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
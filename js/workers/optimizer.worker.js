@@ -0,0 +1,17 @@
+// 参数优化 Web Worker：在后台线程执行网格搜索，避免阻塞界面
+
+importScripts('../utils/instruments.js', '../utils/calculations.js', '../utils/optimizer.js');
+
+self.onmessage = function(event) {
+    const { baseParams, ranges, constraints, options } = event.data;
+
+    try {
+        const result = runOptimization(baseParams, ranges, constraints, {
+            ...options,
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total })
+        });
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
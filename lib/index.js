@@ -0,0 +1,172 @@
+// cTrader DCA cBot 计算引擎 Node.js 入口（CommonJS）
+// 浏览器端的工具脚本以全局函数形式声明，这里在独立的vm上下文中按index.html的顺序加载同一份源码，
+// 因此Node端与浏览器端使用完全相同的计算代码，且不依赖DOM。
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 与index.html中的加载顺序一致
+const ENGINE_SCRIPTS = [
+    'instruments.js',
+    'calculations.js',
+    'advice.js',
+    'backtest.js',
+    'history.js',
+    'montecarlo.js',
+    'optimizer.js',
+    'scenarios.js',
+    'cbotset.js',
+    'sharelink.js',
+    'library.js',
+    'report.js',
+    'spreadsheet.js'
+];
+
+// 对外导出的常量和函数
+const ENGINE_EXPORTS = [
+    // 品种配置
+    'INSTRUMENTS',
+    'DEFAULT_SYMBOL',
+    'getInstrument',
+    'calculatePipValue',
+    'resolveInstrumentContext',
+    // 计算引擎
+    'DCA_DIRECTIONS',
+    'TAKE_PROFIT_MODES',
+    'SPACING_MODES',
+    'VOLUME_MODES',
+    'DEFAULT_SPACING_SETTINGS',
+    'DEFAULT_VOLUME_SETTINGS',
+    'DEFAULT_ACCOUNT_SETTINGS',
+    'DEFAULT_TRADING_COSTS',
+    'DRAWDOWN_SAMPLING_MODES',
+    'DEFAULT_ANALYSIS_SETTINGS',
+    'RISK_LEVELS',
+    'RISK_THRESHOLD_MODES',
+    'DEFAULT_RISK_POLICY',
+    'BASKET_MODES',
+    'DEFAULT_BASKET_SETTINGS',
+    'calculateDCABot',
+    'buildGridPositions',
+    'parseOpenPositions',
+    'buildOpenBasketPositions',
+    'calculateLayerDistances',
+    'normalizeVolume',
+    'generateDrawdownAnalysis',
+    'calculateRiskMetrics',
+    'calculateTradingCosts',
+    'resolveRiskPolicy',
+    'classifyRiskLevel',
+    'validateDCABotParams',
+    'generateDCABotAdvice',
+    'ADVICE_SEVERITIES',
+    'ADVICE_RULES',
+    'evaluateAdviceRules',
+    'formatAdviceValue',
+    'getCalculationDebugInfo',
+    'verifyFloatingPnL',
+    'formatCurrency',
+    'formatPrice',
+    'formatVolume',
+    'formatPips',
+    // 回测、实盘记录对比、模拟、优化、方案对比、参数集、分享链接、参数库、风险报告与表格导出
+    'parsePriceCsv',
+    'runBacktest',
+    'HISTORY_TOLERANCES',
+    'parseTradeHistory',
+    'groupTradesIntoBaskets',
+    'analyzeTradeHistory',
+    'runMonteCarloSimulation',
+    'runOptimization',
+    'createScenario',
+    'compareScenarios',
+    'DEFAULT_CBOTSET_MAPPING',
+    'buildCbotset',
+    'parseCbotset',
+    'buildShareHash',
+    'parseShareHash',
+    'PARAMETER_PRESETS',
+    'createLibraryEntry',
+    'buildLibraryExport',
+    'parseLibraryImport',
+    'buildRiskReport',
+    'SPREADSHEET_DATASETS',
+    'SPREADSHEET_LOCALES',
+    'buildCsvExport',
+    'buildXlsxExport'
+];
+
+/**
+ * 在独立的vm上下文中加载计算引擎脚本
+ * @returns {Object} 引擎导出的常量和函数
+ */
+function loadEngine() {
+    // 分享链接工具使用URLSearchParams、XLSX导出使用TextEncoder，它们不属于JavaScript内置对象，需显式传入
+    const context = vm.createContext({ console, URLSearchParams, TextEncoder });
+    const utilsDir = path.join(__dirname, '..', 'js', 'utils');
+
+    ENGINE_SCRIPTS.forEach(file => {
+        const filename = path.join(utilsDir, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // 顶层const/function声明位于上下文的全局词法作用域，需在上下文内取出
+    return vm.runInContext(`({ ${ENGINE_EXPORTS.join(', ')} })`, context);
+}
+
+const engine = loadEngine();
+
+// 默认参数（与页面表单的默认值一致）
+const DEFAULT_PARAMS = Object.freeze({
+    symbol: engine.DEFAULT_SYMBOL,
+    quoteRate: engine.getInstrument(engine.DEFAULT_SYMBOL).defaultQuoteRate,
+    pipStep: 5,
+    ...engine.DEFAULT_SPACING_SETTINGS,
+    firstVolume: 1,
+    volumeExponent: 1,
+    ...engine.DEFAULT_VOLUME_SETTINGS,
+    maxPositions: 20,
+    maxDrawdownPips: 200,
+    direction: 'buy',
+    takeProfitMode: 'basket',
+    takeProfitPips: 10,
+    ...engine.DEFAULT_ACCOUNT_SETTINGS,
+    ...engine.DEFAULT_TRADING_COSTS,
+    ...engine.DEFAULT_ANALYSIS_SETTINGS,
+    ...engine.DEFAULT_RISK_POLICY,
+    ...engine.DEFAULT_BASKET_SETTINGS
+});
+
+/**
+ * 使用默认参数补全后验证并计算，返回计算结果和风险建议
+ * @param {Object} params - cBot参数(未提供的字段使用DEFAULT_PARAMS)
+ * @returns {Object} { params, result, advice, findings }
+ */
+function calculate(params = {}) {
+    const fullParams = { ...DEFAULT_PARAMS, ...params };
+    if (params.symbol && params.quoteRate === undefined) {
+        fullParams.quoteRate = engine.getInstrument(params.symbol).defaultQuoteRate;
+    }
+
+    const validation = engine.validateDCABotParams(fullParams);
+    if (!validation.isValid) {
+        const error = new Error(validation.errors.join('；'));
+        error.errors = validation.errors;
+        throw error;
+    }
+
+    const result = engine.calculateDCABot(fullParams);
+    return {
+        params: fullParams,
+        result,
+        advice: engine.generateDCABotAdvice(result, fullParams),
+        findings: engine.evaluateAdviceRules(result, fullParams)
+    };
+}
+
+module.exports = {
+    ...engine,
+    DEFAULT_PARAMS,
+    calculate
+};
@@ -0,0 +1,77 @@
+// cTrader DCA cBot 计算引擎 Node.js 入口（ES Module）
+
+import engine from './index.js';
+
+export const {
+    INSTRUMENTS,
+    DEFAULT_SYMBOL,
+    getInstrument,
+    calculatePipValue,
+    resolveInstrumentContext,
+    DCA_DIRECTIONS,
+    TAKE_PROFIT_MODES,
+    SPACING_MODES,
+    VOLUME_MODES,
+    DEFAULT_SPACING_SETTINGS,
+    DEFAULT_VOLUME_SETTINGS,
+    DEFAULT_ACCOUNT_SETTINGS,
+    DEFAULT_TRADING_COSTS,
+    DRAWDOWN_SAMPLING_MODES,
+    DEFAULT_ANALYSIS_SETTINGS,
+    RISK_LEVELS,
+    RISK_THRESHOLD_MODES,
+    DEFAULT_RISK_POLICY,
+    BASKET_MODES,
+    DEFAULT_BASKET_SETTINGS,
+    calculateDCABot,
+    buildGridPositions,
+    parseOpenPositions,
+    buildOpenBasketPositions,
+    calculateLayerDistances,
+    normalizeVolume,
+    generateDrawdownAnalysis,
+    calculateRiskMetrics,
+    calculateTradingCosts,
+    resolveRiskPolicy,
+    classifyRiskLevel,
+    validateDCABotParams,
+    generateDCABotAdvice,
+    ADVICE_SEVERITIES,
+    ADVICE_RULES,
+    evaluateAdviceRules,
+    formatAdviceValue,
+    getCalculationDebugInfo,
+    verifyFloatingPnL,
+    formatCurrency,
+    formatPrice,
+    formatVolume,
+    formatPips,
+    parsePriceCsv,
+    runBacktest,
+    HISTORY_TOLERANCES,
+    parseTradeHistory,
+    groupTradesIntoBaskets,
+    analyzeTradeHistory,
+    runMonteCarloSimulation,
+    runOptimization,
+    createScenario,
+    compareScenarios,
+    DEFAULT_CBOTSET_MAPPING,
+    buildCbotset,
+    parseCbotset,
+    buildShareHash,
+    parseShareHash,
+    PARAMETER_PRESETS,
+    createLibraryEntry,
+    buildLibraryExport,
+    parseLibraryImport,
+    buildRiskReport,
+    SPREADSHEET_DATASETS,
+    SPREADSHEET_LOCALES,
+    buildCsvExport,
+    buildXlsxExport,
+    DEFAULT_PARAMS,
+    calculate
+} = engine;
+
+export default engine;
@@ -0,0 +1,172 @@
+// generateDCABotAdvice / evaluateAdviceRules 风险建议测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculate, generateDCABotAdvice, evaluateAdviceRules, formatAdviceValue, ADVICE_RULES } = require('../lib');
+const { plain } = require('./helpers');
+
+/**
+ * 用指定的风险指标构造最小计算结果
+ * @param {Object} riskMetrics - 风险指标
+ * @param {Array} volumes - 各层手数
+ * @returns {Object} 供generateDCABotAdvice使用的结果对象
+ */
+function buildResult(riskMetrics, volumes = [1, 1, 1, 1]) {
+    return {
+        positions: volumes.map(volume => ({ volume })),
+        totalVolume: volumes.reduce((sum, volume) => sum + volume, 0),
+        riskMetrics: { breakEvenPips: 10, riskRewardRatio: 0.5, stopOutPips: null, ...riskMetrics }
+    };
+}
+
+describe('generateDCABotAdvice', () => {
+    it('默认按账户余额的30%/60%划分风险等级', () => {
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 3000 })), /^✅ 低风险/);
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 3000.01 })), /^⚡ 中风险/);
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 6000 })), /^⚡ 中风险/);
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 6000.01 })), /^⚠️ 高风险/);
+    });
+
+    it('风险等级文本说明所依据的阈值', () => {
+        const build = (riskMetrics, riskPolicy, accountBalance = 20000) =>
+            ({ ...buildResult(riskMetrics), riskPolicy, account: { accountBalance } });
+        const percent = { riskThresholdMode: 'balancePercent', riskMediumThreshold: 10, riskHighThreshold: 25 };
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 2000 }, percent)), /^✅ 低风险/);
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 2001 }, percent)),
+            /^⚡ 中风险：最大可能亏损在账户余额的10%-25%\(\$2,000-\$5,000\)之间/);
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 5001 }, percent)),
+            /^⚠️ 高风险：最大可能亏损超过账户余额的25%\(\$5,000\)/);
+
+        const absolute = { riskThresholdMode: 'absolute', riskMediumThreshold: 1000, riskHighThreshold: 1500 };
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 1200 }, absolute)), /^⚡ 中风险：最大可能亏损在\$1,000-\$1,500之间/);
+
+        const margin = { riskThresholdMode: 'marginLevel', riskMediumThreshold: 300, riskHighThreshold: 150 };
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 9000, marginLevelAtMaxDrawdown: 500 }, margin)), /^✅ 低风险/);
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 0, marginLevelAtMaxDrawdown: 200 }, margin)),
+            /^⚡ 中风险：最大回撤处保证金水平在150%-300%之间/);
+        assert.match(generateDCABotAdvice(build({ maxPossibleLoss: 0, marginLevelAtMaxDrawdown: 120 }, margin)),
+            /^⚠️ 高风险：最大回撤处保证金水平低于150%/);
+    });
+
+    it('按回本点数划分回本难度', () => {
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, breakEvenPips: 49 })), /回本容易：只需回升49点/);
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, breakEvenPips: 50 })), /回本中等：需要回升50点/);
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, breakEvenPips: 101 })), /回本困难：需要回升101点/);
+    });
+
+    it('有爆仓深度时给出强制平仓提示', () => {
+        assert.doesNotMatch(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0 })), /爆仓深度/);
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, stopOutPips: 176.6 })), /💥 爆仓深度：逆势177点/);
+    });
+
+    it('爆仓深度按是否落在预期最大回撤内区分严重程度', () => {
+        const severityOf = (stopOutPips, params) => evaluateAdviceRules(buildResult({ maxPossibleLoss: 0, stopOutPips }), params)
+            .find(finding => finding.id === 'stopOutDepth').severity;
+        assert.equal(severityOf(199, { maxDrawdownPips: 200 }), 'critical');
+        assert.equal(severityOf(200, { maxDrawdownPips: 200 }), 'ok');
+        assert.equal(severityOf(300, {}), 'info');
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, stopOutPips: 300 }), { maxDrawdownPips: 200 }), /🛡️ 爆仓深度：逆势300点才会触发强制平仓，超出预期最大回撤200点/);
+    });
+
+    it('风险回报比过低时提示优化', () => {
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, riskRewardRatio: 0.05 })), /风险回报比过低/);
+        assert.doesNotMatch(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0, riskRewardRatio: 0.1 })), /风险回报比过低/);
+    });
+
+    it('加仓放大后的仓位过于集中时提示降低倍数指数', () => {
+        assert.match(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0 }, [1, 2, 4])), /仓位分布不均/);
+        assert.doesNotMatch(generateDCABotAdvice(buildResult({ maxPossibleLoss: 0 }, [1, 1.2, 1.44, 1.73])), /仓位分布不均/);
+    });
+
+    it('倍数指数小于1或单层网格时首仓最大，不提示降低倍数指数', () => {
+        const decreasing = calculate({ volumeExponent: 0.5, maxPositions: 4, pipStep: 10, maxDrawdownPips: 50 });
+        assert.doesNotMatch(decreasing.advice, /仓位分布不均/);
+        const single = calculate({ maxPositions: 1 });
+        assert.doesNotMatch(single.advice, /仓位分布不均/);
+    });
+
+    it('默认参数的完整建议', () => {
+        const { advice } = calculate();
+        assert.deepEqual(advice.split('\n'), [
+            '⚠️ 高风险：最大可能亏损超过账户余额的60%($6,000)，建议降低仓位手数或减少最大仓位数',
+            '🎯 回本容易：只需回升48点即可回本',
+            '💥 爆仓深度：逆势25点将触发强制平仓，请确认账户资金与杠杆设置',
+            '🏦 保证金占用过高：全部仓位开满需要保证金$66,667，占账户余额的667%，账户无法承载完整网格'
+        ]);
+    });
+});
+
+describe('evaluateAdviceRules', () => {
+    it('每条建议包含严重程度、指标、阈值、文本和参数修改建议', () => {
+        const { findings } = calculate();
+        assert.deepEqual(plain(findings.map(finding => [finding.id, finding.severity])), [
+            ['riskLevel', 'critical'],
+            ['breakEven', 'ok'],
+            ['stopOutDepth', 'critical'],
+            ['marginUsage', 'critical']
+        ]);
+
+        const risk = findings[0];
+        assert.equal(risk.metric, '最大可能亏损');
+        assert.equal(risk.format, 'currency');
+        assert.equal(risk.threshold, 6000);
+        assert.ok(risk.value > 6000);
+        assert.deepEqual(plain(risk.suggestion), { changes: { firstVolume: 0.09 }, summary: '首次仓位手数: 1 → 0.09' });
+        assert.equal(formatAdviceValue(findings[3].value, findings[3].format), '666.7%');
+        assert.equal(findings[1].suggestion, null);
+    });
+
+    it('应用参数修改建议后对应的问题消除或降级', () => {
+        const cases = [
+            {},
+            { volumeExponent: 1.5, maxPositions: 8, pipStep: 30, firstVolume: 0.1 },
+            { riskThresholdMode: 'marginLevel', riskMediumThreshold: 300, riskHighThreshold: 150 },
+            { volumeMode: 'custom', customVolumes: '1, 2, 3', direction: 'hedge' }
+        ];
+        const rank = { ok: 0, info: 1, warning: 2, critical: 3 };
+        cases.forEach(overrides => {
+            const { findings } = calculate(overrides);
+            findings.filter(finding => finding.suggestion).forEach(finding => {
+                const after = calculate({ ...overrides, ...finding.suggestion.changes }).findings.find(item => item.id === finding.id);
+                const label = `${JSON.stringify(overrides)} ${finding.id} ${finding.suggestion.summary}`;
+                assert.ok(!after || rank[after.severity] < rank[finding.severity], label);
+            });
+        });
+    });
+
+    it('仓位集中时建议满足占比上限的最大倍数指数', () => {
+        const { findings } = calculate({ volumeExponent: 2, maxPositions: 5, firstVolume: 0.1 });
+        const finding = findings.find(item => item.id === 'volumeConcentration');
+        assert.equal(finding.threshold.toFixed(2), '33.33');
+        assert.ok(finding.suggestion.changes.volumeExponent < 2);
+        const after = calculate({ volumeExponent: finding.suggestion.changes.volumeExponent, maxPositions: 5, firstVolume: 0.1 });
+        assert.ok(!after.findings.some(item => item.id === 'volumeConcentration'));
+        const higher = calculate({ volumeExponent: finding.suggestion.changes.volumeExponent + 0.02, maxPositions: 5, firstVolume: 0.1 });
+        assert.ok(higher.findings.some(item => item.id === 'volumeConcentration'));
+    });
+
+    it('未提供参数时不生成修改建议', () => {
+        const { result } = calculate();
+        assert.ok(evaluateAdviceRules(result).every(finding => finding.suggestion === null));
+    });
+
+    it('支持自定义规则表', () => {
+        const { result, params } = calculate();
+        const rules = [
+            ...ADVICE_RULES.filter(rule => rule.id !== 'marginUsage'),
+            {
+                id: 'layers',
+                metric: '最大仓位数',
+                format: 'ratio',
+                evaluate: context => context.params.maxPositions > 10
+                    ? { severity: 'info', value: context.params.maxPositions, threshold: 10, message: '层数较多' }
+                    : null
+            }
+        ];
+        const findings = evaluateAdviceRules(result, params, rules);
+        assert.deepEqual(plain(findings.map(finding => finding.id)), ['riskLevel', 'breakEven', 'stopOutDepth', 'layers']);
+        assert.deepEqual(plain(findings[3]), {
+            id: 'layers', metric: '最大仓位数', format: 'ratio', value: 20, threshold: 10, suggestion: null, severity: 'info', message: '层数较多'
+        });
+    });
+});
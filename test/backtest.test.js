@@ -0,0 +1,52 @@
+// 历史回测与蒙特卡洛模拟测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PARAMS, runBacktest, runMonteCarloSimulation } = require('../lib');
+const { assertClose, plain } = require('./helpers');
+
+// 买入网格：间距20点、0.1手等量加仓、整体止盈10点
+const BASE = { ...DEFAULT_PARAMS, direction: 'buy', pipStep: 20, firstVolume: 0.1, volumeExponent: 1, maxPositions: 4, takeProfitMode: 'basket', takeProfitPips: 10 };
+// 当前价格1.0800，已有1.0850/0.1手和1.0830/0.2手两笔持仓
+const OPEN_BASKET = { ...BASE, basketMode: 'open', currentPrice: 1.08, openPositions: '1.0850 0.1\n1.0830 0.2' };
+const OPEN_POSITIONS = [{ entryPrice: 1.085, volume: 0.1 }, { entryPrice: 1.083, volume: 0.2 }];
+const BARS = [
+    { time: 1, open: 1.08, high: 1.08, low: 1.08, close: 1.08 },
+    { time: 2, open: 1.08, high: 1.085, low: 1.08, close: 1.085 }
+];
+
+describe('runBacktest', () => {
+    it('未传入已有持仓时首层以当前价格开仓', () => {
+        const { trades, baskets } = runBacktest(BARS, BASE);
+        assert.deepEqual(plain(trades.filter(trade => trade.basketId === 1).map(trade => trade.entryPrice)), [1.08]);
+        assertClose(baskets[0].pnl, 10, 1e-6);
+    });
+
+    it('点差和佣金从每笔交易盈亏中扣除', () => {
+        const { trades, baskets } = runBacktest(BARS, { ...BASE, spreadPips: 1, commissionPerLot: 3 });
+        // 0.1手：点差 0.1 × 1点 × $10 = $1，往返佣金 0.1 × $3 × 2 = $0.6
+        assertClose(trades[0].cost, 1.6, 1e-9);
+        assertClose(baskets[0].pnl, 10 - 1.6, 1e-6);
+    });
+
+    it('传入已有持仓时第一组仓位从已有持仓开始', () => {
+        const { trades, baskets } = runBacktest(BARS, OPEN_BASKET, { openPositions: OPEN_POSITIONS });
+        const firstBasket = trades.filter(trade => trade.basketId === 1);
+        // 已有两笔持仓之后的第3层(1.0810)已被价格越过，在起点1.0800立即开仓
+        assert.deepEqual(plain(firstBasket.map(trade => trade.entryPrice)), [1.085, 1.083, 1.08]);
+        // 均价1.08275 + 10点止盈，0.4手 × 10点 × $10
+        assertClose(firstBasket[0].exitPrice, 1.08375, 1e-9);
+        assertClose(baskets[0].pnl, 40, 1e-6);
+    });
+});
+
+describe('runMonteCarloSimulation', () => {
+    const settings = { model: 'randomWalk', paths: 20, steps: 50, volatility: 0.0005, seed: 7 };
+
+    it('已有持仓分析的每条路径带着已有持仓开始', () => {
+        // 1.2000的5手持仓在1.0800已浮亏$60000，超过账户余额，每条路径都在起点爆仓
+        const deepLoss = { ...OPEN_BASKET, openPositions: '1.2000 5' };
+        assert.equal(runMonteCarloSimulation(deepLoss, settings).ruinProbability, 100);
+        assert.equal(runMonteCarloSimulation({ ...deepLoss, basketMode: 'new' }, settings).ruinProbability, 0);
+    });
+});
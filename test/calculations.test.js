@@ -0,0 +1,433 @@
+// calculateDCABot 与回撤分析的边界情况测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculate, calculateDCABot, generateDrawdownAnalysis, resolveRiskPolicy, classifyRiskLevel, parseOpenPositions, getCalculationDebugInfo, INSTRUMENTS } = require('../lib');
+const { assertClose, plain } = require('./helpers');
+
+/**
+ * 检查回撤分析点的通用约束：按深度升序、价格不重复、深度不超过最大回撤
+ * @param {Object} result - calculateDCABot的返回值
+ * @param {number} maxDrawdownPips - 最大回撤点数
+ */
+function assertDrawdownInvariants(result, maxDrawdownPips) {
+    const { drawdownAnalysis, instrumentContext } = result;
+    const depths = drawdownAnalysis.map(point => point.pipsFromStart);
+    assert.deepEqual(depths, depths.slice().sort((a, b) => a - b), '回撤分析点应按深度升序排列');
+
+    const keys = drawdownAnalysis.map(point => Math.round(point.price / instrumentContext.pipSize * 10));
+    assert.equal(new Set(keys).size, keys.length, '回撤分析点价格不应重复');
+
+    assert.ok(depths[0] === 0, '首个分析点应位于起始价格');
+    assert.ok(depths[depths.length - 1] <= maxDrawdownPips);
+}
+
+describe('calculateDCABot', () => {
+    it('默认参数：20层等量网格', () => {
+        const { params, result } = calculate();
+        assert.equal(result.positions.length, params.maxPositions);
+        assertClose(result.totalVolume, 20, 1e-9);
+        // 最后一层位于95点，最大回撤200点处全部触发
+        assertClose(result.positions[19].pipDistance, 95);
+        assertClose(result.riskMetrics.maxPossibleLoss, 30500, 1e-6);
+        assert.equal(result.riskMetrics.stopOutPips, 25);
+        assertDrawdownInvariants(result, params.maxDrawdownPips);
+    });
+
+    it('最大亏损与回撤分析最深处的浮动亏损一致', () => {
+        const configs = [
+            {},
+            { direction: 'sell', pipStep: 7, volumeExponent: 1.3, maxPositions: 8, maxDrawdownPips: 120 },
+            { direction: 'hedge', spreadPips: 1.5, commissionPerLot: 3.5 },
+            { symbol: 'XAUUSD', pipStep: 30, firstVolume: 0.1, volumeExponent: 1.5, maxPositions: 6, maxDrawdownPips: 300 },
+            { spacingMode: 'geometric', pipStepMultiplier: 1.5, maxPositions: 6, maxDrawdownPips: 100 }
+        ];
+        configs.forEach(config => {
+            const { params, result } = calculate(config);
+            const deepest = result.drawdownAnalysis[result.drawdownAnalysis.length - 1];
+            assert.equal(deepest.pipsFromStart, params.maxDrawdownPips);
+            assertClose(result.riskMetrics.maxPossibleLoss, -deepest.floatingPnL, 1e-6, JSON.stringify(config));
+        });
+    });
+
+    it('倍数指数小于1：手数逐层递减并按手数步长取整', () => {
+        const { result } = calculate({ firstVolume: 1, volumeExponent: 0.5, maxPositions: 4, pipStep: 10, maxDrawdownPips: 50 });
+        assert.deepEqual(plain(result.positions.map(pos => pos.volume)), [1, 0.5, 0.25, 0.13]);
+        assertClose(result.positions[3].rawVolume, 0.125);
+        assertClose(result.totalVolume, 1.88, 1e-9);
+        assertClose(result.riskMetrics.positionSizeRisk, 1.88, 1e-9);
+        // 均价更靠近首仓：(1.0 × 1 + 0.999 × 0.5 + 0.998 × 0.25 + 0.997 × 0.13) / 1.88
+        const avg = (1.0 * 1 + 0.999 * 0.5 + 0.998 * 0.25 + 0.997 * 0.13) / 1.88;
+        assertClose(result.avgCostPrice, avg, 1e-9);
+        assertClose(result.riskMetrics.maxPossibleLoss, (avg - 0.995) / 0.0001 * 1.88 * 10, 1e-6);
+    });
+
+    it('最大仓位数为1：单仓无加仓', () => {
+        const { result } = calculate({ maxPositions: 1, maxDrawdownPips: 100 });
+        assert.equal(result.positions.length, 1);
+        assertClose(result.avgCostPrice, result.referencePrice, 1e-12);
+        assertClose(result.riskMetrics.breakEvenPips, 0);
+        // 100点 × 1手 × $10
+        assertClose(result.riskMetrics.maxPossibleLoss, 1000);
+        assert.equal(result.drawdownAnalysis.length, 11);
+        result.drawdownAnalysis.forEach(point => {
+            assert.equal(point.activePositions, 1);
+            assert.equal(point.nextDcaTriggerPrice, null);
+        });
+    });
+
+    it('最大回撤小于首个间距：只有首仓触发', () => {
+        const { result } = calculate({ pipStep: 50, firstVolume: 1, maxPositions: 3, maxDrawdownPips: 10 });
+        assert.equal(result.positions.length, 3);
+        assert.deepEqual(plain(result.drawdownAnalysis.map(point => point.activePositions)), [1, 1]);
+        assertClose(result.drawdownAnalysis[1].nextDcaTriggerPrice, 0.995, 1e-9);
+        // 未触及的深层仓位不计入最大亏损：10点 × 1手 × $10
+        assertClose(result.riskMetrics.maxPossibleLoss, 100);
+        assertClose(result.riskMetrics.equityAtMaxDrawdown, 9900);
+    });
+
+    it('买入与卖出网格镜像对称', () => {
+        const buy = calculate({ direction: 'buy', volumeExponent: 1.2, maxPositions: 10 }).result;
+        const sell = calculate({ direction: 'sell', volumeExponent: 1.2, maxPositions: 10 }).result;
+        buy.positions.forEach((pos, index) => {
+            assertClose(pos.entryPrice - buy.referencePrice, sell.referencePrice - sell.positions[index].entryPrice, 1e-9);
+            assert.equal(pos.volume, sell.positions[index].volume);
+        });
+        assertClose(buy.riskMetrics.maxPossibleLoss, sell.riskMetrics.maxPossibleLoss, 1e-6);
+        assertClose(buy.riskMetrics.stopOutPips, sell.riskMetrics.stopOutPips, 1e-6);
+    });
+});
+
+describe('回撤分析点合并', () => {
+    it('触发点与每10点的分析点重合时保留分析点', () => {
+        const { result } = calculate({ pipStep: 10, maxPositions: 5, maxDrawdownPips: 60 });
+        assert.ok(result.drawdownAnalysis.every(point => point.pointType === 'hardcoded'));
+        assert.equal(result.drawdownAnalysis.length, 7);
+    });
+
+    it('不在10点网格上的触发点单独插入', () => {
+        const { result } = calculate({ pipStep: 5, maxPositions: 20, maxDrawdownPips: 200 });
+        const triggers = result.drawdownAnalysis.filter(point => point.pointType === 'trigger');
+        assert.deepEqual(plain(triggers.map(point => point.pipsFromStart)), [5, 15, 25, 35, 45, 55, 65, 75, 85, 95]);
+        assert.equal(result.drawdownAnalysis.length, 21 + 10);
+        assertDrawdownInvariants(result, 200);
+    });
+
+    it('触发点上的持仓层数包含刚触发的一层', () => {
+        const { result } = calculate({ pipStep: 15, maxPositions: 4, maxDrawdownPips: 60 });
+        const trigger = result.drawdownAnalysis.find(point => point.pipsFromStart === 15);
+        assert.equal(trigger.pointType, 'trigger');
+        assert.equal(trigger.activePositions, 2);
+    });
+
+    it('非整数间距按0.1点精度区分相邻价格', () => {
+        const { result } = calculate({ pipStep: 10.05, maxPositions: 3, maxDrawdownPips: 30 });
+        // 10.1点(取整到0.1点)与10点的分析点不重合，20.1点与20点同理
+        assert.equal(result.drawdownAnalysis.filter(point => point.pointType === 'trigger').length, 2);
+        assertDrawdownInvariants(result, 30);
+    });
+
+    it('卖出网格同样按深度排序', () => {
+        const { result } = calculate({ direction: 'sell', pipStep: 7, maxPositions: 10, maxDrawdownPips: 80 });
+        assertDrawdownInvariants(result, 80);
+        for (let i = 1; i < result.drawdownAnalysis.length; i++) {
+            assert.ok(result.drawdownAnalysis[i].price > result.drawdownAnalysis[i - 1].price);
+        }
+    });
+
+    it('可直接基于calculateDCABot的结果重新生成', () => {
+        const { params } = calculate({ pipStep: 5 });
+        const result = calculateDCABot(params);
+        const analysis = generateDrawdownAnalysis({ ...params, ...result });
+        assert.deepEqual(analysis, result.drawdownAnalysis);
+    });
+});
+
+describe('回撤分析采样方式', () => {
+    const config = { pipStep: 7, volumeExponent: 1.2, maxPositions: 10, maxDrawdownPips: 95, spreadPips: 1, commissionPerLot: 3 };
+
+    it('逐点采样：每个整数点一个分析点，并插入非整数深度的触发点', () => {
+        const { result } = calculate({ ...config, pipStep: 7.25, drawdownSampling: '1' });
+        const samples = result.drawdownAnalysis.filter(point => point.pointType === 'hardcoded');
+        const triggers = result.drawdownAnalysis.filter(point => point.pointType === 'trigger');
+        assert.equal(samples.length, 96);
+        assert.ok(triggers.length > 0);
+        triggers.forEach(point => assert.notEqual(point.pipsFromStart % 1, 0));
+        assertDrawdownInvariants(result, 95);
+    });
+
+    it('最大回撤不在采样间隔上时仍包含最深点', () => {
+        const { result } = calculate({ ...config, drawdownSampling: '10' });
+        const depths = result.drawdownAnalysis.map(point => point.pipsFromStart);
+        assert.equal(depths[depths.length - 1], 95);
+        assert.ok(depths.includes(90));
+    });
+
+    it('不同采样方式在相同深度得到相同结果', () => {
+        const coarse = calculate({ ...config, direction: 'hedge', drawdownSampling: '10' }).result.drawdownAnalysis;
+        ['1', '5', 'adaptive'].forEach(sampling => {
+            const fine = calculate({ ...config, direction: 'hedge', drawdownSampling: sampling }).result.drawdownAnalysis;
+            coarse.forEach(point => {
+                const match = fine.find(item => item.pipsFromStart === point.pipsFromStart);
+                assert.ok(match, `${sampling}: 缺少${point.pipsFromStart}点`);
+                assertClose(match.floatingPnL, point.floatingPnL, 1e-6);
+                assertClose(match.avgCostPrice, point.avgCostPrice, 1e-12);
+                assert.equal(match.activePositions, point.activePositions);
+                assert.equal(match.breakEvenPipsNeeded, point.breakEvenPipsNeeded);
+            });
+        });
+    });
+
+    it('自适应采样在触发点两侧逐点加密', () => {
+        const { result } = calculate({ ...config, drawdownSampling: 'adaptive' });
+        const depths = result.drawdownAnalysis.map(point => point.pipsFromStart);
+        // 第3层位于14点：11~17点逐点采样，远离触发点处保持每10点
+        [11, 12, 13, 14, 15, 16, 17].forEach(depth => assert.ok(depths.includes(depth), `缺少${depth}点`));
+        assert.ok(!depths.includes(81));
+        assertDrawdownInvariants(result, 95);
+    });
+
+    it('浮动盈亏与逐仓计算一致', () => {
+        const { params, result } = calculate({ ...config, direction: 'sell', drawdownSampling: '1' });
+        const { pipSize, pipValue } = result.instrumentContext;
+        result.drawdownAnalysis.forEach(point => {
+            const expected = result.positions
+                .filter(pos => pos.pipDistance <= point.pipsFromStart + 1e-9)
+                .reduce((sum, pos) => sum + (pos.entryPrice - point.price) / pipSize * pos.volume * pipValue, 0);
+            assertClose(point.priceOnlyPnL, expected, 1e-6, `${params.direction} ${point.pipsFromStart}点`);
+        });
+    });
+
+    it('10000点逐点采样可快速完成', () => {
+        const start = Date.now();
+        const { result } = calculate({ pipStep: 200, maxPositions: 50, maxDrawdownPips: 10000, drawdownSampling: '1' });
+        assert.equal(result.drawdownAnalysis.length, 10001);
+        assert.ok(Date.now() - start < 1000, `耗时${Date.now() - start}ms`);
+    });
+});
+
+describe('风险策略', () => {
+    const account = { accountBalance: 20000 };
+
+    it('未知方式使用默认方式，缺少的阈值使用所选方式的默认值', () => {
+        assert.deepEqual(plain(resolveRiskPolicy({})), { riskThresholdMode: 'balancePercent', riskMediumThreshold: 30, riskHighThreshold: 60 });
+        assert.deepEqual(plain(resolveRiskPolicy({ riskThresholdMode: 'other', riskHighThreshold: 80 })),
+            { riskThresholdMode: 'balancePercent', riskMediumThreshold: 30, riskHighThreshold: 80 });
+        assert.deepEqual(plain(resolveRiskPolicy({ riskThresholdMode: 'marginLevel', riskMediumThreshold: 0 })),
+            { riskThresholdMode: 'marginLevel', riskMediumThreshold: 300, riskHighThreshold: 150 });
+    });
+
+    it('余额百分比阈值按账户余额换算为金额', () => {
+        const policy = resolveRiskPolicy({ riskThresholdMode: 'balancePercent' });
+        assert.equal(classifyRiskLevel({ loss: 6000, marginLevel: 50 }, policy, account), 'low');
+        assert.equal(classifyRiskLevel({ loss: 6000.01, marginLevel: 50 }, policy, account), 'medium');
+        assert.equal(classifyRiskLevel({ loss: 12000.01, marginLevel: 50 }, policy, account), 'high');
+    });
+
+    it('保证金水平阈值越低风险越高，无保证金占用为低风险', () => {
+        const policy = resolveRiskPolicy({ riskThresholdMode: 'marginLevel' });
+        assert.equal(classifyRiskLevel({ loss: 1e6, marginLevel: null }, policy, account), 'low');
+        assert.equal(classifyRiskLevel({ loss: 0, marginLevel: 300 }, policy, account), 'low');
+        assert.equal(classifyRiskLevel({ loss: 0, marginLevel: 299 }, policy, account), 'medium');
+        assert.equal(classifyRiskLevel({ loss: 0, marginLevel: 149 }, policy, account), 'high');
+    });
+
+    it('保证金水平跌破追加保证金水平至少为中风险，跌破强制平仓水平为高风险，与阈值方式无关', () => {
+        const marginAccount = { accountBalance: 20000, marginCallLevel: 100, stopOutLevel: 50 };
+        ['balancePercent', 'absolute', 'marginLevel'].forEach(riskThresholdMode => {
+            const policy = resolveRiskPolicy({ riskThresholdMode, riskMediumThreshold: 30, riskHighThreshold: 20 });
+            assert.equal(classifyRiskLevel({ loss: 0, marginLevel: 100 }, policy, marginAccount), 'medium', riskThresholdMode);
+            assert.equal(classifyRiskLevel({ loss: 0, marginLevel: 50 }, policy, marginAccount), 'high', riskThresholdMode);
+        });
+        const policy = resolveRiskPolicy({});
+        assert.equal(classifyRiskLevel({ loss: 0, marginLevel: 100.01 }, policy, marginAccount), 'low');
+        assert.equal(classifyRiskLevel({ loss: 0, marginLevel: null }, policy, marginAccount), 'low');
+        assert.equal(classifyRiskLevel({ loss: 12000.01, marginLevel: 80 }, policy, marginAccount), 'high');
+    });
+
+    it('最大回撤处低于强制平仓水平时风险指标为高风险', () => {
+        // 黄金0.1手起20层，最大回撤处亏损仅约$305(余额的3%)，但保证金水平约48%，已低于50%的强制平仓水平
+        const { result, findings } = calculate({ symbol: 'XAUUSD', startPrice: 2000, firstVolume: 0.1 });
+        assert.ok(result.riskMetrics.maxPossibleLoss < 3000);
+        assert.ok(result.riskMetrics.marginLevelAtMaxDrawdown < 50);
+        assert.equal(result.riskMetrics.riskLevel, '高风险');
+        assert.equal(result.drawdownAnalysis[result.drawdownAnalysis.length - 1].riskLevel, '高风险');
+        const finding = findings.find(item => item.id === 'riskLevel');
+        assert.equal(finding.severity, 'critical');
+        assert.equal(finding.metric, '最大回撤处保证金水平');
+        assert.ok(finding.message.includes('低于强制平仓水平50%'));
+        assert.ok(finding.suggestion.changes.firstVolume < 0.1);
+    });
+
+    [
+        { riskThresholdMode: 'balancePercent', riskMediumThreshold: 0.5, riskHighThreshold: 2 },
+        { riskThresholdMode: 'absolute', riskMediumThreshold: 50, riskHighThreshold: 200 },
+        { riskThresholdMode: 'marginLevel', riskMediumThreshold: 1000, riskHighThreshold: 400 },
+        { riskThresholdMode: 'marginLevel', riskMediumThreshold: 1000, riskHighThreshold: 400, direction: 'hedge' }
+    ].forEach(policy => {
+        it(`仓位、回撤分析与风险指标的风险等级一致 ${JSON.stringify(policy)}`, () => {
+            const { result } = calculate({ ...policy, pipStep: 10, firstVolume: 0.1, maxPositions: 10, maxDrawdownPips: 80, spreadPips: 1, drawdownSampling: '1' });
+            const levels = new Set();
+            result.positions.filter(pos => pos.pipDistance <= 80).forEach(pos => {
+                const point = result.drawdownAnalysis.find(item => Math.abs(item.pipsFromStart - pos.pipDistance) < 1e-9);
+                assert.equal(pos.riskLevel, point.riskLevel, `第${pos.level}层`);
+                levels.add(pos.riskLevel);
+            });
+            const deepest = result.drawdownAnalysis[result.drawdownAnalysis.length - 1];
+            assert.equal(result.riskMetrics.riskLevel, deepest.riskLevel);
+            assert.ok(levels.size > 1, `阈值应划分出多个等级，实际: ${[...levels].join(',')}`);
+        });
+    });
+});
+
+describe('已有持仓分析', () => {
+    // 买入网格从1.0850开始，已在1.0850、1.0830、1.0815开仓，当前价格1.0810
+    const openBasket = {
+        basketMode: 'open',
+        currentPrice: 1.0810,
+        openPositions: '1.0850 0.1\n1.0830, 0.2\n# 注释行\n1.0815;0.4',
+        pipStep: 20,
+        firstVolume: 0.1,
+        volumeExponent: 2,
+        maxPositions: 6,
+        maxDrawdownPips: 100,
+        drawdownSampling: '1'
+    };
+
+    it('解析持仓文本，跳过空行和注释并报告格式错误的行', () => {
+        assert.deepEqual(plain(parseOpenPositions('1.0850 0.1\n\n# 注释\n1.0830\t0.2')), {
+            positions: [{ entryPrice: 1.085, volume: 0.1 }, { entryPrice: 1.083, volume: 0.2 }],
+            errors: []
+        });
+        assert.deepEqual(plain(parseOpenPositions('1.0850 0.1 2\nabc 0.1').errors), ['第1行应为"入场价格 手数": 1.0850 0.1 2', '第2行应为"入场价格 手数": abc 0.1']);
+    });
+
+    it('剩余层级从最深一笔持仓按间距和手数设置继续排列', () => {
+        const { result } = calculate(openBasket);
+        assert.equal(result.referencePrice, 1.0810);
+        assert.deepEqual(plain(result.positions.map(pos => pos.open)), [true, true, true, false, false, false]);
+        assert.deepEqual(plain(result.positions.map(pos => pos.pipDistance)), [-40, -20, -5, 15, 35, 55]);
+        assert.deepEqual(plain(result.positions.map(pos => pos.volume)), [0.1, 0.2, 0.4, 0.8, 1.6, 3.2]);
+        assertClose(result.positions[3].entryPrice, 1.0795, 1e-9);
+        assertClose(result.positions[5].entryPrice, 1.0755, 1e-9);
+    });
+
+    it('当前价格处的浮动盈亏、均价和止盈距离', () => {
+        const { result } = calculate({ ...openBasket, takeProfitMode: 'basket', takeProfitPips: 10 });
+        const summary = result.openBasket;
+        assert.equal(summary.openLayers, 3);
+        assert.equal(summary.remainingLayers, 3);
+        // -40点 × 0.1手 + -20点 × 0.2手 + -5点 × 0.4手，每点每手$10
+        assertClose(summary.floatingPnL, -100, 1e-6);
+        assertClose(summary.openVolume, 0.7, 1e-9);
+        const avg = (1.085 * 0.1 + 1.083 * 0.2 + 1.0815 * 0.4) / 0.7;
+        assertClose(summary.avgPrice, avg, 1e-9);
+        assert.equal(summary.breakEvenPips, Math.round((avg - 1.081) / 0.0001));
+        assertClose(summary.takeProfitPrice, avg + 0.001, 1e-9);
+        assert.equal(summary.takeProfitRecoveryPips, 24);
+        assertClose(summary.nextTriggerPrice, 1.0795, 1e-9);
+        assertClose(summary.finalAvgPrice, result.avgCostPrice, 1e-12);
+        assert.equal(result.drawdownAnalysis[0].activePositions, 3);
+    });
+
+    it('爆仓深度从当前价格起算，最深处亏损与回撤分析一致', () => {
+        const { params, result } = calculate(openBasket);
+        const { stopOutPips } = result.riskMetrics;
+        const before = result.drawdownAnalysis.find(point => point.pipsFromStart === stopOutPips - 1);
+        const after = result.drawdownAnalysis.find(point => point.pipsFromStart === stopOutPips);
+        assert.ok(before.marginLevel > params.stopOutLevel);
+        assert.ok(after.marginLevel <= params.stopOutLevel);
+        const deepest = result.drawdownAnalysis[result.drawdownAnalysis.length - 1];
+        assertClose(result.riskMetrics.maxPossibleLoss, -deepest.floatingPnL, 1e-6);
+        assertDrawdownInvariants(result, 100);
+    });
+
+    it('入场价比当前价格更深的持仓从起点即计入持仓', () => {
+        const { result } = calculate({ ...openBasket, openPositions: '1.0800 0.1' });
+        assert.equal(result.positions[0].pipDistance, 10);
+        assert.equal(result.positions[1].pipDistance, 30);
+        assert.equal(result.drawdownAnalysis[0].activePositions, 1);
+        // 当前价格高于入场价10点：盈利$10
+        assertClose(result.openBasket.floatingPnL, 10, 1e-6);
+    });
+
+    it('仓位与回撤分析的风险等级一致', () => {
+        const { result } = calculate({ ...openBasket, riskThresholdMode: 'marginLevel', riskMediumThreshold: 350, riskHighThreshold: 150 });
+        const levels = new Set();
+        result.positions.forEach(pos => {
+            const depth = Math.max(pos.pipDistance, 0);
+            const point = result.drawdownAnalysis.find(item => Math.abs(item.pipsFromStart - depth) < 1e-9);
+            assert.equal(pos.riskLevel, point.riskLevel, `第${pos.level}层`);
+            levels.add(pos.riskLevel);
+        });
+        assert.ok(levels.size > 1, `阈值应划分出多个等级，实际: ${[...levels].join(',')}`);
+    });
+});
+
+describe('起始价格', () => {
+    const config = { pipStep: 20, firstVolume: 0.1, volumeExponent: 2, maxPositions: 4, maxDrawdownPips: 100, takeProfitMode: 'basket', takeProfitPips: 10, spreadPips: 1 };
+
+    it('入场价格、止盈价格和均价按起始价格平移，点数指标不变', () => {
+        const base = calculate(config).result;
+        const { result } = calculate({ ...config, startPrice: 1.085 });
+        assert.equal(result.referencePrice, 1.085);
+        assert.deepEqual(plain(result.positions.map(pos => Number(pos.entryPrice.toFixed(5)))), [1.085, 1.083, 1.081, 1.079]);
+        result.positions.forEach((pos, index) => {
+            assertClose(pos.takeProfitPrice - base.positions[index].takeProfitPrice, 0.085, 1e-9);
+            assert.equal(pos.recoveryPips, base.positions[index].recoveryPips);
+        });
+        assertClose(result.avgCostPrice - base.avgCostPrice, 0.085, 1e-9);
+        assertClose(result.riskMetrics.maxPossibleLoss, base.riskMetrics.maxPossibleLoss, 1e-6);
+        assertClose(result.riskMetrics.breakEvenPips, base.riskMetrics.breakEvenPips, 1e-9);
+    });
+
+    it('保本价格为均价加上交易成本折算的点数，卖出网格方向相反', () => {
+        const buy = calculate({ ...config, startPrice: 1.085 }).result;
+        // 1点点差折算为每手$10，平摊到全部手数后仍为1点
+        assertClose(buy.riskMetrics.breakEvenPrice, buy.avgCostPrice + 0.0001, 1e-9);
+        const sell = calculate({ ...config, direction: 'sell', startPrice: 1.085 }).result;
+        assertClose(sell.riskMetrics.breakEvenPrice, sell.avgCostPrice - 0.0001, 1e-9);
+    });
+
+    it('保证金占用随起始价格等比例变化，名义价值按各层入场价格计算', () => {
+        const base = calculate(config).result;
+        const { result } = calculate({ ...config, startPrice: 1.08 });
+        assertClose(result.riskMetrics.marginRequired, base.riskMetrics.marginRequired * 1.08, 1e-6);
+        assertClose(result.riskMetrics.marginAtMaxDrawdown, base.riskMetrics.marginAtMaxDrawdown * 1.08, 1e-6);
+        // 名义价值 = 手数 × 100000 × 入场价格
+        assertClose(result.positions[1].investment, 0.2 * 100000 * 1.078, 1e-6);
+        assertClose(result.totalInvestment, (0.1 * 1.08 + 0.2 * 1.078 + 0.4 * 1.076 + 0.8 * 1.074) * 100000, 1e-6);
+        assert.ok(result.riskMetrics.stopOutPips <= base.riskMetrics.stopOutPips);
+    });
+
+    it('回撤百分比为浮动亏损占账户余额的比例', () => {
+        const { params, result } = calculate({ ...config, startPrice: 1.08 });
+        result.drawdownAnalysis.forEach(point => {
+            assertClose(point.drawdownPercentage, Math.round(Math.max(-point.floatingPnL, 0) / params.accountBalance * 1000) / 10, 1e-9);
+        });
+        const deepest = result.drawdownAnalysis[result.drawdownAnalysis.length - 1];
+        assertClose(deepest.cumulativeInvestment, result.totalInvestment, 1e-6);
+        assert.ok(deepest.drawdownPercentage > 0 && deepest.drawdownPercentage < 100);
+    });
+
+    it('起始价格为0时使用品种参考价格，调试信息与计算结果使用同一价格', () => {
+        const { params, result } = calculate({ ...config, symbol: 'XAUUSD', pipStep: 200, maxDrawdownPips: 1000 });
+        assert.equal(result.referencePrice, 1000);
+        const debug = getCalculationDebugInfo({ ...params, startPrice: 2350.5 });
+        assert.equal(debug.referencePrice, 2350.5);
+        assertClose(debug.calculationSteps[1].calculation.entryPriceResult, 2348.5, 1e-9);
+        assert.deepEqual(plain(debug.potentialErrors), []);
+    });
+});
+
+describe('品种配置', () => {
+    it('美元为基础货币的品种：参考价格与默认汇率互为倒数，1手名义价值约为$100000', () => {
+        Object.values(INSTRUMENTS)
+            .filter(instrument => instrument.symbol.startsWith('USD'))
+            .forEach(instrument => {
+                assertClose(instrument.referencePrice * instrument.defaultQuoteRate, 1, 0.01, instrument.symbol);
+                const { result } = calculate({ symbol: instrument.symbol, firstVolume: 1, maxPositions: 1, maxDrawdownPips: 100 });
+                assertClose(result.totalInvestment, 100000, 1000, instrument.symbol);
+            });
+    });
+});
@@ -0,0 +1,40 @@
+// cTrader cBot 参数集导入导出测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PARAMS, DEFAULT_CBOTSET_MAPPING, buildCbotset, parseCbotset } = require('../lib');
+const { plain } = require('./helpers');
+
+const UNITS_MAPPING = { ...DEFAULT_CBOTSET_MAPPING, volumeUnit: 'units' };
+
+describe('buildCbotset / parseCbotset', () => {
+    const params = { ...DEFAULT_PARAMS, symbol: 'XAUUSD', pipStep: 150, firstVolume: 0.25, volumeExponent: 1.3, maxPositions: 8 };
+    const expected = { symbol: 'XAUUSD', pipStep: 150, firstVolume: 0.25, volumeExponent: 1.3, maxPositions: 8 };
+
+    it('导出后导入得到相同的参数', () => {
+        const text = buildCbotset(params);
+        assert.deepEqual(JSON.parse(text).Parameters, { PipStep: '150', FirstVolume: '0.25', VolumeExponent: '1.3', MaxPositions: '8' });
+        assert.deepEqual(plain(parseCbotset(text)), { params: expected, missing: [] });
+    });
+
+    it('按单位填写的手数使用品种合约大小换算', () => {
+        const text = buildCbotset(params, UNITS_MAPPING);
+        // XAUUSD每手100盎司：0.25手 = 25单位
+        assert.equal(JSON.parse(text).Parameters.FirstVolume, '25');
+        assert.deepEqual(plain(parseCbotset(text, UNITS_MAPPING)), { params: expected, missing: [] });
+    });
+
+    it('文件未指定品种时按当前选择的品种换算单位', () => {
+        const text = JSON.stringify({ Parameters: { PipStep: '150', FirstVolume: '25' } });
+        const { params: imported, missing } = parseCbotset(text, UNITS_MAPPING, 'XAUUSD');
+        assert.deepEqual(plain(imported), { pipStep: 150, firstVolume: 0.25 });
+        assert.deepEqual(plain(missing), ['VolumeExponent', 'MaxPositions']);
+        assert.equal(parseCbotset(text, UNITS_MAPPING, 'EURUSD').params.firstVolume, 0.00025);
+    });
+
+    it('无法确定品种时拒绝按单位换算', () => {
+        const text = JSON.stringify({ Chart: { Symbol: 'UNKNOWN' }, Parameters: { FirstVolume: '25' } });
+        assert.throws(() => parseCbotset(text, UNITS_MAPPING), /无法将单位换算为手数/);
+        assert.equal(parseCbotset(text).params.firstVolume, 25);
+    });
+});
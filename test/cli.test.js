@@ -0,0 +1,73 @@
+// dca-calc 命令行工具测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'dca-calc.js');
+
+/**
+ * 运行命令行工具并返回标准输出
+ * @param {Array} args - 命令行参数
+ * @returns {string} 标准输出
+ */
+function runCli(args) {
+    return execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+/**
+ * 解析不含引号字段的CSV行
+ * @param {string} text - CSV文本
+ * @returns {Array} 字符串二维数组
+ */
+function parseCsvRows(text) {
+    return text.trim().split('\n').map(line => line.split(','));
+}
+
+describe('dca-calc', () => {
+    it('只有一项的自定义间距和自定义手数按字符串列表读取', () => {
+        const output = JSON.parse(runCli([
+            '--spacingMode', 'custom', '--customPipSteps', '15',
+            '--volume-mode', 'custom', '--custom-volumes', '0.5',
+            '--maxPositions', '3', '--format', 'json'
+        ]));
+        assert.equal(output.params.customPipSteps, '15');
+        assert.equal(output.params.customVolumes, '0.5');
+        assert.equal(output.params.maxPositions, 3);
+        assert.deepEqual(output.positions.map(pos => [pos.pipDistance, pos.volume]), [[0, 0.5], [15, 0.5], [30, 0.5]]);
+    });
+
+    it('数值参数按Number()转换科学计数法、省略整数位和带正号的写法', () => {
+        const output = JSON.parse(runCli([
+            '--pipStep', '1e1', '--first-volume', '.5', '--volume-mode', 'additive',
+            '--volumeIncrement', '+0.1', '--max-positions', '3', '--format', 'json'
+        ]));
+        assert.equal(output.params.pipStep, 10);
+        assert.equal(output.params.firstVolume, 0.5);
+        assert.equal(output.params.volumeIncrement, 0.1);
+        assert.deepEqual(output.positions.map(pos => [pos.pipDistance, pos.volume]), [[0, 0.5], [10, 0.6], [20, 0.7]]);
+    });
+
+    it('CSV输出风险指标和风险建议数据集', () => {
+        const args = ['--pipStep', '20', '--firstVolume', '0.1', '--maxPositions', '4', '--format', 'csv'];
+        const json = JSON.parse(runCli(args.slice(0, -2).concat(['--format', 'json'])));
+
+        const metrics = parseCsvRows(runCli(args.concat(['--data', 'metrics'])));
+        assert.deepEqual(metrics[0], ['key', 'label', 'value']);
+        const maxLoss = metrics.find(row => row[0] === 'maxPossibleLoss');
+        assert.equal(Number(maxLoss[2]), json.riskMetrics.maxPossibleLoss);
+        assert.equal(metrics.find(row => row[0] === 'stopOutPips')[2], json.riskMetrics.stopOutPips === null ? '' : String(json.riskMetrics.stopOutPips));
+
+        const advice = runCli(args.concat(['--data', 'advice'])).trim().split('\n');
+        assert.equal(advice[0], 'id,severity,message,suggestion');
+        assert.equal(advice.length, json.findings.length + 1);
+        json.findings.forEach((finding, index) => assert.ok(advice[index + 1].startsWith(`${finding.id},${finding.severity},`)));
+    });
+
+    it('未知参数、无效数据集和非数值的数值参数报错', () => {
+        assert.throws(() => runCli(['--unknown', '1']), error => error.status === 2 && error.stderr.includes('未知的参数: --unknown'));
+        assert.throws(() => runCli(['--data', 'trades']), error => error.status === 2 && error.stderr.includes('数据集必须为'));
+        assert.throws(() => runCli(['--pipStep', 'abc']), error => error.status === 2 && error.stderr.includes('参数 --pipStep 必须为数值: abc'));
+    });
+});
@@ -0,0 +1,167 @@
+// 参考配置的手工验算结果（黄金值）
+// 每组期望值均按README中的计算公式手工推导，注释中给出推导过程，
+// 用于防止浮动盈亏、最大亏损等公式再次出现已修复过的错误
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculate, verifyFloatingPnL, getInstrument } = require('../lib');
+const { assertClose, plain } = require('./helpers');
+
+// EURUSD 买入网格：参考价1.00000，点值$10/手，10000余额，30倍杠杆
+const EURUSD_BASE = {
+    symbol: 'EURUSD',
+    pipStep: 10,
+    firstVolume: 1,
+    volumeExponent: 1,
+    maxPositions: 3,
+    maxDrawdownPips: 50,
+    takeProfitMode: 'basket',
+    takeProfitPips: 10
+};
+
+describe('黄金值: EURUSD 等量三层买入网格', () => {
+    const { result } = calculate(EURUSD_BASE);
+
+    it('仓位入场价、手数和整体止盈', () => {
+        // 入场价 = 1.00000 - 距离 × 0.0001；整体止盈 = 均价 + 10点，盈利 = 累计手数 × 10点 × $10
+        const expected = [
+            { entryPrice: 1.0000, volume: 1, takeProfitPrice: 1.0010, takeProfitAmount: 100 },
+            { entryPrice: 0.9990, volume: 1, takeProfitPrice: 1.0005, takeProfitAmount: 200 },
+            { entryPrice: 0.9980, volume: 1, takeProfitPrice: 1.0000, takeProfitAmount: 300 }
+        ];
+        assert.equal(result.positions.length, expected.length);
+        result.positions.forEach((pos, index) => {
+            assertClose(pos.entryPrice, expected[index].entryPrice, 1e-9);
+            assertClose(pos.volume, expected[index].volume, 1e-9);
+            assertClose(pos.takeProfitPrice, expected[index].takeProfitPrice, 1e-9);
+            assertClose(pos.takeProfitAmount, expected[index].takeProfitAmount);
+        });
+    });
+
+    it('总手数、均价和风险指标', () => {
+        const metrics = result.riskMetrics;
+        assertClose(result.totalVolume, 3);
+        assertClose(result.avgCostPrice, 0.9990, 1e-9);
+        // 最大回撤价0.99500，均价0.99900 → 40点 × 3手 × $10 = $1200
+        assertClose(metrics.maxPossibleLoss, 1200);
+        // (1.00000 - 0.99900) / 0.0001 = 10点
+        assertClose(metrics.breakEvenPips, 10);
+        // 3手 × 100000 × 1.00000 / 30 = $10000
+        assertClose(metrics.marginRequired, 10000);
+        assertClose(metrics.riskRewardRatio, 10 / 50);
+        assertClose(metrics.positionSizeRisk, 3);
+        assertClose(metrics.equityAtMaxDrawdown, 8800);
+    });
+
+    it('追加保证金与强制平仓深度', () => {
+        const metrics = result.riskMetrics;
+        // 第3层开仓(20点)时净值 10000 - (20 + 10) × $10 = $9700，保证金$10000 → 已低于100%
+        assertClose(metrics.marginCallPips, 20);
+        // 强制平仓(50%)：20 + (9700 - 5000) / (3手 × $10) = 176.67点
+        assertClose(metrics.stopOutPips, 20 + 4700 / 30);
+    });
+
+    it('回撤分析每10点的浮动盈亏', () => {
+        // 0点、10点、20点的触发点与每10点的分析点重合，合并后只剩6个点
+        const expectedPnL = [0, -100, -300, -600, -900, -1200];
+        assert.deepEqual(plain(result.drawdownAnalysis.map(point => point.pipsFromStart)), [0, 10, 20, 30, 40, 50]);
+        result.drawdownAnalysis.forEach((point, index) => {
+            assertClose(point.floatingPnL, expectedPnL[index]);
+        });
+        // 50点处保证金水平 = (10000 - 1200) / 10000 = 88%
+        assertClose(result.drawdownAnalysis[5].marginLevel, 88);
+    });
+});
+
+describe('黄金值: EURUSD 含交易成本', () => {
+    const { result } = calculate({
+        ...EURUSD_BASE,
+        spreadPips: 1,
+        commissionPerLot: 3,
+        swapLong: -5,
+        holdingDays: 2
+    });
+
+    it('交易成本计入最大亏损与回本点数', () => {
+        const metrics = result.riskMetrics;
+        // 每手成本：点差1点 × $10 + 佣金$3 × 2边 + 隔夜利息$5 × 2天 = $26，3手 = $78
+        assertClose(metrics.tradingCosts.spread, 30);
+        assertClose(metrics.tradingCosts.commission, 18);
+        assertClose(metrics.tradingCosts.swap, 30);
+        assertClose(metrics.tradingCosts.total, 78);
+        assertClose(metrics.maxPossibleLoss, 1200 + 78);
+        // 10点 + 78 / (3手 × $10) = 12.6点
+        assertClose(metrics.breakEvenPips, 12.6);
+        // 20 + (9700 - 78 - 5000) / 30
+        assertClose(metrics.stopOutPips, 20 + 4622 / 30);
+    });
+});
+
+describe('黄金值: USDJPY 倍增卖出网格', () => {
+    // 起始价格取品种参考价格149.000，与默认汇率0.0067(≈1/149)对应同一行情
+    const { referencePrice, defaultQuoteRate: quoteRate } = getInstrument('USDJPY');
+    const { result } = calculate({
+        symbol: 'USDJPY',
+        direction: 'sell',
+        pipStep: 20,
+        firstVolume: 0.5,
+        volumeExponent: 2,
+        maxPositions: 3,
+        maxDrawdownPips: 60
+    });
+
+    it('卖出方向的入场价与均价', () => {
+        assert.equal(referencePrice, 149);
+        // 点值 = 0.01 × 100000 × 0.0067 = $6.7
+        assertClose(result.instrumentContext.pipValue, 6.7);
+        assert.deepEqual(plain(result.positions.map(pos => pos.volume)), [0.5, 1, 2]);
+        [149, 149.2, 149.4].forEach((entryPrice, index) => {
+            assertClose(result.positions[index].entryPrice, entryPrice, 1e-9);
+        });
+        // (149 × 0.5 + 149.2 × 1 + 149.4 × 2) / 3.5 = 522.5 / 3.5
+        assertClose(result.avgCostPrice, 522.5 / 3.5, 1e-9);
+    });
+
+    it('风险指标', () => {
+        const metrics = result.riskMetrics;
+        // (149.6 × 3.5 - 522.5) / 0.01 = 110点·手 × $6.7 = $737
+        assertClose(metrics.maxPossibleLoss, 737, 1e-6);
+        assertClose(metrics.breakEvenPips, (522.5 / 3.5 - 149) / 0.01, 1e-6);
+        // 3.5手 × 100000 × 149 × 0.0067 / 30 = $11646.83(名义价值约合3.5手 × $99830)
+        assertClose(metrics.marginRequired, 3.5 * 100000 * 149 * quoteRate / 30, 1e-6);
+        assertClose(metrics.marginRequired, 11646.833333, 1e-5);
+        assertClose(metrics.positionSizeRisk, 7);
+        // 第3层(40点)时净值 10000 - 40点·手 × $6.7 = $9732，强制平仓线 = 保证金 × 50%
+        assertClose(metrics.stopOutPips, 40 + (9732 - metrics.marginRequired / 2) / (3.5 * 6.7), 1e-6);
+    });
+});
+
+describe('黄金值: EURUSD 双向对冲', () => {
+    const { result } = calculate({ ...EURUSD_BASE, direction: 'hedge' });
+
+    it('反向首仓盈利抵消部分亏损', () => {
+        assert.equal(result.hedgePositions.length, 3);
+        assert.equal(result.hedgePositions[0].side, 'sell');
+        // 买入侧亏损$1200 - 卖出首仓50点 × 1手 × $10 = $700
+        assertClose(result.riskMetrics.maxPossibleLoss, 700);
+        assertClose(result.drawdownAnalysis[result.drawdownAnalysis.length - 1].floatingPnL, -700);
+    });
+});
+
+describe('verifyFloatingPnL', () => {
+    const instrument = getInstrument('EURUSD');
+
+    it('买入仓位：价格下跌20点亏损', () => {
+        const check = verifyFloatingPnL(0.9980, 1.0000, 0.5, 10, 'buy', instrument);
+        assert.equal(check.priceDiffInPips, '-20.0');
+        assert.equal(check.floatingPnL, '-100.00');
+        assert.equal(check.formula, '(0.99800 - 1.00000) / 0.0001 * 0.50 * 10.0');
+    });
+
+    it('卖出仓位：价格上涨20点亏损，公式带负号', () => {
+        const check = verifyFloatingPnL(1.0020, 1.0000, 0.5, 10, 'sell', instrument);
+        assert.equal(check.priceDiffInPips, '-20.0');
+        assert.equal(check.floatingPnL, '-100.00');
+        assert.ok(check.formula.startsWith('-('));
+    });
+});
@@ -0,0 +1,32 @@
+// 测试辅助函数
+
+const assert = require('node:assert/strict');
+
+/**
+ * 断言两个浮点数在容差范围内相等
+ * @param {number} actual - 实际值
+ * @param {number} expected - 期望值
+ * @param {number} tolerance - 允许误差
+ * @param {string} message - 断言说明
+ */
+function assertClose(actual, expected, tolerance = 1e-6, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        message || `期望 ${expected}，实际 ${actual}（容差 ${tolerance}）`
+    );
+}
+
+/**
+ * 转为当前上下文的普通对象
+ * 计算引擎在独立的vm上下文中运行，其返回的数组和对象原型与测试代码不同，深度比较前需先转换
+ * @param {*} value - 引擎返回的数据
+ * @returns {*} 普通对象
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    assertClose,
+    plain
+};
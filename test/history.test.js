@@ -0,0 +1,176 @@
+// cTrader实盘记录导入与对比测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculate, parseTradeHistory, groupTradesIntoBaskets, analyzeTradeHistory } = require('../lib');
+const { assertClose, plain } = require('./helpers');
+
+const HEADER = 'ID,Symbol,Opening Direction,Opening Time (UTC+0),Closing Time (UTC+0),Entry Price,Closing Price,Closing Quantity,Gross USD,Net USD,Label';
+
+/**
+ * 生成一行EURUSD持仓历史，毛盈亏按平仓价计算，净盈亏扣除每手$7佣金
+ * @param {Object} trade - { id, side, open, close, entry, exit, lots, label }
+ * @returns {string} CSV行
+ */
+function historyRow({ id, side = 'Buy', open, close = '', entry, exit = '', lots, label = 'DCA' }) {
+    const sign = side === 'Buy' ? 1 : -1;
+    const gross = exit === '' ? '' : Math.round(sign * (exit - entry) * lots * 100000 * 100) / 100;
+    const net = gross === '' ? '' : Math.round((gross - lots * 7) * 100) / 100;
+    return [id, 'EURUSD', side, open, close, entry, exit, `${lots} Lots`, gross, net, label].join(',');
+}
+
+/**
+ * 生成持仓历史CSV
+ * @param {Array} trades - historyRow的参数列表
+ * @returns {string} CSV文本
+ */
+function historyCsv(trades) {
+    return [HEADER].concat(trades.map(historyRow)).join('\n');
+}
+
+// 间距20点、手数0.1起每层翻倍、最多4层、整体止盈10点
+const { params } = calculate({ pipStep: 20, firstVolume: 0.1, volumeExponent: 2, maxPositions: 4, maxDrawdownPips: 200, takeProfitMode: 'basket', takeProfitPips: 10 });
+
+// 与设置一致的一组：1.0850、1.0830、1.0810各开一层，在均价+10点整体止盈
+const avgPrice = (1.085 * 0.1 + 1.083 * 0.2 + 1.081 * 0.4) / 0.7;
+const matchingBasket = [
+    { id: 1, open: '15/01/2026 09:00:00.000', close: '15/01/2026 14:00:00.000', entry: 1.085, exit: avgPrice + 0.001, lots: 0.1 },
+    { id: 2, open: '15/01/2026 10:00:00.000', close: '15/01/2026 14:00:00.000', entry: 1.083, exit: avgPrice + 0.001, lots: 0.2 },
+    { id: 3, open: '15/01/2026 11:00:00.000', close: '15/01/2026 14:00:00.000', entry: 1.081, exit: avgPrice + 0.001, lots: 0.4 }
+];
+
+describe('parseTradeHistory', () => {
+    it('解析CSV：按列名识别字段，支持日/月/年时间、带引号和小数逗号的数值', () => {
+        const text = '\uFEFF' + [
+            'Symbol;Direction;Opening Time;Closing Time;Entry Price;Closing Price;Quantity;Net EUR;Commission;Label',
+            'EURUSD;Sell;15/01/2026 09:30:12.5;15/01/2026 10:00:00;1.08500;1.08400;"1,5 Lots";"1 234,50";-10,50;grid',
+            'EURUSD;;15/01/2026 09:31:00;;1.08500;;0.10 Lots;;;grid',
+            'EURUSD;Buy;15/01/2026 09:32:00;;1.08500;;0.10 Lots;-1,20;;grid'
+        ].join('\n');
+        const { trades, skippedRows, format } = parseTradeHistory(text);
+        assert.equal(format, 'csv');
+        assert.equal(skippedRows, 1);
+        assert.equal(trades.length, 2);
+        assert.equal(trades[0].side, 'sell');
+        assert.equal(trades[0].openTime, Date.UTC(2026, 0, 15, 9, 30, 12, 500));
+        assert.equal(trades[0].volume, 1.5);
+        assert.equal(trades[0].netProfit, 1234.5);
+        assert.equal(trades[0].commission, -10.5);
+        assert.equal(trades[0].label, 'grid');
+        assert.equal(trades[1].closeTime, null);
+        assert.equal(trades[1].netProfit, -1.2);
+    });
+
+    it('解析HTML报告：合并所有可识别的表格，按合约大小换算数量并识别品种后缀', () => {
+        const html = `<html><body>
+            <table><tr><td>Balance</td><td>10 000.00</td></tr></table>
+            <table>
+                <tr><th>ID</th><th>Symbol</th><th>Opening Direction</th><th>Opening Time</th><th>Closing Time</th><th>Entry Price</th><th>Closing Price</th><th>Closing Volume</th><th>Net&nbsp;USD</th><th>Label</th></tr>
+                <tr><td>7</td><td>XAUUSD</td><td>Sell</td><td>2026-02-01 08:00:00</td><td>2026-02-01 12:00:00</td><td>2 050.00</td><td>2 049.00</td><td>10</td><td>10.00</td><td>Gold &amp; Co</td></tr>
+                <tr><td colspan="10">Total</td></tr>
+            </table>
+            <table>
+                <tr><th>ID</th><th>Symbol</th><th>Direction</th><th>Opening Time</th><th>Entry Price</th><th>Quantity</th></tr>
+                <tr><td>8</td><td>EURUSD.m</td><td>Buy</td><td>2026-02-02 10:00</td><td>1.08000</td><td>0.01 Lots</td></tr>
+            </table>
+        </body></html>`;
+        const { trades, skippedRows, format } = parseTradeHistory(html);
+        assert.equal(format, 'html');
+        assert.equal(skippedRows, 1);
+        assert.deepEqual(plain(trades.map(trade => [trade.id, trade.instrumentSymbol, trade.side, trade.entryPrice, trade.volume, trade.label])), [
+            ['7', 'XAUUSD', 'sell', 2050, 0.1, 'Gold & Co'],
+            ['8', 'EURUSD', 'buy', 1.08, 0.01, '']
+        ]);
+        assert.equal(trades[1].closeTime, null);
+    });
+
+    it('无法识别表头或没有有效记录时报错', () => {
+        assert.throws(() => parseTradeHistory('time,open,high,low,close\n2026-01-01,1,1,1,1'), /无法识别持仓记录表头/);
+        assert.throws(() => parseTradeHistory(HEADER + '\n1,EURUSD,Hold,,,,,,,,'), /没有有效的持仓记录/);
+        assert.throws(() => parseTradeHistory('  \n'), /文件为空/);
+    });
+});
+
+describe('groupTradesIntoBaskets', () => {
+    it('前一组全部平仓后开出的仓位归入新组，不同标签分别分组', () => {
+        const { trades } = parseTradeHistory(historyCsv([
+            ...matchingBasket,
+            { id: 4, open: '15/01/2026 14:00:00.000', close: '15/01/2026 16:00:00.000', entry: 1.084, exit: 1.085, lots: 0.1 },
+            { id: 5, open: '15/01/2026 10:30:00.000', close: '15/01/2026 11:00:00.000', entry: 1.083, exit: 1.084, lots: 0.1, label: 'other' },
+            { id: 6, open: '15/01/2026 17:00:00.000', entry: 1.084, lots: 0.1 }
+        ]));
+        const baskets = groupTradesIntoBaskets(trades);
+        assert.deepEqual(plain(baskets.map(basket => [basket.label, basket.trades.map(trade => trade.id), basket.closed])), [
+            ['DCA', ['1', '2', '3'], true],
+            ['other', ['5'], true],
+            ['DCA', ['4'], true],
+            ['DCA', ['6'], false]
+        ]);
+        assertClose(baskets[0].avgPrice, avgPrice, 1e-12);
+        assertClose(baskets[0].totalVolume, 0.7, 1e-9);
+        assert.equal(baskets[3].grossProfit, null);
+    });
+});
+
+describe('analyzeTradeHistory', () => {
+    it('与设置一致的仓位组没有问题，实际盈亏与模型止盈盈利一致', () => {
+        const { trades } = parseTradeHistory(historyCsv(matchingBasket));
+        const { baskets, summary } = analyzeTradeHistory(trades, params);
+        const [item] = baskets;
+        assert.equal(item.severity, 'ok', item.flags.map(flag => flag.message).join('；'));
+        assert.deepEqual(plain(item.layers.map(layer => [layer.actualPips, layer.theoreticalPips, layer.theoreticalVolume])), [[0, 0, 0.1], [20, 20, 0.2], [40, 40, 0.4]]);
+        // 0.7手 × 10点 × $10
+        assertClose(item.expectedPnL, 70, 1e-9);
+        assertClose(item.actualPnL, 70, 0.05);
+        assert.equal(summary.basketCount, 1);
+        assert.equal(summary.flaggedBaskets, 0);
+        assertClose(summary.realizedPnL, 70 - 0.7 * 7, 0.05);
+    });
+
+    it('分别提示手数不符、入场滑点和间距不符', () => {
+        const { trades } = parseTradeHistory(historyCsv([
+            { id: 1, open: '15/01/2026 09:00', entry: 1.085, lots: 0.1 },
+            { id: 2, open: '15/01/2026 10:00', entry: 1.08285, lots: 0.1 },
+            { id: 3, open: '15/01/2026 11:00', entry: 1.0775, lots: 0.4 }
+        ]));
+        const [item] = analyzeTradeHistory(trades, params).baskets;
+        assert.equal(item.severity, 'warning');
+        assert.deepEqual(plain(item.flags.map(flag => flag.id)), ['volume', 'spacing', 'slippage']);
+        assert.ok(item.flags[0].message.includes('第2层0.10手(理论0.20手)'));
+        assert.ok(item.flags[1].message.includes('第3层距首仓75点(理论40点)'));
+        assert.ok(item.flags[2].message.includes('第2层偏离理论价格1.08300 +1.5点'));
+        assert.deepEqual(plain(item.layers.map(layer => layer.deviationPips)), [0, 1.5, 35]);
+        // 持仓中的仓位组不比较盈亏
+        assert.equal(item.expectedPnL, null);
+    });
+
+    it('超过最大仓位数、亏损平仓和方向不符', () => {
+        const { trades } = parseTradeHistory(historyCsv([
+            { id: 1, side: 'Sell', open: '2026-01-15 09:00', close: '2026-01-16 09:00', entry: 1.080, exit: 1.095, lots: 0.1 },
+            { id: 2, side: 'Sell', open: '2026-01-15 10:00', close: '2026-01-16 09:00', entry: 1.082, exit: 1.095, lots: 0.2 },
+            { id: 3, side: 'Sell', open: '2026-01-15 11:00', close: '2026-01-16 09:00', entry: 1.0843, exit: 1.095, lots: 0.4 },
+            { id: 4, side: 'Sell', open: '2026-01-15 12:00', close: '2026-01-16 09:00', entry: 1.086, exit: 1.095, lots: 0.8 },
+            { id: 5, side: 'Sell', open: '2026-01-15 13:00', close: '2026-01-16 09:00', entry: 1.088, exit: 1.095, lots: 1.6 }
+        ]));
+        const [item] = analyzeTradeHistory(trades, params).baskets;
+        assert.equal(item.severity, 'critical');
+        assert.equal(item.layersReached, 5);
+        assert.equal(item.layers[4].theoreticalPips, null);
+        assert.deepEqual(plain(item.flags.map(flag => [flag.id, flag.severity])), [
+            ['direction', 'warning'],
+            ['layers', 'critical'],
+            ['slippage', 'info'],
+            ['pnl', 'critical']
+        ]);
+        assert.ok(item.flags[3].message.startsWith('仓位组亏损平仓-$'));
+    });
+
+    it('实际盈利与模型止盈盈利相差超过容差时提示', () => {
+        const exit = avgPrice + 0.002;
+        const { trades } = parseTradeHistory(historyCsv(matchingBasket.map(trade => ({ ...trade, exit }))));
+        const [item] = analyzeTradeHistory(trades, params).baskets;
+        assert.deepEqual(plain(item.flags.map(flag => flag.id)), ['pnl']);
+        assert.ok(item.flags[0].message.includes('与模型止盈盈利$70.00相差+100.0%'));
+        assert.equal(analyzeTradeHistory(trades, params, { slippagePips: 1, pnlPercent: 150 }).baskets[0].severity, 'ok');
+    });
+});
@@ -0,0 +1,63 @@
+// 参数库测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_PARAMS,
+    PARAMETER_PRESETS,
+    calculate,
+    createLibraryEntry,
+    buildLibraryExport,
+    parseLibraryImport
+} = require('../lib');
+const { plain } = require('./helpers');
+
+describe('参数库', () => {
+    it('内置模板有效且风险依次递增', () => {
+        const losses = PARAMETER_PRESETS.map(preset => calculate(preset.params).result.riskMetrics.maxPossibleLoss);
+        assert.deepEqual(plain(PARAMETER_PRESETS.map(preset => preset.id)), ['preset-conservative', 'preset-balanced', 'preset-aggressive']);
+        assert.ok(losses[0] < losses[1] && losses[1] < losses[2]);
+    });
+
+    it('创建条目时保存参数副本并整理标签', () => {
+        const params = { ...DEFAULT_PARAMS };
+        const entry = createLibraryEntry('  测试  ', params, { tags: '日元，测试; 日元  ', notes: '备注' });
+        params.pipStep = 99;
+        assert.equal(entry.name, '测试');
+        assert.deepEqual(plain(entry.tags), ['日元', '测试']);
+        assert.equal(entry.notes, '备注');
+        assert.equal(entry.params.pipStep, DEFAULT_PARAMS.pipStep);
+        assert.equal(createLibraryEntry('', params).name, '未命名参数');
+    });
+
+    it('导出只包含用户条目，导入后分配新ID', () => {
+        const entry = createLibraryEntry('EURUSD 稳健', { ...DEFAULT_PARAMS, pipStep: 25 }, { tags: ['稳健'] });
+        const text = buildLibraryExport(PARAMETER_PRESETS.concat(entry));
+        assert.equal(JSON.parse(text).entries.length, 1);
+
+        const { entries, skipped } = parseLibraryImport(text, DEFAULT_PARAMS);
+        assert.deepEqual(plain(skipped), []);
+        assert.equal(entries.length, 1);
+        assert.notEqual(entries[0].id, entry.id);
+        assert.equal(entries[0].name, 'EURUSD 稳健');
+        assert.deepEqual(plain(entries[0].tags), ['稳健']);
+        assert.equal(entries[0].params.pipStep, 25);
+    });
+
+    it('导入时补全缺失参数并跳过无效条目', () => {
+        const text = JSON.stringify([
+            { name: '部分参数', params: { pipStep: 40 } },
+            { name: '无效', params: { pipStep: 20, maxPositions: 99 } },
+            { name: '缺少参数' }
+        ]);
+        const { entries, skipped } = parseLibraryImport(text, DEFAULT_PARAMS);
+        assert.equal(entries.length, 1);
+        assert.deepEqual(plain(entries[0].params), { ...DEFAULT_PARAMS, pipStep: 40 });
+        assert.deepEqual(plain(skipped), ['无效: 最大仓位数必须在1-50之间', '缺少参数: 缺少参数']);
+    });
+
+    it('拒绝其他类型的JSON文件', () => {
+        assert.throws(() => parseLibraryImport(JSON.stringify({ type: 'cTrader_DCA_cBot_Analysis' }), DEFAULT_PARAMS), /不是参数库导出文件/);
+        assert.throws(() => parseLibraryImport('not json', DEFAULT_PARAMS), error => error.name === 'SyntaxError');
+    });
+});
@@ -0,0 +1,38 @@
+// 参数网格搜索优化测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PARAMS, runOptimization } = require('../lib');
+const { assertClose, plain } = require('./helpers');
+
+// 间距20点、0.1手等量加仓，预期最大回撤100点内触发0/20/40/60/80/100点共6层
+const BASE = { ...DEFAULT_PARAMS, takeProfitMode: 'basket', takeProfitPips: 10, maxDrawdownPips: 100 };
+const RANGES = {
+    pipStep: { min: 20, max: 20, step: 1 },
+    firstVolume: { min: 0.1, max: 0.1, step: 0.1 },
+    volumeExponent: { min: 1, max: 1, step: 0.1 },
+    maxPositions: { min: 2, max: 8, step: 1 }
+};
+
+describe('runOptimization', () => {
+    it('止盈盈利目标按最大回撤内最深一层的整组止盈盈利评分', () => {
+        const { results } = runOptimization(BASE, RANGES, {}, { objective: 'maxProfit' });
+        // 6层 × 0.1手 × 10点 × $10；超过6层的深层仓位在最大回撤内不会开仓，不再增加盈利
+        assertClose(results[0].takeProfitAmount, 60, 1e-9);
+        const byPositions = {};
+        results.forEach(row => { byPositions[row.params.maxPositions] = row.takeProfitAmount; });
+        [2, 3, 4, 5, 6, 7, 8].forEach(count => assertClose(byPositions[count], Math.min(count, 6) * 10, 1e-9, `${count}层`));
+        // 盈利相同时最大亏损更小、爆仓更深者(仓位更少)排在前面
+        assert.equal(results[0].params.maxPositions, 6);
+    });
+
+    it('逐层止盈为最大回撤内各层止盈盈利之和，受约束条件限制', () => {
+        const { results } = runOptimization({ ...BASE, takeProfitMode: 'perLayer' }, RANGES, { maxLossBudget: 200 }, { objective: 'maxProfit' });
+        assert.ok(results.length > 0);
+        results.forEach(row => {
+            assert.ok(row.maxPossibleLoss <= 200);
+            assertClose(row.takeProfitAmount, Math.min(row.params.maxPositions, 6) * 10, 1e-9);
+        });
+        assert.deepEqual(plain(results.map(row => row.score)), plain(results.map(row => row.takeProfitAmount)));
+    });
+});
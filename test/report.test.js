@@ -0,0 +1,61 @@
+// 风险报告生成测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculate, buildRiskReport } = require('../lib');
+
+describe('buildRiskReport', () => {
+    const { params, result, advice } = calculate({ pipStep: 10, maxPositions: 3, maxDrawdownPips: 50, takeProfitPips: 10 });
+    const generatedAt = new Date(2026, 0, 15, 9, 30);
+
+    it('包含参数、指标、建议、仓位表格和生成时间', () => {
+        const html = buildRiskReport({ params, results: result, advice, generatedAt });
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(html.includes('<title>DCA cBot 风险报告 - EURUSD</title>'));
+        assert.ok(html.includes('2026'));
+        assert.ok(html.includes('<td>DCA间距 (点)</td><td>10</td>'));
+        assert.ok(html.includes('<td>最大可能亏损</td>'));
+        // 满仓止盈盈利为3层共3手整体止盈10点：3 × 10 × $10，而非首层的$100
+        assert.match(html, /<td>满仓止盈盈利<\/td><td>[^<]*300\.00<\/td>/);
+        assert.ok(html.includes(advice.split('\n')[0]));
+        // 3层仓位各一行
+        assert.equal((html.match(/<tr><td>\d+<\/td><td>买入<\/td>/g) || []).length, 3);
+        assert.ok(!html.includes('<img'), '未提供图表时不输出图片');
+    });
+
+    it('只列出当前模式相关的参数', () => {
+        const html = buildRiskReport({ params: { ...params, spacingMode: 'geometric' }, results: result });
+        assert.ok(html.includes('间距倍数'));
+        assert.ok(!html.includes('间距增量'));
+        assert.ok(!html.includes('自定义手数'));
+    });
+
+    it('已有持仓分析列出当前价格和持仓，并标注持仓层级', () => {
+        const open = calculate({ basketMode: 'open', currentPrice: 1.081, openPositions: '1.085 0.1\n1.083 0.2', pipStep: 20, maxPositions: 4, maxDrawdownPips: 50 });
+        const html = buildRiskReport({ params: open.params, results: open.result });
+        assert.ok(html.includes('<td>仓位组模式</td><td>已有持仓（从当前价格继续）</td>'));
+        assert.ok(html.includes('<td>已有持仓</td><td>1.085 × 0.1；1.083 × 0.2</td>'));
+        assert.equal((html.match(/<tr><td>\d+ \(持仓\)<\/td>/g) || []).length, 2);
+        assert.ok(!buildRiskReport({ params, results: result }).includes('当前价格'));
+    });
+
+    it('标题、备注和图表内嵌，文本内容经过转义', () => {
+        const html = buildRiskReport({
+            params,
+            results: result,
+            title: '<script>alert(1)</script>',
+            notes: '风控委员会 & 审阅\n第二行',
+            chartImages: { position: 'data:image/png;base64,AAAA', drawdown: '' }
+        });
+        assert.ok(!html.includes('<script>'));
+        assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+        assert.ok(html.includes('风控委员会 &amp; 审阅\n第二行'));
+        assert.equal((html.match(/<img /g) || []).length, 1);
+        assert.ok(html.includes('src="data:image/png;base64,AAAA"'));
+    });
+
+    it('报告不引用外部资源', () => {
+        const html = buildRiskReport({ params, results: result, advice });
+        assert.ok(!/(src|href)="https?:/.test(html));
+    });
+});
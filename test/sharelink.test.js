@@ -0,0 +1,49 @@
+// 分享链接编码与解析测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PARAMS, buildShareHash, parseShareHash } = require('../lib');
+const { plain } = require('./helpers');
+
+describe('buildShareHash / parseShareHash', () => {
+    const params = { ...DEFAULT_PARAMS, symbol: 'XAUUSD', pipStep: 150, customPipSteps: '10, 20', maxPositions: 8 };
+
+    it('参数往返编码后保持类型和取值', () => {
+        const shared = parseShareHash('#' + buildShareHash(params), DEFAULT_PARAMS);
+        assert.deepEqual(plain(shared.params), params);
+        assert.deepEqual(plain(shared.errors), []);
+        assert.equal(typeof shared.params.pipStep, 'number');
+        assert.equal(shared.params.customPipSteps, '10, 20');
+    });
+
+    it('对比方案只编码差异字段，解析时补全', () => {
+        const scenarios = [{ name: '激进 & 快速', params: { ...params, volumeExponent: 1.5 } }];
+        const hash = buildShareHash(params, scenarios);
+        const encoded = JSON.parse(new URLSearchParams(hash).get('scenarios'));
+        assert.deepEqual(encoded, [{ name: '激进 & 快速', params: { volumeExponent: 1.5 } }]);
+
+        const shared = parseShareHash(hash, DEFAULT_PARAMS);
+        assert.equal(shared.scenarios.length, 1);
+        assert.equal(shared.scenarios[0].name, '激进 & 快速');
+        assert.deepEqual(plain(shared.scenarios[0].params), { ...params, volumeExponent: 1.5 });
+    });
+
+    it('没有分享参数时返回null', () => {
+        assert.equal(parseShareHash('', DEFAULT_PARAMS), null);
+        assert.equal(parseShareHash('#section-1', DEFAULT_PARAMS), null);
+    });
+
+    it('无法转换的数值报告错误，未知参数名被忽略', () => {
+        const shared = parseShareHash('v=1&pipStep=abc&maxPositions=&pipValue=99&foo=1', DEFAULT_PARAMS);
+        assert.deepEqual(plain(shared.params), {});
+        assert.deepEqual(plain(shared.errors), ['参数 pipStep 的值无效: abc', '参数 maxPositions 的值无效: ']);
+        assert.deepEqual(plain(shared.ignored), ['pipValue', 'foo']);
+    });
+
+    it('不支持的版本和损坏的方案数据', () => {
+        assert.deepEqual(plain(parseShareHash('v=2&pipStep=5', DEFAULT_PARAMS).errors), ['不支持的分享链接版本: 2']);
+        const shared = parseShareHash('v=1&pipStep=5&scenarios=%7Bbroken', DEFAULT_PARAMS);
+        assert.deepEqual(plain(shared.errors), ['对比方案数据无法解析']);
+        assert.equal(shared.params.pipStep, 5);
+    });
+});
@@ -0,0 +1,104 @@
+// CSV与XLSX表格导出测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculate, buildCsvExport, buildXlsxExport } = require('../lib');
+
+/**
+ * 读取不压缩的ZIP中的全部文件
+ * @param {Uint8Array} bytes - ZIP文件内容
+ * @returns {Object} 文件名 → 文本内容
+ */
+function readStoredZip(bytes) {
+    const buffer = Buffer.from(bytes);
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034B50) {
+        assert.equal(buffer.readUInt16LE(offset + 8), 0, '文件应以STORE方式保存');
+        const size = buffer.readUInt32LE(offset + 18);
+        assert.equal(buffer.readUInt32LE(offset + 22), size);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength;
+        files[name] = buffer.toString('utf8', start, start + size);
+        offset = start + size;
+    }
+    assert.equal(buffer.readUInt32LE(buffer.length - 22), 0x06054B50, '缺少ZIP目录结尾记录');
+    assert.equal(buffer.readUInt16LE(buffer.length - 12), Object.keys(files).length);
+    return files;
+}
+
+describe('buildCsvExport', () => {
+    const { params, result } = calculate({ pipStep: 10, maxPositions: 3, maxDrawdownPips: 50, spreadPips: 1.5 });
+    const generatedAt = new Date('2026-01-15T09:30:00Z');
+
+    it('参数区在前，空行后为选中的列，行数与数据一致', () => {
+        const csv = buildCsvExport({ dataset: 'positions', params, results: result, generatedAt });
+        assert.ok(csv.startsWith('\uFEFF数据集,仓位构建\r\n生成时间,2026-01-15T09:30:00.000Z\r\n'));
+        const lines = csv.slice(1).trimEnd().split('\r\n');
+        assert.ok(lines.includes('DCA间距 (点),10'));
+        assert.ok(lines.includes('点差 (点),1.5'));
+        const header = lines.indexOf('');
+        assert.equal(lines[header + 1], '层级,方向,入场价格,手数,距离起始(点),累计手数,止盈价格,止盈盈利,回升点数');
+        assert.equal(lines.length - header - 2, 3);
+        assert.equal(lines[header + 3], '2,买入,0.99900,1.00,10.0,2.00,1.00050,200.00,15.0');
+    });
+
+    it('按地区设置小数点和分隔符，列顺序与选择顺序无关', () => {
+        const csv = buildCsvExport({ dataset: 'drawdown', columns: ['floatingPnL', 'pipsFromStart', 'unknown'], locale: 'de-DE', params, results: result });
+        const lines = csv.trimEnd().split('\r\n');
+        assert.ok(lines.includes('点差 (点);1,5'));
+        const header = lines.indexOf('回撤点数;浮动盈亏');
+        assert.ok(header > 0);
+        assert.equal(lines[header + 2], '10,0;-130,00');
+        assert.equal(lines.length - header - 1, result.drawdownAnalysis.length);
+    });
+
+    it('原始数值保留完整精度，含分隔符的文本加引号', () => {
+        const csv = buildCsvExport({ dataset: 'drawdown', columns: ['price'], locale: 'raw', params: { ...params, customPipSteps: '10, 20', spacingMode: 'custom' }, results: result });
+        assert.ok(csv.includes('\r\n自定义间距 (点),"10, 20"\r\n'));
+        assert.ok(csv.includes('\r\n' + String(result.drawdownAnalysis[1].price) + '\r\n'));
+    });
+});
+
+describe('buildXlsxExport', () => {
+    const { params, result } = calculate({ direction: 'hedge', maxPositions: 4, maxDrawdownPips: 30 });
+
+    it('生成包含参数和两个数据集工作表的工作簿', () => {
+        const files = readStoredZip(buildXlsxExport({ params, results: result }));
+        assert.deepEqual(Object.keys(files), [
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml',
+            'xl/worksheets/sheet2.xml',
+            'xl/worksheets/sheet3.xml'
+        ]);
+        assert.ok(files['xl/workbook.xml'].includes('<sheet name="参数" sheetId="1" r:id="rId1"/>'));
+        assert.ok(files['xl/workbook.xml'].includes('<sheet name="回撤分析" sheetId="3" r:id="rId3"/>'));
+        assert.ok(files['xl/worksheets/sheet1.xml'].includes('<is><t xml:space="preserve">双向对冲</t></is>'));
+
+        // 仓位表：表头 + 买入4层 + 卖出4层，入场价格按5位小数格式(样式2+5)保存为数值
+        const positions = files['xl/worksheets/sheet2.xml'];
+        assert.equal((positions.match(/<row /g) || []).length, 9);
+        assert.ok(positions.includes('<c r="C2" s="7"><v>1</v></c>'));
+        assert.ok(positions.includes('state="frozen"'));
+    });
+
+    it('未选择任何列的数据集不生成工作表，缺失值留空', () => {
+        const files = readStoredZip(buildXlsxExport({
+            params,
+            results: result,
+            columns: { positions: [], drawdown: ['pipsFromStart', 'nextDcaTriggerPrice'] }
+        }));
+        assert.ok(!files['xl/worksheets/sheet3.xml']);
+        assert.ok(!files['xl/workbook.xml'].includes('仓位构建'));
+        const drawdown = files['xl/worksheets/sheet2.xml'];
+        // 最深处已触发全部仓位，没有下层触发价
+        const lastRow = drawdown.match(/<row r="\d+">((?:(?!<\/row>).)*)<\/row><\/sheetData>/)[1];
+        assert.ok(lastRow.includes('<v>30</v>'));
+        assert.ok(!/r="B\d+"/.test(lastRow));
+    });
+});
@@ -0,0 +1,102 @@
+// validateDCABotParams 参数验证测试
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PARAMS, validateDCABotParams, calculate } = require('../lib');
+const { plain } = require('./helpers');
+
+/**
+ * 在默认参数基础上修改部分字段后验证
+ * @param {Object} overrides - 覆盖的参数
+ * @returns {Object} 验证结果
+ */
+function validate(overrides) {
+    return validateDCABotParams({ ...DEFAULT_PARAMS, ...overrides });
+}
+
+describe('validateDCABotParams', () => {
+    it('默认参数有效', () => {
+        assert.deepEqual(plain(validate({})), { isValid: true, errors: [] });
+    });
+
+    it('只含基础字段的旧版参数仍然有效', () => {
+        const result = validateDCABotParams({
+            pipStep: 5,
+            firstVolume: 1,
+            volumeExponent: 1,
+            maxPositions: 20,
+            maxDrawdownPips: 200
+        });
+        assert.equal(result.isValid, true);
+    });
+
+    it('边界值', () => {
+        assert.equal(validate({ volumeExponent: 0.1 }).isValid, true);
+        assert.equal(validate({ volumeExponent: 5 }).isValid, true);
+        assert.equal(validate({ maxPositions: 1 }).isValid, true);
+        assert.equal(validate({ maxPositions: 50 }).isValid, true);
+        assert.equal(validate({ maxDrawdownPips: 10 }).isValid, true);
+        assert.equal(validate({ maxDrawdownPips: 10000 }).isValid, true);
+        assert.equal(validate({ startPrice: 0 }).isValid, true);
+        assert.equal(validate({ startPrice: 0.01, maxDrawdownPips: 200, direction: 'sell' }).isValid, true);
+        // 已有持仓分析以当前价格为起点，忽略起始价格
+        assert.equal(validate({ startPrice: -1, basketMode: 'open', currentPrice: 1.08, openPositions: '1.085 0.1' }).isValid, true);
+    });
+
+    const invalidCases = [
+        [{ pipStep: 0 }, 'DCA间距必须大于0'],
+        [{ firstVolume: -1 }, '首次仓位手数必须大于0'],
+        [{ volumeExponent: 0.05 }, '仓位倍数指数必须在0.1-5之间'],
+        [{ volumeExponent: 5.5 }, '仓位倍数指数必须在0.1-5之间'],
+        [{ maxPositions: 0 }, '最大仓位数必须在1-50之间'],
+        [{ maxPositions: 51 }, '最大仓位数必须在1-50之间'],
+        [{ maxDrawdownPips: 5 }, '最大回撤点数必须在10-10000之间'],
+        [{ pipValue: 0 }, '每点价值必须大于0'],
+        [{ symbol: 'ABCDEF' }, '未知的交易品种: ABCDEF'],
+        [{ quoteRate: 0 }, '报价货币汇率必须大于0'],
+        [{ accountBalance: 0 }, '账户余额必须大于0'],
+        [{ leverage: 0.5 }, '账户杠杆必须不小于1'],
+        [{ stopOutLevel: 100 }, '强制平仓水平必须大于0且低于追加保证金水平'],
+        [{ spreadPips: -1 }, '点差、佣金和持仓天数不能为负数'],
+        [{ swapLong: NaN }, '隔夜利息必须为有效数字'],
+        [{ direction: 'up' }, '网格方向必须为买入、卖出或双向对冲'],
+        [{ takeProfitMode: 'trailing' }, '未知的止盈模式'],
+        [{ drawdownSampling: '2' }, '未知的回撤采样方式'],
+        [{ riskThresholdMode: 'equity' }, '未知的风险阈值方式'],
+        [{ riskMediumThreshold: 0 }, '风险阈值必须大于0'],
+        [{ riskMediumThreshold: 60, riskHighThreshold: 30 }, '高风险阈值必须高于中风险阈值'],
+        [{ riskThresholdMode: 'marginLevel', riskMediumThreshold: 150, riskHighThreshold: 300 }, '保证金水平模式下高风险阈值必须低于中风险阈值'],
+        [{ takeProfitMode: 'basket', takeProfitPips: 0 }, '止盈点数必须大于0'],
+        [{ spacingMode: 'custom', customPipSteps: '10, -5' }, '自定义间距必须为一组大于0的点数，用逗号分隔'],
+        [{ spacingMode: 'arithmetic', pipStep: 5, pipStepIncrement: -1, maxPositions: 20 }, '间距增量过小，最后一层的间距必须大于0'],
+        [{ volumeMode: 'custom', customVolumes: '' }, '自定义手数必须为一组大于0的手数，用逗号分隔'],
+        [{ basketMode: 'partial' }, '未知的仓位组模式'],
+        [{ basketMode: 'open', currentPrice: 1.08, openPositions: '' }, '请输入至少一笔已有持仓'],
+        [{ basketMode: 'open', currentPrice: 1.08, openPositions: '1.085\n1.083 0.2' }, '第1行应为"入场价格 手数": 1.085'],
+        [{ basketMode: 'open', currentPrice: 0, openPositions: '1.085 0.1' }, '当前价格必须大于0'],
+        [{ basketMode: 'open', currentPrice: 1.08, openPositions: '1.085 0.1', direction: 'hedge' }, '已有持仓分析不支持双向对冲网格'],
+        [{ startPrice: -1.08 }, '起始价格必须为正数，或为0表示使用参考价格'],
+        [{ startPrice: 0.01, maxDrawdownPips: 200 }, '起始价格过低，预期最大回撤处的价格将小于等于0'],
+        [{ minLot: 1, maxLot: 0.5 }, '手数规格无效：最小变动手数和最小手数必须大于0，最大手数不能小于最小手数']
+    ];
+
+    invalidCases.forEach(([overrides, message]) => {
+        it(`无效参数 ${JSON.stringify(overrides)}`, () => {
+            const result = validate(overrides);
+            assert.equal(result.isValid, false);
+            assert.ok(result.errors.includes(message), `错误信息应包含"${message}"，实际: ${result.errors.join('；')}`);
+        });
+    });
+
+    it('多个错误同时返回', () => {
+        const result = validate({ pipStep: 0, firstVolume: 0, maxPositions: 0 });
+        assert.equal(result.errors.length, 3);
+    });
+
+    it('calculate()对无效参数抛出包含全部错误的异常', () => {
+        assert.throws(() => calculate({ pipStep: 0, maxDrawdownPips: 5 }), error => {
+            assert.deepEqual(plain(error.errors), ['DCA间距必须大于0', '最大回撤点数必须在10-10000之间']);
+            return true;
+        });
+    });
+});